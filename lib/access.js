@@ -0,0 +1,140 @@
+import fs from "fs";
+
+export const PERMISSIONS = ["read", "upload", "modify", "delete"];
+
+// Shorthands accepted in the rules file
+const PERMISSION_ALIASES = {
+  "read-only": ["read"],
+  "upload-only": ["upload"],
+  "full": PERMISSIONS
+};
+
+/**
+ * Normalize a volume path to "a/b" form ("" for the volume root)
+ */
+export function normalizeVolumePath(volumePath = "") {
+  return String(volumePath).split("/").filter(segment => segment && segment !== ".").join("/");
+}
+
+function isSameOrInside(volumePath, prefix) {
+  return prefix === "" || volumePath === prefix || volumePath.startsWith(prefix + "/");
+}
+
+/**
+ * Per-path permissions from a JSON rules file:
+ *   { "rules": [{ "path": "datasets", "users": ["alice"], "groups": ["ml"], "permissions": ["read", "upload"] }] }
+ * A rule applies to a user listed in "users" (or "*") or a member of one of its "groups".
+ * For a given path the applicable rules with the longest matching prefix win, and their permissions are combined,
+ * so a deeper rule can narrow access again (an empty permission list hides a subtree).
+ * Paths no rule covers get no permissions. Without a rules file every user has full control.
+ */
+export class AccessControl {
+  constructor({ rulesFile } = {}) {
+    this.rulesFile = rulesFile;
+    this.rules = [];
+    this.loadRules();
+  }
+
+  get enabled() {
+    return !!this.rulesFile;
+  }
+
+  /**
+   * (Re)load rules from the rules file
+   */
+  loadRules() {
+    this.rules = [];
+    if (!this.rulesFile) return;
+
+    const { rules = [] } = JSON.parse(fs.readFileSync(this.rulesFile, "utf8"));
+    this.rules = rules.map((rule, index) => {
+      const permissions = (Array.isArray(rule.permissions) ? rule.permissions : [rule.permissions])
+        .filter(Boolean)
+        .flatMap(permission => PERMISSION_ALIASES[permission] || [permission]);
+
+      const unknown = permissions.filter(permission => !PERMISSIONS.includes(permission));
+      if (unknown.length > 0) {
+        throw new Error(`Rule ${index + 1} in ${this.rulesFile} has unknown permissions: ${unknown.join(", ")}`);
+      }
+
+      return {
+        path: normalizeVolumePath(rule.path),
+        users: rule.users || [],
+        groups: rule.groups || [],
+        permissions
+      };
+    });
+  }
+
+  /**
+   * Rules that apply to a user, regardless of path
+   */
+  getUserRules(user) {
+    return this.rules.filter(rule =>
+      rule.users.includes("*") ||
+      rule.users.includes(user.username) ||
+      rule.groups.some(group => user.groups.includes(group))
+    );
+  }
+
+  /**
+   * Permissions a user has on a volume path. A null user (authentication disabled) has full control.
+   */
+  getPermissions(user, volumePath) {
+    if (!this.enabled || !user) return [...PERMISSIONS];
+
+    const target = normalizeVolumePath(volumePath);
+    const matching = this.getUserRules(user).filter(rule => isSameOrInside(target, rule.path));
+    if (matching.length === 0) return [];
+
+    const longest = Math.max(...matching.map(rule => rule.path.length));
+    const granted = new Set(matching.filter(rule => rule.path.length === longest).flatMap(rule => rule.permissions));
+    return PERMISSIONS.filter(permission => granted.has(permission));
+  }
+
+  /**
+   * Whether a user has a permission on a volume path
+   */
+  can(user, permission, volumePath) {
+    return this.getPermissions(user, volumePath).includes(permission);
+  }
+
+  /**
+   * Whether some rule grants the user a permission, on whatever path
+   */
+  canAnywhere(user, permission) {
+    if (!this.enabled || !user) return true;
+    return this.getUserRules(user).some(rule => rule.permissions.includes(permission));
+  }
+
+  /**
+   * Whether a path should be shown to a user: they have some permission on it,
+   * or it is a directory on the way to a path they were granted access to.
+   */
+  isVisible(user, volumePath) {
+    if (this.getPermissions(user, volumePath).length > 0) return true;
+    return this.leadsToGrant(user, volumePath);
+  }
+
+  /**
+   * Whether some rule for the user lies below volumePath, so permissions inside it can differ from its own
+   */
+  hasRulesBelow(user, volumePath) {
+    if (!this.enabled || !user) return false;
+
+    const target = normalizeVolumePath(volumePath);
+    return this.getUserRules(user).some(rule => rule.path !== target && isSameOrInside(rule.path, target));
+  }
+
+  /**
+   * Whether some rule granting the user access lies below volumePath
+   */
+  leadsToGrant(user, volumePath) {
+    if (!this.enabled || !user) return true;
+
+    const target = normalizeVolumePath(volumePath);
+    return this.getUserRules(user).some(rule =>
+      rule.permissions.length > 0 && rule.path !== target && isSameOrInside(rule.path, target)
+    );
+  }
+}
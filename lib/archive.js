@@ -0,0 +1,459 @@
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+
+// Limits of the classic ZIP format before ZIP64 records are required
+const ZIP32_LIMIT = 0xFFFFFFFF;
+const ZIP16_LIMIT = 0xFFFF;
+
+// Largest size that fits in the 11 octal digits of a ustar header
+const TAR_SIZE_LIMIT = 0o77777777777;
+const TAR_BLOCK = 512;
+
+export const ARCHIVE_FORMATS = {
+  "zip": { extension: ".zip", contentType: "application/zip" },
+  "tar": { extension: ".tar", contentType: "application/x-tar" },
+  "tar.gz": { extension: ".tar.gz", contentType: "application/gzip" }
+};
+
+// zlib.crc32 is only available from Node 20.15, fall back to a table-driven version
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+const crc32 = zlib.crc32 || ((chunk, value = 0) => {
+  let crc = ~value;
+  for (let i = 0; i < chunk.length; i++) {
+    crc = CRC_TABLE[(crc ^ chunk[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+});
+
+/**
+ * Check that a resolved path stays inside the volume root
+ */
+function isInsideRoot(rootDir, fullPath) {
+  return fullPath === rootDir || fullPath.startsWith(rootDir + path.sep);
+}
+
+/**
+ * Find the deepest directory that contains every selected path
+ */
+function findCommonParent(fullPaths) {
+  const parents = fullPaths.map(fullPath => path.dirname(fullPath).split(path.sep));
+  const common = [];
+
+  for (let i = 0; i < parents[0].length; i++) {
+    const segment = parents[0][i];
+    if (!parents.every(parent => parent[i] === segment)) break;
+    common.push(segment);
+  }
+
+  return common.join(path.sep) || path.sep;
+}
+
+/**
+ * Collect archive entries for the selected paths, walking directories recursively.
+ * Entry names are relative to the common parent of the selection. Symlinks are only
+ * followed when they point at a regular file inside rootDir, so no entry can escape the volume.
+ * The optional filter receives each absolute path, and the target of each symlink, and returns false to leave it out.
+ */
+export async function collectArchiveEntries(rootDir, fullPaths, filter = () => true) {
+  const root = path.resolve(rootDir);
+  const baseDir = findCommonParent(fullPaths);
+  const entries = [];
+
+  const addEntry = (fullPath, stats, isDirectory) => {
+    const relativeName = path.relative(baseDir, fullPath).split(path.sep).join("/");
+    entries.push({
+      fullPath,
+      name: isDirectory ? `${relativeName}/` : relativeName,
+      isDirectory,
+      size: isDirectory ? 0 : stats.size,
+      mode: stats.mode & 0o7777,
+      mtime: stats.mtime
+    });
+  };
+
+  const visit = async (fullPath) => {
+    if (!filter(fullPath)) return;
+
+    const stats = await fs.promises.lstat(fullPath);
+
+    if (stats.isSymbolicLink()) {
+      const realPath = await fs.promises.realpath(fullPath).catch(() => null);
+      if (!realPath || !isInsideRoot(root, realPath)) {
+        console.log(`Archive: skipping symlink outside the volume: ${fullPath}`);
+        return;
+      }
+
+      // The target is filtered as well, so a link can't bring in a file that would be left out under its own path
+      if (!filter(realPath)) {
+        console.log(`Archive: skipping symlink to a filtered path: ${fullPath}`);
+        return;
+      }
+
+      const targetStats = await fs.promises.stat(realPath);
+      if (targetStats.isFile()) {
+        addEntry(fullPath, targetStats, false);
+      } else {
+        console.log(`Archive: skipping non-file symlink: ${fullPath}`);
+      }
+      return;
+    }
+
+    if (stats.isDirectory()) {
+      addEntry(fullPath, stats, true);
+      const children = await fs.promises.readdir(fullPath);
+      children.sort();
+      for (const child of children) {
+        await visit(path.join(fullPath, child));
+      }
+    } else if (stats.isFile()) {
+      addEntry(fullPath, stats, false);
+    }
+  };
+
+  for (const fullPath of fullPaths) {
+    if (!isInsideRoot(root, path.resolve(fullPath))) {
+      throw new Error(`Path is outside the volume: ${fullPath}`);
+    }
+    await visit(fullPath);
+  }
+
+  return { baseDir, entries };
+}
+
+/**
+ * Read exactly entry.size bytes of a file, failing if it changed size mid-stream
+ */
+async function* readEntryData(entry, onChunk) {
+  if (entry.size === 0) return;
+
+  let bytesRead = 0;
+  const stream = fs.createReadStream(entry.fullPath, { start: 0, end: entry.size - 1 });
+  for await (const chunk of stream) {
+    bytesRead += chunk.length;
+    if (onChunk) onChunk(chunk);
+    yield chunk;
+  }
+
+  if (bytesRead !== entry.size) {
+    throw new Error(`File changed while archiving: ${entry.fullPath}`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// ZIP (stored, no compression, so the output size is known before streaming)
+// ---------------------------------------------------------------------------
+
+/**
+ * Convert a Date into MS-DOS time and date fields
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Work out the layout of every ZIP record so sizes and offsets are fixed up front
+ */
+function planZip(entries) {
+  let offset = 0;
+  let centralSize = 0;
+
+  const records = entries.map(entry => {
+    const nameBuffer = Buffer.from(entry.name, "utf8");
+    const zip64 = entry.size >= ZIP32_LIMIT;
+    const localOffset = offset;
+    const offsetZip64 = localOffset >= ZIP32_LIMIT;
+
+    const localSize = 30 + nameBuffer.length + (zip64 ? 20 : 0);
+    const descriptorSize = entry.isDirectory ? 0 : (zip64 ? 24 : 16);
+    const centralExtraSize = (zip64 || offsetZip64) ? 4 + (zip64 ? 16 : 0) + (offsetZip64 ? 8 : 0) : 0;
+
+    offset += localSize + entry.size + descriptorSize;
+    centralSize += 46 + nameBuffer.length + centralExtraSize;
+
+    return { entry, nameBuffer, zip64, localOffset, offsetZip64, centralExtraSize, crc: 0 };
+  });
+
+  const centralOffset = offset;
+  const endZip64 = records.length >= ZIP16_LIMIT || centralOffset >= ZIP32_LIMIT || centralSize >= ZIP32_LIMIT;
+  const totalSize = centralOffset + centralSize + (endZip64 ? 56 + 20 : 0) + 22;
+
+  return { records, centralOffset, centralSize, endZip64, totalSize };
+}
+
+function zipLocalHeader(record) {
+  const { entry, nameBuffer, zip64 } = record;
+  const { time, date } = toDosDateTime(entry.mtime);
+  const header = Buffer.alloc(30 + nameBuffer.length + (zip64 ? 20 : 0));
+
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(zip64 ? 45 : 20, 4);
+  // UTF-8 names, and sizes follow in a data descriptor for files
+  header.writeUInt16LE(0x0800 | (entry.isDirectory ? 0 : 0x0008), 6);
+  header.writeUInt16LE(0, 8);
+  header.writeUInt16LE(time, 10);
+  header.writeUInt16LE(date, 12);
+  header.writeUInt32LE(0, 14);
+  header.writeUInt32LE(zip64 ? ZIP32_LIMIT : 0, 18);
+  header.writeUInt32LE(zip64 ? ZIP32_LIMIT : 0, 22);
+  header.writeUInt16LE(nameBuffer.length, 26);
+  header.writeUInt16LE(zip64 ? 20 : 0, 28);
+  nameBuffer.copy(header, 30);
+
+  if (zip64) {
+    const extra = 30 + nameBuffer.length;
+    header.writeUInt16LE(0x0001, extra);
+    header.writeUInt16LE(16, extra + 2);
+    // Sizes are zero here and given in the data descriptor
+  }
+
+  return header;
+}
+
+function zipDataDescriptor(record) {
+  const { entry, zip64, crc } = record;
+  const descriptor = Buffer.alloc(zip64 ? 24 : 16);
+
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(crc, 4);
+  if (zip64) {
+    descriptor.writeBigUInt64LE(BigInt(entry.size), 8);
+    descriptor.writeBigUInt64LE(BigInt(entry.size), 16);
+  } else {
+    descriptor.writeUInt32LE(entry.size, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+  }
+
+  return descriptor;
+}
+
+function zipCentralHeader(record) {
+  const { entry, nameBuffer, zip64, localOffset, offsetZip64, centralExtraSize, crc } = record;
+  const { time, date } = toDosDateTime(entry.mtime);
+  const header = Buffer.alloc(46 + nameBuffer.length + centralExtraSize);
+  const fileType = entry.isDirectory ? 0o040000 : 0o100000;
+
+  header.writeUInt32LE(0x02014b50, 0);
+  // Made by UNIX so that permissions in the external attributes are honored
+  header.writeUInt16LE((3 << 8) | 45, 4);
+  header.writeUInt16LE(zip64 ? 45 : 20, 6);
+  header.writeUInt16LE(0x0800 | (entry.isDirectory ? 0 : 0x0008), 8);
+  header.writeUInt16LE(0, 10);
+  header.writeUInt16LE(time, 12);
+  header.writeUInt16LE(date, 14);
+  header.writeUInt32LE(crc, 16);
+  header.writeUInt32LE(zip64 ? ZIP32_LIMIT : entry.size, 20);
+  header.writeUInt32LE(zip64 ? ZIP32_LIMIT : entry.size, 24);
+  header.writeUInt16LE(nameBuffer.length, 28);
+  header.writeUInt16LE(centralExtraSize, 30);
+  header.writeUInt16LE(0, 32);
+  header.writeUInt16LE(0, 34);
+  header.writeUInt16LE(0, 36);
+  header.writeUInt32LE((((fileType | entry.mode) << 16) | (entry.isDirectory ? 0x10 : 0)) >>> 0, 38);
+  header.writeUInt32LE(offsetZip64 ? ZIP32_LIMIT : localOffset, 42);
+  nameBuffer.copy(header, 46);
+
+  if (centralExtraSize > 0) {
+    let position = 46 + nameBuffer.length;
+    header.writeUInt16LE(0x0001, position);
+    header.writeUInt16LE(centralExtraSize - 4, position + 2);
+    position += 4;
+    if (zip64) {
+      header.writeBigUInt64LE(BigInt(entry.size), position);
+      header.writeBigUInt64LE(BigInt(entry.size), position + 8);
+      position += 16;
+    }
+    if (offsetZip64) {
+      header.writeBigUInt64LE(BigInt(localOffset), position);
+    }
+  }
+
+  return header;
+}
+
+function zipEndRecords(plan) {
+  const { records, centralOffset, centralSize, endZip64 } = plan;
+  const buffers = [];
+
+  if (endZip64) {
+    const zip64End = Buffer.alloc(56);
+    zip64End.writeUInt32LE(0x06064b50, 0);
+    zip64End.writeBigUInt64LE(44n, 4);
+    zip64End.writeUInt16LE((3 << 8) | 45, 12);
+    zip64End.writeUInt16LE(45, 14);
+    zip64End.writeUInt32LE(0, 16);
+    zip64End.writeUInt32LE(0, 20);
+    zip64End.writeBigUInt64LE(BigInt(records.length), 24);
+    zip64End.writeBigUInt64LE(BigInt(records.length), 32);
+    zip64End.writeBigUInt64LE(BigInt(centralSize), 40);
+    zip64End.writeBigUInt64LE(BigInt(centralOffset), 48);
+
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeUInt32LE(0, 4);
+    locator.writeBigUInt64LE(BigInt(centralOffset + centralSize), 8);
+    locator.writeUInt32LE(1, 16);
+
+    buffers.push(zip64End, locator);
+  }
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(0, 4);
+  end.writeUInt16LE(0, 6);
+  end.writeUInt16LE(Math.min(records.length, ZIP16_LIMIT), 8);
+  end.writeUInt16LE(Math.min(records.length, ZIP16_LIMIT), 10);
+  end.writeUInt32LE(Math.min(centralSize, ZIP32_LIMIT), 12);
+  end.writeUInt32LE(Math.min(centralOffset, ZIP32_LIMIT), 16);
+  end.writeUInt16LE(0, 20);
+  buffers.push(end);
+
+  return buffers;
+}
+
+async function* generateZip(plan) {
+  for (const record of plan.records) {
+    yield zipLocalHeader(record);
+    if (record.entry.isDirectory) continue;
+
+    let crc = 0;
+    yield* readEntryData(record.entry, chunk => {
+      crc = crc32(chunk, crc);
+    });
+    record.crc = crc;
+
+    yield zipDataDescriptor(record);
+  }
+
+  for (const record of plan.records) {
+    yield zipCentralHeader(record);
+  }
+
+  yield* zipEndRecords(plan);
+}
+
+// ---------------------------------------------------------------------------
+// TAR (ustar with PAX headers for long names and very large files)
+// ---------------------------------------------------------------------------
+
+function padToBlock(size) {
+  return Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+}
+
+/**
+ * Build the body of a PAX extended header, where each record is prefixed with its own length
+ */
+function paxRecords(fields) {
+  return Buffer.concat(Object.entries(fields).map(([key, value]) => {
+    const body = ` ${key}=${value}\n`;
+    let length = Buffer.byteLength(body);
+    while (String(length).length + Buffer.byteLength(body) !== length) {
+      length = String(length).length + Buffer.byteLength(body);
+    }
+    return Buffer.from(`${length}${body}`, "utf8");
+  }));
+}
+
+function needsPax(entry) {
+  const nameLength = Buffer.byteLength(entry.name);
+  return nameLength > 100 || nameLength !== entry.name.length || entry.size > TAR_SIZE_LIMIT;
+}
+
+function tarHeader(name, size, mode, mtime, typeflag) {
+  const header = Buffer.alloc(TAR_BLOCK);
+  const writeOctal = (value, offset, length) => {
+    header.write(value.toString(8).padStart(length - 1, "0") + "\0", offset, length, "ascii");
+  };
+
+  header.write(name.slice(0, 100), 0, 100, "utf8");
+  writeOctal(mode, 100, 8);
+  writeOctal(0, 108, 8);
+  writeOctal(0, 116, 8);
+  writeOctal(Math.min(size, TAR_SIZE_LIMIT), 124, 12);
+  writeOctal(Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.write("        ", 148, 8, "ascii");
+  header.write(typeflag, 156, 1, "ascii");
+  header.write("ustar\0", 257, 6, "ascii");
+  header.write("00", 263, 2, "ascii");
+
+  let checksum = 0;
+  for (let i = 0; i < TAR_BLOCK; i++) {
+    checksum += header[i];
+  }
+  header.write(checksum.toString(8).padStart(6, "0") + "\0 ", 148, 8, "ascii");
+
+  return header;
+}
+
+function planTar(entries) {
+  let totalSize = 0;
+
+  const records = entries.map(entry => {
+    let pax = null;
+    if (needsPax(entry)) {
+      const fields = { path: entry.name };
+      if (entry.size > TAR_SIZE_LIMIT) fields.size = entry.size;
+      pax = paxRecords(fields);
+    }
+
+    totalSize += (pax ? TAR_BLOCK + padToBlock(pax.length) : 0) + TAR_BLOCK + padToBlock(entry.size);
+    return { entry, pax };
+  });
+
+  // Two zero blocks mark the end of the archive
+  totalSize += TAR_BLOCK * 2;
+
+  return { records, totalSize };
+}
+
+async function* generateTar(plan) {
+  for (const { entry, pax } of plan.records) {
+    if (pax) {
+      yield tarHeader(`PaxHeader/${entry.name.replace(/[^\x20-\x7e]/g, "_")}`, pax.length, 0o644, entry.mtime, "x");
+      yield pax;
+      yield Buffer.alloc(padToBlock(pax.length) - pax.length);
+    }
+
+    yield tarHeader(entry.name.replace(/[^\x20-\x7e]/g, "_"), entry.size, entry.mode, entry.mtime, entry.isDirectory ? "5" : "0");
+    if (entry.isDirectory) continue;
+
+    yield* readEntryData(entry);
+    yield Buffer.alloc(padToBlock(entry.size) - entry.size);
+  }
+
+  yield Buffer.alloc(TAR_BLOCK * 2);
+}
+
+/**
+ * Create an archive generator for the given entries.
+ * Returns { chunks, size, compress } where size is the exact byte length, or null when it cannot
+ * be known in advance, and compress tells the caller to gzip the chunks.
+ */
+export function createArchive(entries, format) {
+  if (format === "zip") {
+    const plan = planZip(entries);
+    return { chunks: generateZip(plan), size: plan.totalSize, compress: false };
+  }
+
+  const plan = planTar(entries);
+  if (format === "tar") {
+    return { chunks: generateTar(plan), size: plan.totalSize, compress: false };
+  }
+
+  if (format === "tar.gz") {
+    return { chunks: generateTar(plan), size: null, compress: true };
+  }
+
+  throw new Error(`Unsupported archive format: ${format}`);
+}
@@ -0,0 +1,115 @@
+import fs from "fs";
+import readline from "readline";
+
+/**
+ * Whether a volume path is the given path or lies inside it ("" matches everything)
+ */
+function isSameOrInside(volumePath, prefix) {
+  return prefix === "" || volumePath === prefix || volumePath.startsWith(prefix + "/");
+}
+
+/**
+ * Append-only JSON Lines log of operations that change the volume. Each line is one record:
+ *   { time, actor, ip, operation, sourcePath, destinationPath, bytes, outcome, status, error }
+ * Paths are volume-relative, actor is the username (null without authentication) and outcome is
+ * "success", "denied" or "failure"; status is the HTTP status for API requests.
+ * Appends are queued so concurrent records never interleave.
+ */
+export class AuditLog {
+  constructor({ file }) {
+    this.file = file;
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Append a record. Resolves once it is on disk; write errors are logged rather than thrown,
+   * so a full disk never fails the operation being recorded.
+   */
+  record(details) {
+    const record = {
+      time: new Date().toISOString(),
+      actor: null,
+      ip: null,
+      operation: null,
+      sourcePath: null,
+      destinationPath: null,
+      bytes: null,
+      outcome: "success",
+      status: null,
+      error: null,
+      ...details
+    };
+    const line = JSON.stringify(record) + "\n";
+
+    this.writes = this.writes
+      .then(() => fs.promises.appendFile(this.file, line))
+      .catch(error => console.error(`Failed to write audit record: ${error.message}`));
+    return this.writes;
+  }
+
+  /**
+   * Find records, newest first.
+   *   path       - records whose source or destination is this path or inside it
+   *   actor      - exact username
+   *   operations - list of operation names
+   *   since      - earliest time (ms since epoch), inclusive
+   *   until      - latest time (ms since epoch), inclusive
+   *   limit      - maximum number of records returned
+   *   filter     - extra predicate, e.g. to hide records a user may not see
+   * Returns { records, hasMore } where hasMore means older matches were left out.
+   */
+  async query({ path = null, actor = null, operations = null, since = null, until = null, limit = 100, filter = null } = {}) {
+    const matches = [];
+    let total = 0;
+
+    const matchesRecord = record => {
+      const time = Date.parse(record.time);
+      if (actor !== null && record.actor !== actor) return false;
+      if (operations !== null && !operations.includes(record.operation)) return false;
+      if (since !== null && time < since) return false;
+      if (until !== null && time > until) return false;
+      if (path !== null &&
+          !(record.sourcePath !== null && isSameOrInside(record.sourcePath, path)) &&
+          !(record.destinationPath !== null && isSameOrInside(record.destinationPath, path))) {
+        return false;
+      }
+      return !filter || filter(record);
+    };
+
+    // Wait for queued appends so a record written just before the query is included
+    await this.writes;
+
+    let input;
+    try {
+      input = fs.createReadStream(this.file, { encoding: "utf8" });
+      await new Promise((resolve, reject) => {
+        input.once("open", resolve);
+        input.once("error", reject);
+      });
+    } catch (error) {
+      if (error.code === "ENOENT") return { records: [], hasMore: false };
+      throw error;
+    }
+
+    // Keep only the newest matches while scanning the file from the start
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+      if (!line) continue;
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A torn line from a crash mid-append; skip it
+        continue;
+      }
+
+      if (matchesRecord(record)) {
+        total++;
+        matches.push(record);
+        if (matches.length > limit) matches.shift();
+      }
+    }
+
+    return { records: matches.reverse(), hasMore: total > matches.length };
+  }
+}
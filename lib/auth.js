@@ -0,0 +1,244 @@
+import fs from "fs";
+import crypto from "crypto";
+
+export const SESSION_COOKIE = "vm_session";
+
+// scrypt cost parameters for new hashes; existing hashes carry their own
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+// Failed logins per client and username before further attempts are refused for the rest of the window
+const LOGIN_MAX_FAILURES = 10;
+const LOGIN_FAILURE_WINDOW = 15 * 60 * 1000;
+
+// Client and username pairs tracked at most, so a flood of made-up usernames can't grow the table without bound
+const LOGIN_MAX_TRACKED = 10000;
+
+/**
+ * Hash a password as "scrypt$N$r$p$salt$hash" (salt and hash base64)
+ */
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const { N, r, p } = SCRYPT_PARAMS;
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH, { N, r, p });
+  return ["scrypt", N, r, p, salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+/**
+ * Check a password against a hash produced by hashPassword. scrypt runs on the libuv thread pool, so checking
+ * doesn't hold up other requests.
+ */
+export async function verifyPassword(password, storedHash) {
+  const [scheme, N, r, p, salt, hash] = String(storedHash).split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "base64");
+  const actual = await new Promise((resolve, reject) => {
+    crypto.scrypt(password, Buffer.from(salt, "base64"), expected.length, {
+      N: Number(N),
+      r: Number(r),
+      p: Number(p)
+    }, (error, key) => error ? reject(error) : resolve(key));
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Checked against when the username is unknown, so a failed sign-in takes as long whether or not the user exists
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString("base64"));
+
+/**
+ * Compare two secrets in constant time regardless of their lengths
+ */
+function safeEqual(a, b) {
+  const digest = value => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+/**
+ * Read a header from a Node request or a fetch Request (the tus server emits events with the latter)
+ */
+function getHeader(req, name) {
+  return typeof req.headers.get === "function" ? req.headers.get(name) : req.headers[name];
+}
+
+/**
+ * Parse a Cookie header into an object
+ */
+export function parseCookies(header) {
+  const cookies = {};
+  (header || "").split(";").forEach(pair => {
+    const index = pair.indexOf("=");
+    if (index === -1) return;
+    const name = pair.slice(0, index).trim();
+    const value = pair.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch (error) {
+      cookies[name] = value;
+    }
+  });
+  return cookies;
+}
+
+/**
+ * Users, API tokens and browser sessions.
+ *   credentialsFile - JSON file: { "users": [{ "username", "passwordHash", "groups": [] }] }
+ *   apiTokens       - "name:token,name:token" as given in the API_TOKENS environment variable
+ *   sessionTtl      - session lifetime in ms, renewed on use
+ * Authentication is enabled when at least one user or token is configured.
+ * Sessions are held in memory, so a restart signs everybody out.
+ */
+export class Authenticator {
+  constructor({ credentialsFile, apiTokens = "", sessionTtl = 12 * 60 * 60 * 1000 } = {}) {
+    this.credentialsFile = credentialsFile;
+    this.sessionTtl = sessionTtl;
+    this.users = new Map(); // Map of username -> { username, passwordHash, groups }
+    this.tokens = [];
+    this.sessions = new Map(); // Map of sessionId -> { username, expiresAt }
+    this.loginFailures = new Map(); // Map of "client address|username" -> { count, firstFailureAt }
+
+    this.loadUsers();
+    this.tokens = apiTokens
+      .split(",")
+      .map(pair => pair.trim())
+      .filter(Boolean)
+      .map(pair => {
+        const index = pair.indexOf(":");
+        return index === -1
+          ? { name: "api", token: pair }
+          : { name: pair.slice(0, index), token: pair.slice(index + 1) };
+      });
+  }
+
+  get enabled() {
+    return this.users.size > 0 || this.tokens.length > 0;
+  }
+
+  /**
+   * (Re)load users from the credentials file
+   */
+  loadUsers() {
+    this.users.clear();
+    if (!this.credentialsFile) return;
+
+    const { users = [] } = JSON.parse(fs.readFileSync(this.credentialsFile, "utf8"));
+    users.forEach(user => {
+      if (!user.username || !user.passwordHash) {
+        throw new Error(`Invalid user entry in ${this.credentialsFile}: username and passwordHash are required`);
+      }
+      this.users.set(user.username, { username: user.username, passwordHash: user.passwordHash, groups: user.groups || [] });
+    });
+  }
+
+  /**
+   * Public identity of a user
+   */
+  describeUser(username) {
+    const user = this.users.get(username);
+    return { username, groups: user ? user.groups : [] };
+  }
+
+  /**
+   * Identify the caller of a request from its bearer token or session cookie. Returns null if unknown.
+   */
+  authenticate(req) {
+    const authorization = getHeader(req, "authorization") || "";
+    if (authorization.startsWith("Bearer ")) {
+      const presented = authorization.slice("Bearer ".length).trim();
+      const match = this.tokens.find(({ token }) => safeEqual(presented, token));
+      return match ? { username: match.name, groups: [], via: "token" } : null;
+    }
+
+    const sessionId = parseCookies(getHeader(req, "cookie"))[SESSION_COOKIE];
+    const session = sessionId && this.sessions.get(sessionId);
+    if (!session) return null;
+
+    if (session.expiresAt < Date.now() || !this.users.has(session.username)) {
+      this.sessions.delete(sessionId);
+      return null;
+    }
+
+    // Sliding expiry: active sessions stay signed in
+    session.expiresAt = Date.now() + this.sessionTtl;
+    return { ...this.describeUser(session.username), via: "session" };
+  }
+
+  /**
+   * Check a username and password, returning a new session id or null. Failures are counted per client
+   * address and username; clients with too many recent failures for a username are refused without checking.
+   * An attempt counts as a failure from the start and only a successful one clears the count, so parallel
+   * attempts can't all get past the limit while their passwords are being checked.
+   */
+  async login(username, password, clientAddress) {
+    const clientKey = `${clientAddress}|${username}`;
+    let failures = this.loginFailures.get(clientKey);
+    if (failures && Date.now() - failures.firstFailureAt > LOGIN_FAILURE_WINDOW) {
+      this.loginFailures.delete(clientKey);
+      failures = null;
+    } else if (failures && failures.count >= LOGIN_MAX_FAILURES) {
+      const error = new Error("Too many failed sign-in attempts, try again later");
+      error.status = 429;
+      throw error;
+    }
+
+    if (!failures) {
+      if (this.loginFailures.size >= LOGIN_MAX_TRACKED) this.pruneLoginFailures();
+      failures = { count: 0, firstFailureAt: Date.now() };
+      this.loginFailures.set(clientKey, failures);
+    }
+    failures.count++;
+
+    const user = this.users.get(username);
+    const valid = await verifyPassword(password, user ? user.passwordHash : DUMMY_PASSWORD_HASH);
+    if (!user || !valid) {
+      return null;
+    }
+
+    this.loginFailures.delete(clientKey);
+    this.pruneSessions();
+
+    const sessionId = crypto.randomBytes(32).toString("base64url");
+    this.sessions.set(sessionId, { username, expiresAt: Date.now() + this.sessionTtl });
+    return sessionId;
+  }
+
+  /**
+   * End the session carried by a request, if any
+   */
+  logout(req) {
+    const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (sessionId) {
+      this.sessions.delete(sessionId);
+    }
+  }
+
+  /**
+   * Drop failure counts whose window has passed, then the oldest ones while the table is full
+   */
+  pruneLoginFailures() {
+    const now = Date.now();
+    for (const [clientKey, failures] of this.loginFailures) {
+      if (now - failures.firstFailureAt > LOGIN_FAILURE_WINDOW) {
+        this.loginFailures.delete(clientKey);
+      }
+    }
+
+    // Maps iterate in insertion order, so the first keys are the oldest
+    for (const clientKey of this.loginFailures.keys()) {
+      if (this.loginFailures.size < LOGIN_MAX_TRACKED) break;
+      this.loginFailures.delete(clientKey);
+    }
+  }
+
+  /**
+   * Drop expired sessions
+   */
+  pruneSessions() {
+    const now = Date.now();
+    for (const [sessionId, session] of this.sessions) {
+      if (session.expiresAt < now) {
+        this.sessions.delete(sessionId);
+      }
+    }
+  }
+}
@@ -0,0 +1,94 @@
+import fs from "fs";
+import crypto from "crypto";
+import stream from "stream";
+import { PartedFileStore } from "./parted-file-store.js";
+
+// Algorithms accepted in Upload-Checksum headers (tus names, which are also Node's)
+export const CHECKSUM_ALGORITHMS = ["sha1", "sha256", "md5"];
+
+export const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+
+// tus status for a chunk whose data doesn't match its Upload-Checksum
+const CHECKSUM_MISMATCH = { status_code: 460, body: "Checksum Mismatch\n" };
+
+/**
+ * Parse a tus Upload-Checksum header ("<algorithm> <base64 digest>") into { algorithm, digest }.
+ * Returns null when the header is absent; throws a tus error (status_code 400) when it is malformed
+ * or uses an unsupported algorithm.
+ */
+export function parseUploadChecksum(value) {
+  if (!value) return null;
+
+  const [algorithm, digest, ...rest] = value.trim().split(/ +/);
+  if (!CHECKSUM_ALGORITHMS.includes(algorithm) || !digest || rest.length > 0) {
+    throw {
+      status_code: 400,
+      body: `Upload-Checksum must be one of ${CHECKSUM_ALGORITHMS.join(", ")} followed by a base64 digest\n`
+    };
+  }
+  return { algorithm, digest };
+}
+
+/**
+ * Hash a file without reading it into memory. Returns the hex digest.
+ * onProgress(bytesHashed) is called after each chunk is read.
+ */
+export async function hashFile(filePath, algorithm = "sha256", onProgress = null) {
+  const hash = crypto.createHash(algorithm);
+  let bytesHashed = 0;
+
+  for await (const chunk of fs.createReadStream(filePath, { highWaterMark: 4 * 1024 * 1024 })) {
+    hash.update(chunk);
+    bytesHashed += chunk.length;
+    if (onProgress) onProgress(bytesHashed);
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * A tus file store with the checksum extension. The checksum of a request is announced with
+ * expectChecksum(uploadId, checksum) before its data is written; the data is hashed as it is written,
+ * and when it doesn't match the upload is rewound to where the request started and the request
+ * fails with 460, so the client can send the chunk again.
+ */
+export class ChecksumFileStore extends PartedFileStore {
+  constructor(options) {
+    super(options);
+    this.extensions.push("checksum");
+    this.expectedChecksums = new Map(); // Map of uploadId -> { algorithm, digest }
+  }
+
+  /**
+   * Set (or with null, clear) the checksum the next write to an upload must match
+   */
+  expectChecksum(uploadId, checksum) {
+    if (checksum) {
+      this.expectedChecksums.set(uploadId, checksum);
+    } else {
+      this.expectedChecksums.delete(uploadId);
+    }
+  }
+
+  async write(readable, uploadId, offset) {
+    const expected = this.expectedChecksums.get(uploadId);
+    if (!expected) return super.write(readable, uploadId, offset);
+    this.expectedChecksums.delete(uploadId);
+
+    const hash = crypto.createHash(expected.algorithm);
+    const hashing = new stream.Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        callback(null, chunk);
+      }
+    });
+    readable.on("error", error => hashing.destroy(error));
+    readable.pipe(hashing);
+
+    const newOffset = await super.write(hashing, uploadId, offset);
+    if (hash.digest("base64") !== expected.digest) {
+      await this.rewind(uploadId, offset);
+      throw CHECKSUM_MISMATCH;
+    }
+    return newOffset;
+  }
+}
@@ -0,0 +1,195 @@
+import fs from "fs";
+import path from "path";
+import { walkTree } from "./walk.js";
+import { mapWithConcurrency } from "./file-metadata.js";
+
+// Entries are stat'ed in batches so large NFS directories don't issue one round trip at a time
+const STAT_BATCH_SIZE = 64;
+
+/**
+ * Recursively total the apparent size, file count and directory count below a directory.
+ * Symlinks are counted as entries but not followed. Throws an AbortError when the signal fires.
+ */
+export async function computeDirectorySize(dirPath, { signal, statConcurrency = 16, skip } = {}) {
+  const totals = { size: 0, files: 0, directories: 0 };
+  let batch = [];
+
+  const flush = async () => {
+    const stats = await mapWithConcurrency(batch, statConcurrency, entry =>
+      fs.promises.lstat(entry.fullPath).catch(() => null)
+    );
+    stats.forEach((entryStats, index) => {
+      if (!entryStats) return;
+      if (batch[index].dirent.isDirectory()) {
+        totals.directories++;
+      } else {
+        totals.files++;
+        totals.size += entryStats.size;
+      }
+    });
+    batch = [];
+  };
+
+  for await (const entry of walkTree(dirPath, { signal, skip })) {
+    batch.push(entry);
+    if (batch.length >= STAT_BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  if (signal && signal.aborted) {
+    const error = new Error("Directory size calculation was cancelled");
+    error.name = "AbortError";
+    throw error;
+  }
+
+  return totals;
+}
+
+/**
+ * Caches directory sizes computed by background walks.
+ * At most `concurrency` walks run at once, the rest wait in a queue. Results expire after `ttl` ms
+ * so changes made outside the file manager are eventually picked up, and invalidate() drops them
+ * immediately when the server itself changes a subtree.
+ * A walk can be asked for under a view, e.g. a user who can't see all of a directory, which leaves out
+ * what its own skip filter says on top of the cache's; its result is cached separately for that view.
+ */
+export class DirectorySizeCache {
+  constructor({ concurrency = 2, ttl = 10 * 60 * 1000, maxEntries = 10000, statConcurrency = 16, skip } = {}) {
+    this.concurrency = concurrency;
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.statConcurrency = statConcurrency;
+    this.skip = skip;
+    this.entries = new Map(); // Map of "view\0fullPath" -> { dirPath, skip, status, size, files, directories, computedAt, error, controller }
+    this.queue = [];
+    this.running = 0;
+  }
+
+  /**
+   * Get the current state for a directory, queueing a walk if nothing fresh is cached.
+   * view and skip ask for the size of what one viewer can see (see above).
+   */
+  request(dirPath, { view = "", skip } = {}) {
+    const key = `${view}\0${dirPath}`;
+    let entry = this.entries.get(key);
+
+    // Finished and failed results are both kept until they expire, so a failing walk isn't retried on every poll
+    if (entry && entry.computedAt && Date.now() - entry.computedAt > this.ttl) {
+      this.entries.delete(key);
+      entry = null;
+    }
+
+    if (!entry || entry.status === "cancelled") {
+      entry = { dirPath, skip, status: "queued", controller: new AbortController() };
+      this.entries.set(key, entry);
+      this.queue.push(key);
+      this.evictOldest();
+      this.startNext();
+    }
+
+    return this.describe(entry);
+  }
+
+  /**
+   * Cancel a queued or running walk. Returns false if there was nothing to cancel.
+   */
+  cancel(dirPath, { view = "" } = {}) {
+    const key = `${view}\0${dirPath}`;
+    const entry = this.entries.get(key);
+    if (!entry || (entry.status !== "queued" && entry.status !== "running")) {
+      return false;
+    }
+
+    entry.controller.abort();
+    entry.status = "cancelled";
+    this.queue = this.queue.filter(queued => queued !== key);
+    return true;
+  }
+
+  /**
+   * Drop cached sizes affected by a change at changedPath: the path itself, everything inside it
+   * and every ancestor, since all of their totals include it. Walks in progress for those paths are cancelled.
+   */
+  invalidate(changedPath) {
+    const resolved = path.resolve(changedPath);
+
+    for (const [key, entry] of this.entries) {
+      const { dirPath } = entry;
+      const isAffected = dirPath === resolved ||
+        resolved.startsWith(dirPath + path.sep) ||
+        dirPath.startsWith(resolved + path.sep);
+
+      if (isAffected) {
+        entry.controller.abort();
+        this.entries.delete(key);
+        this.queue = this.queue.filter(queued => queued !== key);
+      }
+    }
+  }
+
+  /**
+   * Public view of a cache entry
+   */
+  describe(entry) {
+    if (entry.status === "done") {
+      return {
+        status: "done",
+        size: entry.size,
+        files: entry.files,
+        directories: entry.directories,
+        computedAt: new Date(entry.computedAt).toISOString()
+      };
+    }
+
+    return entry.error ? { status: entry.status, error: entry.error } : { status: entry.status };
+  }
+
+  /**
+   * Keep the cache bounded, dropping the oldest finished entries first
+   */
+  evictOldest() {
+    for (const [key, entry] of this.entries) {
+      if (this.entries.size <= this.maxEntries) break;
+      if (entry.status !== "queued" && entry.status !== "running") {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Start queued walks while there are free slots
+   */
+  startNext() {
+    while (this.running < this.concurrency && this.queue.length > 0) {
+      const key = this.queue.shift();
+      const entry = this.entries.get(key);
+      if (!entry || entry.status !== "queued") continue;
+
+      this.running++;
+      entry.status = "running";
+
+      const skips = [this.skip, entry.skip].filter(Boolean);
+      const skip = (fullPath, dirent) => skips.some(skipEntry => skipEntry(fullPath, dirent));
+      computeDirectorySize(entry.dirPath, { signal: entry.controller.signal, statConcurrency: this.statConcurrency, skip })
+        .then(totals => {
+          // The entry may have been invalidated or replaced while the walk was running
+          if (this.entries.get(key) !== entry) return;
+          Object.assign(entry, totals, { status: "done", computedAt: Date.now() });
+        })
+        .catch(error => {
+          if (this.entries.get(key) !== entry) return;
+          if (error.name === "AbortError") {
+            entry.status = "cancelled";
+          } else {
+            Object.assign(entry, { status: "failed", error: error.message, computedAt: Date.now() });
+          }
+        })
+        .finally(() => {
+          this.running--;
+          this.startNext();
+        });
+    }
+  }
+}
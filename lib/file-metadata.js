@@ -0,0 +1,126 @@
+import fs from "fs";
+import mime from "mime-types";
+
+// Optional fields that GET /api/files can add to each entry with ?fields=
+export const LISTING_FIELDS = ["size", "modified", "created", "mode", "owner", "symlink", "mimeType"];
+
+/**
+ * Parse a comma-separated fields parameter. "all" selects every field, unknown names are ignored.
+ */
+export function parseListingFields(fieldsParam) {
+  if (!fieldsParam) return [];
+
+  const requested = String(fieldsParam).split(",").map(field => field.trim());
+  if (requested.includes("all")) return [...LISTING_FIELDS];
+
+  return LISTING_FIELDS.filter(field => requested.includes(field));
+}
+
+/**
+ * Run an async mapper over items with at most `limit` calls in flight, preserving order
+ */
+export async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+// Cached uid/gid -> name lookups from /etc/passwd and /etc/group
+let accountNames = null;
+
+function loadAccountNames() {
+  if (accountNames) return accountNames;
+
+  const parse = (file) => {
+    const names = new Map();
+    try {
+      fs.readFileSync(file, "utf8").split("\n").forEach(line => {
+        const [name, , id] = line.split(":");
+        if (name && id !== undefined) names.set(Number(id), name);
+      });
+    } catch (error) {
+      // Not every container has these files, fall back to numeric ids
+    }
+    return names;
+  };
+
+  accountNames = { users: parse("/etc/passwd"), groups: parse("/etc/group") };
+  return accountNames;
+}
+
+/**
+ * Format a mode as a zero-padded octal permission string, e.g. "0755"
+ */
+function formatMode(mode) {
+  return (mode & 0o7777).toString(8).padStart(4, "0");
+}
+
+/**
+ * Collect the requested metadata fields for a single directory entry.
+ * Symlinks report their own status and target, while size, times and type come from what they point to.
+ * A broken symlink or a file that vanished mid-listing gets null values instead of failing the listing.
+ */
+export async function getEntryMetadata(fullPath, name, fields) {
+  const metadata = {};
+  if (fields.length === 0) return metadata;
+
+  let linkStats = null;
+  let stats = null;
+  try {
+    linkStats = await fs.promises.lstat(fullPath);
+    stats = linkStats.isSymbolicLink() ? await fs.promises.stat(fullPath).catch(() => null) : linkStats;
+  } catch (error) {
+    // Entry disappeared between readdir and stat
+  }
+
+  for (const field of fields) {
+    switch (field) {
+      case "size":
+        metadata.size = stats && !stats.isDirectory() ? stats.size : null;
+        break;
+      case "modified":
+        metadata.modified = stats ? stats.mtime.toISOString() : null;
+        break;
+      case "created":
+        // Not every filesystem records a birth time, fall back to the inode change time
+        metadata.created = stats ? (stats.birthtimeMs > 0 ? stats.birthtime : stats.ctime).toISOString() : null;
+        break;
+      case "mode":
+        metadata.mode = stats ? formatMode(stats.mode) : null;
+        break;
+      case "owner": {
+        const { users, groups } = loadAccountNames();
+        metadata.owner = linkStats ? {
+          uid: linkStats.uid,
+          gid: linkStats.gid,
+          user: users.get(linkStats.uid) || null,
+          group: groups.get(linkStats.gid) || null
+        } : null;
+        break;
+      }
+      case "symlink":
+        metadata.isSymlink = Boolean(linkStats && linkStats.isSymbolicLink());
+        metadata.symlinkTarget = metadata.isSymlink ? await fs.promises.readlink(fullPath).catch(() => null) : null;
+        break;
+      case "mimeType":
+        if (stats && stats.isDirectory()) {
+          metadata.mimeType = "inode/directory";
+        } else {
+          metadata.mimeType = mime.lookup(name) || "application/octet-stream";
+        }
+        break;
+    }
+  }
+
+  return metadata;
+}
@@ -0,0 +1,70 @@
+// Device names Windows reserves, with or without an extension ("nul.txt" is as unusable as "NUL")
+const WINDOWS_DEVICE_NAMES = ["CON", "PRN", "AUX", "NUL",
+  ...Array.from({ length: 9 }, (_, i) => `COM${i + 1}`),
+  ...Array.from({ length: 9 }, (_, i) => `LPT${i + 1}`)];
+
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f-\u009f]/;
+const WINDOWS_INVALID_CHARACTERS = /[<>:"\\|?*]/;
+
+/**
+ * What a file or folder name created through the API may be. Names are Unicode, normalized to NFC so
+ * the same name typed on different systems is the same file; they may not be empty, contain "/" or
+ * control characters, be "." or "..", be longer than maxLength bytes of UTF-8 (the limit of most
+ * filesystems), or be one of reservedNames (compared case-insensitively). windowsCompatible also keeps
+ * out what Windows clients of the volume can't open: the characters <>:"\|?*, names ending in a dot or
+ * space, and device names such as CON or COM1.
+ *
+ * A name that breaks the policy is described as { reason, name, message }, with reason one of "empty",
+ * "too_long", "control_character", "slash", "invalid_character", "trailing_dot_or_space" or "reserved".
+ */
+export class FilenamePolicy {
+  constructor({ maxLength = 255, reservedNames = [], windowsCompatible = false } = {}) {
+    this.maxLength = maxLength;
+    this.reservedNames = new Set(reservedNames.map(name => name.normalize("NFC").toLowerCase()));
+    this.windowsCompatible = windowsCompatible;
+  }
+
+  /**
+   * Check a name. Returns { name } with the normalized name when it is allowed, or { violation }.
+   */
+  check(name) {
+    if (typeof name !== "string") {
+      return { violation: describeViolation("empty", "", "A name is required") };
+    }
+
+    const normalized = name.normalize("NFC");
+    if (normalized === "") {
+      return { violation: describeViolation("empty", normalized, "A name is required") };
+    }
+    if (normalized.includes("/")) {
+      return { violation: describeViolation("slash", normalized, `"${normalized}" can't contain "/"`) };
+    }
+    if (CONTROL_CHARACTERS.test(normalized)) {
+      return { violation: describeViolation("control_character", normalized, "Names can't contain control characters") };
+    }
+    if (Buffer.byteLength(normalized, "utf8") > this.maxLength) {
+      return { violation: describeViolation("too_long", normalized, `Names can be at most ${this.maxLength} bytes long`) };
+    }
+    if (normalized === "." || normalized === ".." || this.reservedNames.has(normalized.toLowerCase())) {
+      return { violation: describeViolation("reserved", normalized, `"${normalized}" is a reserved name`) };
+    }
+
+    if (this.windowsCompatible) {
+      if (WINDOWS_INVALID_CHARACTERS.test(normalized)) {
+        return { violation: describeViolation("invalid_character", normalized, `"${normalized}" can't contain any of < > : " \\ | ? *`) };
+      }
+      if (/[. ]$/.test(normalized)) {
+        return { violation: describeViolation("trailing_dot_or_space", normalized, `"${normalized}" can't end with a dot or a space`) };
+      }
+      if (WINDOWS_DEVICE_NAMES.includes(normalized.split(".")[0].trimEnd().toUpperCase())) {
+        return { violation: describeViolation("reserved", normalized, `"${normalized}" is a reserved name`) };
+      }
+    }
+
+    return { name: normalized };
+  }
+}
+
+function describeViolation(reason, name, message) {
+  return { reason, name, message };
+}
@@ -0,0 +1,106 @@
+import fs from "fs";
+import path from "path";
+import stream from "stream";
+import { FileStore } from "@tus/file-store";
+import { Upload, ERRORS } from "@tus/server";
+
+/**
+ * A tus FileStore that can write an upload into a region of a shared file instead of a file of its own.
+ * The parts of a multi-part upload are written at their offsets in one preallocated file, so the file is
+ * complete as soon as its last part arrives and finishing it is a rename.
+ *
+ * locatePart(upload) is called when an upload is created and returns { path, start } for a part, or null for
+ * uploads stored the usual way. The region is kept in the upload's .json info as
+ *   storage: { type: "part", path, start }
+ * together with the offset reached, since the size of the shared file says nothing about how much of one part
+ * has arrived. The offset is saved after each write; a write that is cut short is sent again from the saved
+ * offset, which just writes the same bytes to the same place.
+ */
+export class PartedFileStore extends FileStore {
+  constructor({ locatePart = () => null, ...options }) {
+    super(options);
+    this.locatePart = locatePart;
+  }
+
+  async create(upload) {
+    const region = this.locatePart(upload);
+    if (!region) return super.create(upload);
+
+    upload.storage = { type: "part", path: region.path, start: region.start };
+    await this.saveInfo(upload);
+    return upload;
+  }
+
+  async getUpload(id) {
+    const info = await this.getPartInfo(id);
+    if (!info) return super.getUpload(id);
+
+    if (!fs.existsSync(info.storage.path)) {
+      throw ERRORS.FILE_NO_LONGER_EXISTS;
+    }
+    return new Upload(info);
+  }
+
+  async write(readable, id, offset) {
+    const info = await this.getPartInfo(id);
+    if (!info) return super.write(readable, id, offset);
+
+    let received = 0;
+    const counter = new stream.Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        callback(null, chunk);
+      }
+    });
+    const writable = fs.createWriteStream(info.storage.path, { flags: "r+", start: info.storage.start + offset });
+
+    try {
+      await stream.promises.pipeline(readable, counter, writable);
+    } catch (error) {
+      throw ERRORS.FILE_WRITE_ERROR;
+    }
+
+    info.offset = offset + received;
+    await this.saveInfo(info);
+    return info.offset;
+  }
+
+  async remove(id) {
+    const info = await this.getPartInfo(id);
+    if (!info) return super.remove(id);
+
+    // The shared file belongs to the multi-part upload, not to this part
+    await this.configstore.delete(id);
+  }
+
+  /**
+   * Forget the data written to an upload past offset, so it has to be sent again
+   */
+  async rewind(id, offset) {
+    const info = await this.getPartInfo(id);
+    if (!info) {
+      await fs.promises.truncate(path.join(this.directory, id), offset);
+      return;
+    }
+
+    info.offset = offset;
+    await this.saveInfo(info);
+  }
+
+  /**
+   * The .json info of an upload stored in a region of a shared file, or null for any other upload
+   */
+  async getPartInfo(id) {
+    const info = await this.configstore.get(id);
+    return info && info.storage && info.storage.type === "part" ? info : null;
+  }
+
+  /**
+   * Write an upload's .json info atomically, so a crash mid-write can't lose track of a part
+   */
+  async saveInfo(upload) {
+    const infoPath = path.join(this.directory, `${upload.id}.json`);
+    await fs.promises.writeFile(`${infoPath}.tmp`, JSON.stringify({ ...upload, offset: upload.offset ?? 0 }));
+    await fs.promises.rename(`${infoPath}.tmp`, infoPath);
+  }
+}
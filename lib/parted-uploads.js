@@ -0,0 +1,224 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Read a tus upload in the staging directory from its .json info file.
+ * Returns { id, size, metadata, creationDate, received, modified, kept } where received is the number of bytes
+ * on disk (null when the data file is missing) and modified is when data last arrived (or the info was written).
+ * For a part written into a shared file (see PartedFileStore) received is the offset saved in its info.
+ * kept is set for uploads exempted from the staging expiry sweep (see setStagedUploadKept).
+ * An upload is complete when received === size. Returns null when the info file is missing or unreadable.
+ */
+export async function readStagedUpload(stagingDir, id) {
+  const infoPath = path.join(stagingDir, `${id}.json`);
+
+  let info;
+  let modified;
+  try {
+    info = JSON.parse(await fs.promises.readFile(infoPath, "utf8"));
+    modified = (await fs.promises.stat(infoPath)).mtimeMs;
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.warn(`Skipping unreadable upload info ${id}.json: ${error.message}`);
+    }
+    return null;
+  }
+
+  let received = null;
+  if (info.storage && info.storage.type === "part") {
+    received = info.offset ?? 0;
+  } else {
+    try {
+      const stats = await fs.promises.stat(path.join(stagingDir, id));
+      received = stats.size;
+      modified = Math.max(modified, stats.mtimeMs);
+    } catch (error) {
+      // Info file without data
+    }
+  }
+
+  return {
+    id,
+    size: info.size ?? null,
+    metadata: info.metadata || {},
+    creationDate: info.creation_date ? Date.parse(info.creation_date) : null,
+    received,
+    modified,
+    kept: !!info.kept
+  };
+}
+
+/**
+ * Mark a staged upload as kept (exempt from the staging expiry sweep) or not, in its .json info.
+ * Throws ENOENT when the upload is gone.
+ */
+export async function setStagedUploadKept(stagingDir, id, kept) {
+  const infoPath = path.join(stagingDir, `${id}.json`);
+  const info = JSON.parse(await fs.promises.readFile(infoPath, "utf8"));
+
+  if (kept) {
+    info.kept = true;
+  } else {
+    delete info.kept;
+  }
+  await fs.promises.writeFile(`${infoPath}.tmp`, JSON.stringify(info));
+  await fs.promises.rename(`${infoPath}.tmp`, infoPath);
+}
+
+/**
+ * Files in the staging directory that are not tus uploads: temporary files (*.tmp, e.g. a final upload
+ * being concatenated) and files parts are written into (*.assembly). Returns [{ name, size, modified }].
+ */
+export async function readStagingFiles(stagingDir) {
+  const files = [];
+
+  for (const name of await fs.promises.readdir(stagingDir)) {
+    if (!name.endsWith(".tmp") && !name.endsWith(".assembly")) continue;
+    try {
+      const stats = await fs.promises.stat(path.join(stagingDir, name));
+      files.push({ name, size: stats.size, modified: stats.mtimeMs });
+    } catch (error) {
+      // Removed while listing
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Read every tus upload in the staging directory (see readStagedUpload)
+ */
+export async function readStagedUploads(stagingDir) {
+  const names = await fs.promises.readdir(stagingDir);
+  const uploads = [];
+
+  for (const name of names) {
+    if (!name.endsWith(".json")) continue;
+    const upload = await readStagedUpload(stagingDir, name.slice(0, -".json".length));
+    if (upload) uploads.push(upload);
+  }
+
+  return uploads;
+}
+
+/**
+ * Open multi-part upload sessions, saved as JSON in the staging directory so a restart
+ * doesn't lose which parts of a file have arrived. The parts are written into one file per session,
+ * <sessionId>.assembly in the staging directory. Each session is serialized as
+ *   { id, filename, size, sha256, totalParts, targetPath, onDuplicateFiles, owner, parts: [partNumber],
+ *     uploadIds: { partNumber: uploadId }, timestamp, auditContext, kept }
+ * with targetPath relative to the volume. Saves are queued and written atomically (temp file + rename).
+ */
+export class PartedUploadState {
+  constructor({ file }) {
+    this.file = file;
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Load saved sessions. A missing or unreadable file gives an empty list.
+   */
+  async load() {
+    try {
+      const { uploads = [] } = JSON.parse(await fs.promises.readFile(this.file, "utf8"));
+      return uploads;
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.warn(`Ignoring unreadable parted upload state ${this.file}: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Replace the saved sessions
+   */
+  save(uploads) {
+    const content = JSON.stringify({ uploads }, null, 2);
+    const tempFile = `${this.file}.tmp`;
+
+    this.writes = this.writes
+      .then(async () => {
+        await fs.promises.writeFile(tempFile, content);
+        await fs.promises.rename(tempFile, this.file);
+      })
+      .catch(error => console.error(`Failed to save parted upload state: ${error.message}`));
+    return this.writes;
+  }
+}
+
+/**
+ * Parse a tus Upload-Concat header: { type: "partial" }, or { type: "final", uploadIds } with the ids taken
+ * from the last segment of each (absolute or relative) partial upload URL. Returns null when the header is
+ * absent and throws an error with status 400 when it is malformed.
+ */
+export function parseUploadConcat(value) {
+  if (!value) return null;
+  if (value === "partial") return { type: "partial" };
+
+  const match = /^final;(.+)$/.exec(value);
+  const urls = match ? match[1].trim().split(/ +/) : [];
+  const uploadIds = urls.map(url => {
+    try {
+      return new URL(url, "http://localhost").pathname.replace(/\/+$/, "").split("/").pop();
+    } catch (error) {
+      return "";
+    }
+  });
+
+  if (uploadIds.length === 0 || uploadIds.some(uploadId => !uploadId)) {
+    const error = new Error("Upload-Concat must be \"partial\" or \"final;\" followed by partial upload URLs");
+    error.status = 400;
+    throw error;
+  }
+  if (new Set(uploadIds).size !== uploadIds.length) {
+    const error = new Error("Upload-Concat lists the same partial upload more than once");
+    error.status = 400;
+    throw error;
+  }
+  return { type: "final", uploadIds };
+}
+
+/**
+ * Create (or replace) a file of `size` bytes for the parts of an upload to be written into.
+ * The file is sparse on most filesystems, so this takes no time and space is used as the parts arrive.
+ */
+export async function preallocateFile(filePath, size) {
+  const handle = await fs.promises.open(filePath, "w");
+  try {
+    await handle.truncate(size);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Copy files one after another into destination (created or truncated), reading in 64MB chunks so
+ * large files never have to fit in memory. Returns the number of bytes written.
+ * onProgress(bytesWritten) is called after each chunk is written.
+ */
+export async function concatenateFiles(sourcePaths, destination, onProgress = null) {
+  const output = await fs.promises.open(destination, "w");
+  const buffer = Buffer.allocUnsafe(64 * 1024 * 1024);
+  let totalSize = 0;
+
+  try {
+    for (const sourcePath of sourcePaths) {
+      const input = await fs.promises.open(sourcePath, "r");
+      try {
+        let bytesRead;
+        while ((bytesRead = (await input.read(buffer, 0, buffer.length, null)).bytesRead) > 0) {
+          await output.write(buffer, 0, bytesRead);
+          totalSize += bytesRead;
+          if (onProgress) onProgress(totalSize);
+        }
+      } finally {
+        await input.close();
+      }
+    }
+  } finally {
+    await output.close();
+  }
+
+  return totalSize;
+}
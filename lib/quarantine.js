@@ -0,0 +1,126 @@
+import fs from "fs";
+import path from "path";
+
+// Quarantine ids are upload or session ids, anything else in a request is rejected before it reaches the filesystem
+const QUARANTINE_ID_PATTERN = /^[0-9a-f]{8,64}$/;
+
+/**
+ * Holding area for uploads that failed checksum verification, so a corrupt file never appears at its
+ * destination but is not thrown away either. Same layout as the trash:
+ *   files/<id>      - the uploaded data
+ *   info/<id>.json  - { id, filename, targetPath, size, algorithm, expected, actual, actor, quarantinedAt }
+ * with id the upload id (or upload session id) and targetPath the volume directory it was meant for.
+ * Entries are kept for maxAge ms and, oldest first, while they take more than maxSize bytes, like the trash.
+ * Errors carry an fs-style code: ENOENT for unknown ids.
+ */
+export class Quarantine {
+  constructor({ dir, maxAge = 30 * 24 * 60 * 60 * 1000, maxSize = Infinity }) {
+    this.dir = dir;
+    this.maxAge = maxAge;
+    this.maxSize = maxSize;
+    this.filesDir = path.join(dir, "files");
+    this.infoDir = path.join(dir, "info");
+  }
+
+  /**
+   * Create the quarantine directories
+   */
+  async init() {
+    await fs.promises.mkdir(this.filesDir, { recursive: true });
+    await fs.promises.mkdir(this.infoDir, { recursive: true });
+  }
+
+  /**
+   * Move a file into quarantine and return its entry
+   */
+  async add(filePath, details) {
+    const stats = await fs.promises.stat(filePath);
+    const entry = { ...details, size: stats.size, quarantinedAt: new Date().toISOString() };
+
+    await fs.promises.writeFile(this.getInfoPath(entry.id), JSON.stringify(entry, null, 2));
+    try {
+      await fs.promises.rename(filePath, this.getItemPath(entry.id));
+    } catch (error) {
+      await fs.promises.rm(this.getInfoPath(entry.id), { force: true });
+      throw error;
+    }
+    return entry;
+  }
+
+  /**
+   * List quarantined files, most recently quarantined first
+   */
+  async list() {
+    const names = await fs.promises.readdir(this.infoDir);
+    const entries = [];
+
+    for (const name of names) {
+      if (!name.endsWith(".json")) continue;
+
+      try {
+        entries.push(await this.get(name.slice(0, -".json".length)));
+      } catch (error) {
+        continue;
+      }
+    }
+
+    return entries.sort((a, b) => b.quarantinedAt.localeCompare(a.quarantinedAt));
+  }
+
+  /**
+   * Get a single entry
+   */
+  async get(id) {
+    if (!QUARANTINE_ID_PATTERN.test(id)) {
+      throw Object.assign(new Error("Quarantined file not found"), { code: "ENOENT" });
+    }
+
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(this.getInfoPath(id), "utf8"));
+      await fs.promises.lstat(this.getItemPath(id));
+      return entry;
+    } catch (error) {
+      throw Object.assign(new Error("Quarantined file not found"), { code: "ENOENT" });
+    }
+  }
+
+  /**
+   * Permanently delete a quarantined file
+   */
+  async remove(id) {
+    const entry = await this.get(id);
+    await fs.promises.rm(this.getItemPath(id), { force: true });
+    await fs.promises.rm(this.getInfoPath(id), { force: true });
+    return entry;
+  }
+
+  /**
+   * Remove entries older than maxAge, then the oldest entries until the quarantine fits in maxSize.
+   * Returns the removed entries.
+   */
+  async enforceRetention() {
+    const entries = (await this.list()).reverse();
+    const now = Date.now();
+    const removed = [];
+    let totalSize = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+
+    for (const entry of entries) {
+      const isExpired = now - new Date(entry.quarantinedAt).getTime() > this.maxAge;
+      if (!isExpired && totalSize <= this.maxSize) break;
+
+      await this.remove(entry.id);
+      totalSize -= entry.size || 0;
+      removed.push(entry);
+    }
+
+    return removed;
+  }
+
+  getItemPath(id) {
+    return path.join(this.filesDir, id);
+  }
+
+  getInfoPath(id) {
+    return path.join(this.infoDir, `${id}.json`);
+  }
+}
@@ -0,0 +1,55 @@
+import path from "path";
+
+/**
+ * Paths on the volume that belong to the server rather than to its users: the upload staging directory,
+ * the trash, the quarantine, the audit log and any configured by the operator. They are left out of
+ * listings, searches, archives and size totals, and can't be the source or destination of a change
+ * made through the API.
+ */
+export class ReservedPaths {
+  constructor() {
+    this.paths = new Map(); // Map of full path -> what it is for, e.g. "the trash"
+  }
+
+  /**
+   * Reserve a full path and everything inside it
+   */
+  add(fullPath, description) {
+    this.paths.set(path.resolve(fullPath), description);
+  }
+
+  /**
+   * Whether a full path is reserved or inside a reserved path
+   */
+  contains(fullPath) {
+    return this.find(fullPath) !== null;
+  }
+
+  /**
+   * The reserved path that a full path is or lies inside, as { path, description }, or null
+   */
+  find(fullPath) {
+    for (const [reservedPath, description] of this.paths) {
+      if (fullPath === reservedPath || fullPath.startsWith(reservedPath + path.sep)) {
+        return { path: reservedPath, description };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Like find, but also returns a reserved path lying inside fullPath: deleting or replacing a
+   * directory takes everything in it along.
+   */
+  findOverlap(fullPath) {
+    const found = this.find(fullPath);
+    if (found) return found;
+
+    for (const [reservedPath, description] of this.paths) {
+      if (reservedPath.startsWith(fullPath + path.sep)) {
+        return { path: reservedPath, description };
+      }
+    }
+    return null;
+  }
+}
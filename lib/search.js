@@ -0,0 +1,314 @@
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import vm from "vm";
+import { walkTree } from "./walk.js";
+
+export const SEARCH_MODES = ["substring", "glob", "regex"];
+export const SEARCH_TYPES = ["any", "file", "directory"];
+
+// Patterns come from clients and V8 regular expressions backtrack, so one like (a+)+$ could hold up the server
+// indefinitely. Patterns are limited in length, and a single match that runs longer than the timeout (ms) stops
+// the search.
+export const PATTERN_MAX_LENGTH = 500;
+export const REGEX_TIMEOUT = parseInt(process.env.SEARCH_REGEX_TIMEOUT_MS) || 100;
+const execScript = new vm.Script("regex.exec(input)");
+
+/**
+ * Wrap a RegExp into an exec function with a time limit. Running each match in a vm context is what makes it
+ * interruptible; it costs some microseconds per call. Throws an error with code "ERR_SEARCH_TIMEOUT" when a
+ * match runs out of time.
+ */
+function boundRegExp(regex) {
+  const context = vm.createContext({ regex, input: "" });
+  return input => {
+    context.input = input;
+    try {
+      return execScript.runInContext(context, { timeout: REGEX_TIMEOUT });
+    } catch (error) {
+      if (error.code !== "ERR_SCRIPT_EXECUTION_TIMEOUT") throw error;
+      throw Object.assign(new Error(`The pattern took longer than ${REGEX_TIMEOUT} ms to match, so the search was stopped`), {
+        code: "ERR_SEARCH_TIMEOUT"
+      });
+    }
+  };
+}
+
+function checkPatternLength(pattern) {
+  if (pattern.length > PATTERN_MAX_LENGTH) {
+    throw new SyntaxError(`Patterns can be at most ${PATTERN_MAX_LENGTH} characters long`);
+  }
+}
+
+/**
+ * Convert a shell-style glob into a RegExp.
+ * Supports *, ?, [abc] / [!abc] classes and {a,b} alternatives. "**" also matches "/".
+ */
+export function globToRegExp(glob, flags = "") {
+  let pattern = "";
+  let inGroup = false;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === "*") {
+      if (glob[i + 1] === "*") {
+        pattern += ".*";
+        i++;
+      } else {
+        pattern += "[^/]*";
+      }
+    } else if (char === "?") {
+      pattern += "[^/]";
+    } else if (char === "[") {
+      const end = glob.indexOf("]", i + 1);
+      if (end === -1) {
+        pattern += "\\[";
+      } else {
+        const body = glob.slice(i + 1, end).replace(/\\/g, "\\\\");
+        pattern += body.startsWith("!") ? `[^${body.slice(1)}]` : `[${body}]`;
+        i = end;
+      }
+    } else if (char === "{") {
+      inGroup = true;
+      pattern += "(?:";
+    } else if (char === "}" && inGroup) {
+      inGroup = false;
+      pattern += ")";
+    } else if (char === "," && inGroup) {
+      pattern += "|";
+    } else {
+      pattern += char.replace(/[.+^$()|\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${pattern}$`, flags);
+}
+
+/**
+ * Build a name matcher for the given query and mode.
+ * Throws a SyntaxError for an invalid or overlong pattern; regex and glob matchers throw when a match times out.
+ */
+export function createNameMatcher(query, mode = "substring", caseSensitive = false) {
+  if (mode === "regex" || mode === "glob") {
+    checkPatternLength(query);
+    const flags = caseSensitive ? "" : "i";
+    const exec = boundRegExp(mode === "regex" ? new RegExp(query, flags) : globToRegExp(query, flags));
+    return name => exec(name) !== null;
+  }
+
+  const needle = caseSensitive ? query : query.toLowerCase();
+  return name => (caseSensitive ? name : name.toLowerCase()).includes(needle);
+}
+
+/**
+ * Search a tree for entries whose name matches, yielding { fullPath, name, isDirectory, size, modified }.
+ * Options:
+ *   matcher          - name => boolean
+ *   type             - "any", "file" or "directory"
+ *   minSize, maxSize - byte range for files
+ *   modifiedAfter, modifiedBefore - Date bounds on mtime
+ *   signal, skip     - passed through to walkTree
+ */
+export async function* searchNames(rootDir, options) {
+  const { matcher, type = "any", minSize, maxSize, modifiedAfter, modifiedBefore, signal, skip } = options;
+  const hasSizeFilter = minSize !== undefined || maxSize !== undefined;
+
+  for await (const { fullPath, name, dirent } of walkTree(rootDir, { signal, skip })) {
+    const isDirectory = dirent.isDirectory();
+
+    if (type === "file" && isDirectory) continue;
+    if (type === "directory" && !isDirectory) continue;
+    if (!matcher(name)) continue;
+
+    // Only stat entries that already matched by name
+    let stats;
+    try {
+      stats = await fs.promises.lstat(fullPath);
+    } catch (error) {
+      continue;
+    }
+
+    if (hasSizeFilter) {
+      if (isDirectory) continue;
+      if (minSize !== undefined && stats.size < minSize) continue;
+      if (maxSize !== undefined && stats.size > maxSize) continue;
+    }
+    if (modifiedAfter && stats.mtime < modifiedAfter) continue;
+    if (modifiedBefore && stats.mtime > modifiedBefore) continue;
+
+    yield {
+      fullPath,
+      name,
+      isDirectory,
+      size: isDirectory ? null : stats.size,
+      modified: stats.mtime.toISOString()
+    };
+  }
+}
+
+// Number of leading bytes inspected when deciding whether a file is binary
+const BINARY_SNIFF_BYTES = 8000;
+
+// Snippet lines longer than this are cut so a minified file can't flood the response
+const MAX_SNIPPET_LENGTH = 500;
+
+/**
+ * Build a line matcher returning { column, length } of the first match, or null.
+ * Throws a SyntaxError for an invalid or overlong regular expression; a regex matcher throws when a match times out.
+ */
+export function createLineMatcher(query, mode = "substring", caseSensitive = false) {
+  if (mode === "regex") {
+    checkPatternLength(query);
+    const exec = boundRegExp(new RegExp(query, caseSensitive ? "" : "i"));
+    return line => {
+      const match = exec(line);
+      return match ? { column: match.index, length: match[0].length } : null;
+    };
+  }
+
+  const needle = caseSensitive ? query : query.toLowerCase();
+  return line => {
+    const index = (caseSensitive ? line : line.toLowerCase()).indexOf(needle);
+    return index === -1 ? null : { column: index, length: needle.length };
+  };
+}
+
+/**
+ * Build a path filter from include and exclude globs.
+ * Globs containing "/" are matched against the relative path, others against the file name.
+ * Throws a SyntaxError for an overlong glob; the filter throws when a match times out.
+ */
+export function createGlobFilter(includeGlobs = [], excludeGlobs = []) {
+  const compile = globs => globs.filter(Boolean).map(glob => {
+    checkPatternLength(glob);
+    return { exec: boundRegExp(globToRegExp(glob)), matchPath: glob.includes("/") };
+  });
+  const includes = compile(includeGlobs);
+  const excludes = compile(excludeGlobs);
+  const matches = (rules, relativePath, name) =>
+    rules.some(({ exec, matchPath }) => exec(matchPath ? relativePath : name) !== null);
+
+  return (relativePath, name) => {
+    if (includes.length > 0 && !matches(includes, relativePath, name)) return false;
+    return !matches(excludes, relativePath, name);
+  };
+}
+
+/**
+ * Guess whether a file is binary by looking for NUL bytes near the start, like grep does
+ */
+export async function isBinaryFile(fullPath) {
+  const handle = await fs.promises.open(fullPath, "r");
+  try {
+    const buffer = Buffer.alloc(BINARY_SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, BINARY_SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead).includes(0);
+  } finally {
+    await handle.close();
+  }
+}
+
+function truncateSnippet(line) {
+  return line.length > MAX_SNIPPET_LENGTH ? `${line.slice(0, MAX_SNIPPET_LENGTH)}…` : line;
+}
+
+/**
+ * Search a text file line by line, yielding { line, column, length, text, before, after } for each match.
+ * before/after hold up to contextLines surrounding lines.
+ */
+export async function* grepFile(fullPath, matcher, { contextLines = 2, maxMatches = Infinity, signal } = {}) {
+  const stream = fs.createReadStream(fullPath, { encoding: "utf8" });
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  const previous = [];
+  const pending = [];
+  let lineNumber = 0;
+  let matchCount = 0;
+
+  try {
+    for await (const text of lines) {
+      if (signal && signal.aborted) return;
+      lineNumber++;
+
+      // Fill in trailing context for matches still waiting on it
+      for (const match of pending) {
+        match.after.push(truncateSnippet(text));
+      }
+      while (pending.length > 0 && pending[0].after.length >= contextLines) {
+        yield pending.shift();
+      }
+
+      if (matchCount < maxMatches) {
+        const found = matcher(text);
+        if (found) {
+          matchCount++;
+          const match = {
+            line: lineNumber,
+            column: found.column,
+            length: found.length,
+            text: truncateSnippet(text),
+            before: [...previous],
+            after: []
+          };
+          if (contextLines === 0) {
+            yield match;
+          } else {
+            pending.push(match);
+          }
+        }
+      } else if (pending.length === 0) {
+        return;
+      }
+
+      previous.push(truncateSnippet(text));
+      if (previous.length > contextLines) previous.shift();
+    }
+
+    // End of file: whatever context was collected is all there is
+    yield* pending;
+  } finally {
+    lines.close();
+    stream.destroy();
+  }
+}
+
+/**
+ * Search file contents under a tree, yielding { fullPath, relativePath, matches } per file with matches.
+ * Options:
+ *   matcher           - line matcher from createLineMatcher
+ *   pathFilter        - (relativePath, name) => boolean from createGlobFilter
+ *   maxFileSize       - larger files are skipped
+ *   contextLines      - lines of context around each match
+ *   maxMatchesPerFile - stop reading a file after this many matches
+ *   signal, skip      - passed through to walkTree
+ */
+export async function* searchContents(rootDir, options) {
+  const { matcher, pathFilter, maxFileSize, contextLines, maxMatchesPerFile, signal, skip } = options;
+
+  for await (const { fullPath, name, dirent } of walkTree(rootDir, { signal, skip })) {
+    if (!dirent.isFile()) continue;
+
+    const relativePath = path.relative(rootDir, fullPath).split(path.sep).join("/");
+    if (pathFilter && !pathFilter(relativePath, name)) continue;
+
+    try {
+      const stats = await fs.promises.stat(fullPath);
+      if (stats.size === 0 || stats.size > maxFileSize) continue;
+      if (await isBinaryFile(fullPath)) continue;
+
+      const matches = [];
+      for await (const match of grepFile(fullPath, matcher, { contextLines, maxMatches: maxMatchesPerFile, signal })) {
+        matches.push(match);
+      }
+
+      if (matches.length > 0) {
+        yield { fullPath, relativePath, matches };
+      }
+    } catch (error) {
+      // Unreadable or vanished files are skipped rather than failing the whole search; a pattern that ran out
+      // of time ends it
+      if (error.code === "ERR_SEARCH_TIMEOUT") throw error;
+      continue;
+    }
+  }
+}
@@ -0,0 +1,187 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { computeDirectorySize } from "./dir-size.js";
+
+// Trash ids are generated here, anything else in a request is rejected before it reaches the filesystem
+const TRASH_ID_PATTERN = /^[0-9]+-[0-9a-f]+$/;
+
+/**
+ * Recycle bin kept in a hidden directory on the volume, so deleting is a rename rather than a copy.
+ * Layout loosely follows the freedesktop.org trash spec:
+ *   files/<id>      - the deleted file or directory
+ *   info/<id>.json  - { id, name, originalPath, deletedAt, isDirectory, size }
+ * Errors carry an fs-style code: ENOENT for unknown ids, EEXIST when a restore target is taken.
+ */
+export class Trash {
+  constructor({ trashDir, rootDir, maxAge = 30 * 24 * 60 * 60 * 1000, maxSize = Infinity }) {
+    this.trashDir = trashDir;
+    this.rootDir = rootDir;
+    this.maxAge = maxAge;
+    this.maxSize = maxSize;
+    this.filesDir = path.join(trashDir, "files");
+    this.infoDir = path.join(trashDir, "info");
+  }
+
+  /**
+   * Create the trash directories
+   */
+  async init() {
+    await fs.promises.mkdir(this.filesDir, { recursive: true });
+    await fs.promises.mkdir(this.infoDir, { recursive: true });
+  }
+
+  /**
+   * Move a file or directory into the trash and return its entry
+   */
+  async moveToTrash(fullPath) {
+    const stats = await fs.promises.lstat(fullPath);
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+    const entry = {
+      id,
+      name: path.basename(fullPath),
+      originalPath: path.relative(this.rootDir, fullPath).split(path.sep).join("/"),
+      deletedAt: new Date().toISOString(),
+      isDirectory: stats.isDirectory(),
+      // Directory totals are filled in by a background walk so deleting a large tree stays instant
+      size: stats.isDirectory() ? null : stats.size
+    };
+
+    // Write the record first: if the rename fails it is removed again, and an item is never trashed without one
+    await this.writeInfo(entry);
+    try {
+      await fs.promises.rename(fullPath, this.getItemPath(id));
+    } catch (error) {
+      await fs.promises.rm(this.getInfoPath(id), { force: true });
+      throw error;
+    }
+
+    if (entry.isDirectory) {
+      computeDirectorySize(this.getItemPath(id))
+        .then(({ size }) => {
+          // The entry may have been restored or purged while the walk was running
+          if (fs.existsSync(this.getItemPath(id))) {
+            return this.writeInfo({ ...entry, size });
+          }
+        })
+        .catch(error => console.error(`Failed to size trashed directory ${entry.originalPath}: ${error.message}`));
+    }
+
+    return entry;
+  }
+
+  /**
+   * List trash entries, most recently deleted first
+   */
+  async list() {
+    const names = await fs.promises.readdir(this.infoDir);
+    const entries = [];
+
+    for (const name of names) {
+      if (!name.endsWith(".json")) continue;
+      const id = name.slice(0, -".json".length);
+
+      try {
+        const entry = JSON.parse(await fs.promises.readFile(path.join(this.infoDir, name), "utf8"));
+        // Skip records whose item was removed outside the file manager
+        await fs.promises.lstat(this.getItemPath(id));
+        entries.push(entry);
+      } catch (error) {
+        continue;
+      }
+    }
+
+    return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  /**
+   * Get a single entry
+   */
+  async get(id) {
+    if (!TRASH_ID_PATTERN.test(id)) {
+      throw Object.assign(new Error("Trash entry not found"), { code: "ENOENT" });
+    }
+
+    try {
+      const entry = JSON.parse(await fs.promises.readFile(this.getInfoPath(id), "utf8"));
+      await fs.promises.lstat(this.getItemPath(id));
+      return entry;
+    } catch (error) {
+      throw Object.assign(new Error("Trash entry not found"), { code: "ENOENT" });
+    }
+  }
+
+  /**
+   * Move an entry back to targetPath (defaults to where it was deleted from).
+   * Missing parent directories are recreated; an existing target is never overwritten.
+   */
+  async restore(id, targetPath) {
+    const entry = await this.get(id);
+    const destination = targetPath || path.join(this.rootDir, entry.originalPath);
+
+    if (fs.existsSync(destination)) {
+      throw Object.assign(new Error(`"${entry.originalPath}" already exists`), { code: "EEXIST" });
+    }
+
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+    await fs.promises.rename(this.getItemPath(id), destination);
+    await fs.promises.rm(this.getInfoPath(id), { force: true });
+
+    return { entry, fullPath: destination };
+  }
+
+  /**
+   * Permanently delete an entry
+   */
+  async purge(id) {
+    const entry = await this.get(id);
+    await fs.promises.rm(this.getItemPath(id), { recursive: true, force: true });
+    await fs.promises.rm(this.getInfoPath(id), { force: true });
+    return entry;
+  }
+
+  /**
+   * Permanently delete everything in the trash, including items without a record
+   */
+  async empty() {
+    const entries = await this.list();
+    await fs.promises.rm(this.filesDir, { recursive: true, force: true });
+    await fs.promises.rm(this.infoDir, { recursive: true, force: true });
+    await this.init();
+    return entries.length;
+  }
+
+  /**
+   * Purge entries older than maxAge, then the oldest entries until the trash fits in maxSize.
+   * Returns the purged entries.
+   */
+  async enforceRetention() {
+    const entries = (await this.list()).reverse();
+    const now = Date.now();
+    const purged = [];
+    let totalSize = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+
+    for (const entry of entries) {
+      const isExpired = now - new Date(entry.deletedAt).getTime() > this.maxAge;
+      if (!isExpired && totalSize <= this.maxSize) break;
+
+      await this.purge(entry.id);
+      totalSize -= entry.size || 0;
+      purged.push(entry);
+    }
+
+    return purged;
+  }
+
+  getItemPath(id) {
+    return path.join(this.filesDir, id);
+  }
+
+  getInfoPath(id) {
+    return path.join(this.infoDir, `${id}.json`);
+  }
+
+  async writeInfo(entry) {
+    await fs.promises.writeFile(this.getInfoPath(entry.id), JSON.stringify(entry, null, 2));
+  }
+}
@@ -0,0 +1,58 @@
+import crypto from "crypto";
+
+// Upper bound on parts per session, well above what the client splits files into
+export const MAX_UPLOAD_PARTS = 64;
+
+export const SESSION_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+export function createSessionId() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+/**
+ * Split a file of `size` bytes into `totalParts` contiguous parts of equal size (the last one may be smaller).
+ * Returns [{ partNumber, offset, size }]; parts are numbered from 1.
+ */
+export function planParts(size, totalParts) {
+  const partSize = Math.ceil(size / totalParts);
+  return Array.from({ length: totalParts }, (unused, index) => {
+    const offset = index * partSize;
+    return { partNumber: index + 1, offset, size: Math.max(0, Math.min(partSize, size - offset)) };
+  });
+}
+
+/**
+ * Check the file description a client opens a session with.
+ * Returns an error message, or null when it is valid.
+ */
+export function validateSessionRequest({ filename, size, totalParts }) {
+  if (typeof filename !== "string" || filename.trim() === "") {
+    return "filename is required";
+  }
+  if (!Number.isSafeInteger(size) || size < 0) {
+    return "size must be a whole number of bytes";
+  }
+  if (!Number.isInteger(totalParts) || totalParts < 1 || totalParts > MAX_UPLOAD_PARTS) {
+    return `totalParts must be between 1 and ${MAX_UPLOAD_PARTS}`;
+  }
+  if (planParts(size, totalParts).some(part => part.size === 0)) {
+    return "Every part must contain at least one byte";
+  }
+  return null;
+}
+
+/**
+ * Check a part against its session before data is accepted or assembled.
+ * Returns an error message, or null when the part fits the session's plan.
+ */
+export function validatePart(session, partNumber, partSize) {
+  if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > session.totalParts) {
+    return `Part number must be between 1 and ${session.totalParts}`;
+  }
+
+  const expected = planParts(session.size, session.totalParts)[partNumber - 1].size;
+  if (partSize !== expected) {
+    return `Part ${partNumber} must be ${expected} bytes, got ${partSize}`;
+  }
+  return null;
+}
@@ -0,0 +1,128 @@
+export const UPLOAD_STATES = ["pending", "verifying", "assembling", "done", "failed"];
+
+// Processing stages that report progress: joining partial uploads and checking the SHA-256. Moving a file into
+// place is a rename, with no progress to report.
+export const PROCESSING_STAGES = ["assembly", "checksum"];
+
+/**
+ * Finalization state of uploads, by tus upload id:
+ *   pending    - received, waiting to be moved into place (or for the other parts of a parted upload)
+ *   verifying  - the data is being checked against the SHA-256 the client sent
+ *   assembling - parts are being joined or the file is being moved into place
+ *   done       - in place; path is its volume path
+ *   failed     - error says why
+ * checksum is "verified" or "mismatch" once an upload that came with a SHA-256 has been checked
+ * (a mismatching file is quarantined rather than moved into place), and null otherwise.
+ * duplicate says how a name that was already taken was dealt with: "numbered", "replaced" or "skipped"
+ * (path is then the existing file, and the upload was discarded); it is null when the name was free.
+ * progress is { stage, bytesProcessed, bytesTotal, startedAt, reportedAt } while a processing stage that goes
+ * through the data is running, and is cleared when the state changes.
+ * The parts of a parted upload share one status. Finished statuses are forgotten after `ttl` ms.
+ * onUpdate(uploadId, status) is called for every change; progress is passed on at most every `progressInterval` ms.
+ */
+export class UploadStatusTracker {
+  constructor({ ttl = 60 * 60 * 1000, progressInterval = 500, onUpdate } = {}) {
+    this.ttl = ttl;
+    this.progressInterval = progressInterval;
+    this.onUpdate = onUpdate;
+    this.statuses = new Map(); // Map of uploadId -> { state, path, error, checksum, duplicate, owner, parts, progress, updatedAt }
+  }
+
+  /**
+   * Current status of an upload, or null when unknown
+   */
+  get(uploadId) {
+    return this.statuses.get(uploadId) || null;
+  }
+
+  /**
+   * Update the status of one or more uploads (e.g. every part of a parted upload).
+   * Fields not given keep their previous value.
+   */
+  set(uploadIds, update) {
+    this.prune();
+
+    [].concat(uploadIds).forEach(uploadId => {
+      const previous = this.statuses.get(uploadId);
+      const isNewState = !!previous && !!update.state && update.state !== previous.state;
+      const status = {
+        state: "pending",
+        path: null,
+        error: null,
+        checksum: null,
+        duplicate: null,
+        owner: null,
+        parts: null,
+        progress: null,
+        ...previous,
+        ...(isNewState ? { progress: null } : {}),
+        ...update,
+        updatedAt: new Date().toISOString()
+      };
+      this.statuses.set(uploadId, status);
+
+      if (this.onUpdate) {
+        this.onUpdate(uploadId, status);
+      }
+    });
+  }
+
+  /**
+   * Report how far a processing stage has got through an upload's data. Reports closer together than
+   * progressInterval are dropped, except the one that completes the stage.
+   */
+  progress(uploadIds, stage, bytesProcessed, bytesTotal) {
+    uploadIds = [].concat(uploadIds);
+    const status = this.statuses.get(uploadIds[0]);
+    const current = status && status.progress && status.progress.stage === stage ? status.progress : null;
+    const now = Date.now();
+    if (current && bytesProcessed < bytesTotal && now - current.reportedAt < this.progressInterval) {
+      return;
+    }
+
+    this.set(uploadIds, {
+      progress: { stage, bytesProcessed, bytesTotal, startedAt: current ? current.startedAt : now, reportedAt: now }
+    });
+  }
+
+  /**
+   * Forget finished uploads older than the ttl
+   */
+  prune() {
+    const cutoff = Date.now() - this.ttl;
+    for (const [uploadId, status] of this.statuses) {
+      if ((status.state === "done" || status.state === "failed") && Date.parse(status.updatedAt) < cutoff) {
+        this.statuses.delete(uploadId);
+      }
+    }
+  }
+}
+
+/**
+ * The public form of a status, as returned by the API
+ */
+export function describeUploadStatus(uploadId, status) {
+  return {
+    id: uploadId,
+    state: status.state,
+    path: status.path,
+    error: status.error,
+    checksum: status.checksum,
+    duplicate: status.duplicate,
+    parts: status.parts,
+    progress: status.progress && describeProgress(status.progress),
+    updatedAt: status.updatedAt
+  };
+}
+
+/**
+ * The public form of a processing stage's progress. eta is the estimated number of seconds left,
+ * extrapolated from the rate so far, or null until there is a rate to go by.
+ */
+function describeProgress({ stage, bytesProcessed, bytesTotal, startedAt, reportedAt }) {
+  const elapsed = (reportedAt - startedAt) / 1000;
+  const eta = bytesProcessed > 0 && elapsed > 0
+    ? Math.round(((bytesTotal - bytesProcessed) * elapsed) / bytesProcessed)
+    : null;
+  return { stage, bytesProcessed, bytesTotal, eta };
+}
@@ -0,0 +1,46 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Walk a directory tree depth-first, yielding { fullPath, name, dirent, depth } for every entry below rootDir.
+ * Symlinks are yielded but never followed, so the walk cannot leave the tree it started in.
+ * Options:
+ *   signal   - AbortSignal that stops the walk between entries
+ *   skip     - (fullPath, dirent) => true to leave an entry and everything under it out
+ *   maxDepth - stop descending below this depth (root children are depth 1)
+ * Directories that cannot be read (permissions, removed mid-walk) are skipped silently.
+ */
+export async function* walkTree(rootDir, { signal, skip, maxDepth = Infinity } = {}) {
+  const stack = [{ dir: rootDir, depth: 1 }];
+
+  while (stack.length > 0) {
+    if (signal && signal.aborted) return;
+
+    const { dir, depth } = stack.pop();
+    let dirents;
+    try {
+      dirents = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      continue;
+    }
+
+    // Sort so results come back in a stable order, and push subdirectories in reverse to visit them alphabetically
+    dirents.sort((a, b) => a.name.localeCompare(b.name));
+    const subdirectories = [];
+
+    for (const dirent of dirents) {
+      if (signal && signal.aborted) return;
+
+      const fullPath = path.join(dir, dirent.name);
+      if (skip && skip(fullPath, dirent)) continue;
+
+      yield { fullPath, name: dirent.name, dirent, depth };
+
+      if (dirent.isDirectory() && depth < maxDepth) {
+        subdirectories.push({ dir: fullPath, depth: depth + 1 });
+      }
+    }
+
+    stack.push(...subdirectories.reverse());
+  }
+}
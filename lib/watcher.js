@@ -0,0 +1,259 @@
+import fs from "fs";
+import path from "path";
+import { mapWithConcurrency } from "./file-metadata.js";
+
+export const WATCH_MODES = ["auto", "native", "poll"];
+
+// Filesystems where inotify only sees changes made from this machine
+const NETWORK_FILESYSTEMS = /^(nfs4?|cifs|smb3?|9p|lustre|glusterfs|ceph|fuse\..+)$/;
+
+/**
+ * Whether a directory lives on a network filesystem, going by the longest matching mount point in /proc/mounts.
+ * Returns false where /proc/mounts isn't available.
+ */
+export function isNetworkFilesystem(dirPath) {
+  let mounts;
+  let target;
+  try {
+    mounts = fs.readFileSync("/proc/mounts", "utf8");
+    target = fs.realpathSync(dirPath);
+  } catch (error) {
+    return false;
+  }
+
+  let match = null;
+  mounts.split("\n").forEach(line => {
+    const [, rawMountPoint, type] = line.split(" ");
+    if (!rawMountPoint) return;
+
+    // Spaces and other special characters in mount points are octal-escaped
+    const mountPoint = rawMountPoint.replace(/\\([0-7]{3})/g, (escape, code) => String.fromCharCode(parseInt(code, 8)));
+    const contains = mountPoint === "/" || target === mountPoint || target.startsWith(mountPoint + "/");
+    if (contains && (!match || mountPoint.length >= match.mountPoint.length)) {
+      match = { mountPoint, type };
+    }
+  });
+
+  return !!match && NETWORK_FILESYSTEMS.test(match.type);
+}
+
+/**
+ * Read a directory as a Map of name -> { ino, isDirectory }. Entries that disappear while it is read are left out.
+ */
+async function takeSnapshot(dirPath, statConcurrency) {
+  const names = await fs.promises.readdir(dirPath);
+  const stats = await mapWithConcurrency(names, statConcurrency, name =>
+    fs.promises.lstat(path.join(dirPath, name)).catch(() => null)
+  );
+
+  const snapshot = new Map();
+  names.forEach((name, index) => {
+    if (stats[index]) {
+      snapshot.set(name, { ino: stats[index].ino, isDirectory: stats[index].isDirectory() });
+    }
+  });
+  return snapshot;
+}
+
+/**
+ * Describe how a directory changed between two snapshots as a list of
+ * { type: "create" | "delete" | "rename", name, oldName?, isDirectory }.
+ * An entry that left under one name and appeared under another with the same inode is a rename.
+ */
+function diffSnapshots(previous, current) {
+  const created = [];
+  const deleted = new Map(); // Map of ino -> name
+
+  previous.forEach((entry, name) => {
+    const now = current.get(name);
+    if (!now || now.ino !== entry.ino) {
+      deleted.set(entry.ino, name);
+    }
+  });
+  current.forEach((entry, name) => {
+    const before = previous.get(name);
+    if (!before || before.ino !== entry.ino) {
+      created.push(name);
+    }
+  });
+
+  const changes = [];
+  created.forEach(name => {
+    const entry = current.get(name);
+    const oldName = deleted.get(entry.ino);
+    if (oldName !== undefined) {
+      deleted.delete(entry.ino);
+      changes.push({ type: "rename", name, oldName, isDirectory: entry.isDirectory });
+    } else {
+      changes.push({ type: "create", name, isDirectory: entry.isDirectory });
+    }
+  });
+  deleted.forEach(name => {
+    changes.push({ type: "delete", name, isDirectory: previous.get(name).isDirectory });
+  });
+  return changes;
+}
+
+/**
+ * Watches a changing set of directories (the ones clients have open) for entries being created, deleted or renamed.
+ *   rootDir         - volume root, used to pick the mode
+ *   mode            - "native" uses fs.watch, "poll" checks each directory's mtime every pollInterval ms,
+ *                     "auto" polls on network filesystems (where fs.watch misses changes made by other hosts)
+ *   onChange        - called with (dirPath, changes), or (dirPath, null) when the directory itself is gone
+ * Directories are reference counted, so several clients can watch the same one.
+ * Either way a change is confirmed by re-reading the directory, so events are coalesced over `debounce` ms.
+ */
+export class DirectoryWatcher {
+  constructor({ rootDir, mode = "auto", pollInterval = 2000, debounce = 250, statConcurrency = 16, onChange }) {
+    if (!WATCH_MODES.includes(mode)) {
+      throw new Error(`Watch mode must be one of: ${WATCH_MODES.join(", ")}`);
+    }
+
+    this.mode = mode === "auto" ? (isNetworkFilesystem(rootDir) ? "poll" : "native") : mode;
+    this.pollInterval = pollInterval;
+    this.debounce = debounce;
+    this.statConcurrency = statConcurrency;
+    this.onChange = onChange;
+    this.watched = new Map(); // Map of dirPath -> { refs, snapshot, mtimeMs, watcher, timer, scanning, rescan }
+    this.pollTimer = null;
+  }
+
+  /**
+   * Start watching a directory (or add a reference to an existing watch)
+   */
+  async watch(dirPath) {
+    const existing = this.watched.get(dirPath);
+    if (existing) {
+      existing.refs++;
+      return;
+    }
+
+    const entry = { refs: 1, snapshot: null, mtimeMs: null, watcher: null, timer: null, scanning: false, rescan: false };
+    this.watched.set(dirPath, entry);
+
+    try {
+      entry.mtimeMs = (await fs.promises.stat(dirPath)).mtimeMs;
+      entry.snapshot = await takeSnapshot(dirPath, this.statConcurrency);
+    } catch (error) {
+      // Gone already; the client will find out when it lists the directory
+      entry.snapshot = null;
+    }
+
+    if (this.watched.get(dirPath) !== entry) return;
+
+    if (this.mode === "native") {
+      try {
+        // Only "rename" events add or remove entries; "change" is just content being written
+        entry.watcher = fs.watch(dirPath, { persistent: false }, eventType => {
+          if (eventType === "rename") this.schedule(dirPath);
+        });
+        entry.watcher.on("error", () => this.schedule(dirPath));
+      } catch (error) {
+        // Out of inotify watches or similar; this directory is polled instead
+        console.warn(`Polling ${dirPath} for changes: ${error.message}`);
+      }
+    }
+
+    this.startPolling();
+  }
+
+  /**
+   * Drop a reference to a watched directory, stopping the watch with the last one
+   */
+  unwatch(dirPath) {
+    const entry = this.watched.get(dirPath);
+    if (!entry) return;
+
+    entry.refs--;
+    if (entry.refs > 0) return;
+
+    if (entry.watcher) entry.watcher.close();
+    clearTimeout(entry.timer);
+    this.watched.delete(dirPath);
+
+    if (this.watched.size === 0) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  /**
+   * Start the shared poll timer, which covers every directory without a native watch
+   */
+  startPolling() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => {
+      this.watched.forEach((entry, dirPath) => {
+        if (entry.watcher || entry.scanning) return;
+
+        // Creating, deleting or renaming an entry updates the directory mtime, so only then is it re-read
+        fs.promises.stat(dirPath).then(
+          stats => {
+            if (stats.mtimeMs !== entry.mtimeMs) this.schedule(dirPath);
+          },
+          () => {
+            if (entry.snapshot) this.schedule(dirPath);
+          }
+        );
+      });
+    }, this.pollInterval);
+    this.pollTimer.unref();
+  }
+
+  /**
+   * Re-read a directory after the debounce delay
+   */
+  schedule(dirPath) {
+    const entry = this.watched.get(dirPath);
+    if (!entry || entry.timer) return;
+
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      this.scan(dirPath, entry);
+    }, this.debounce);
+  }
+
+  /**
+   * Re-read a directory and report what changed since the last read
+   */
+  async scan(dirPath, entry) {
+    if (entry.scanning) {
+      entry.rescan = true;
+      return;
+    }
+    entry.scanning = true;
+
+    try {
+      let snapshot = null;
+      try {
+        entry.mtimeMs = (await fs.promises.stat(dirPath)).mtimeMs;
+        snapshot = await takeSnapshot(dirPath, this.statConcurrency);
+      } catch (error) {
+        if (error.code !== "ENOENT" && error.code !== "ENOTDIR") throw error;
+      }
+
+      const previous = entry.snapshot;
+      entry.snapshot = snapshot;
+      if (this.watched.get(dirPath) !== entry) return;
+
+      if (!snapshot) {
+        if (previous) this.onChange(dirPath, null);
+        return;
+      }
+
+      const changes = diffSnapshots(previous || new Map(), snapshot);
+      if (changes.length > 0) {
+        this.onChange(dirPath, changes);
+      }
+    } catch (error) {
+      console.error(`Failed to check ${dirPath} for changes: ${error.message}`);
+    } finally {
+      entry.scanning = false;
+      if (entry.rescan) {
+        entry.rescan = false;
+        this.schedule(dirPath);
+      }
+    }
+  }
+}
@@ -0,0 +1,119 @@
+/**
+ * Live directory change notifications and upload statuses over a server-sent event stream.
+ * The server only reports changes in the directories passed to watch(), which the
+ * file explorer keeps in sync with its open columns, and the uploads passed to followUpload().
+ */
+class ChangeStream {
+    constructor() {
+        this.source = null;
+        this.streamId = null;
+        this.paths = [];
+        this.uploads = new Map(); // Map of upload ID -> status callback
+        this.hasConnected = false;
+        this.isSyncing = false;
+        this.needsSync = false;
+
+        // Callbacks
+        this.onChange = null;
+        this.onReconnect = null;
+
+        this.connect();
+    }
+
+    /**
+     * Open the event stream. EventSource reconnects by itself after network errors,
+     * and every connection starts with a "ready" event carrying a new stream id.
+     */
+    connect() {
+        this.source = new EventSource('/api/events');
+
+        this.source.addEventListener('ready', (e) => {
+            const { streamId } = JSON.parse(e.data);
+            this.streamId = streamId;
+            this.syncPaths();
+
+            // Changes made while disconnected were missed
+            if (this.hasConnected && this.onReconnect) {
+                this.onReconnect();
+            }
+            this.hasConnected = true;
+        });
+
+        this.source.addEventListener('change', (e) => {
+            if (this.onChange) {
+                this.onChange(JSON.parse(e.data));
+            }
+        });
+
+        this.source.addEventListener('upload', (e) => {
+            const status = JSON.parse(e.data);
+            const callback = this.uploads.get(status.id);
+            if (callback) {
+                callback(status);
+            }
+        });
+
+        this.source.addEventListener('error', () => {
+            this.streamId = null;
+        });
+    }
+
+    /**
+     * Whether changes are currently being pushed
+     */
+    isConnected() {
+        return this.streamId !== null;
+    }
+
+    /**
+     * Set the directories to receive changes for
+     */
+    watch(paths) {
+        this.paths = [...new Set(paths)];
+        this.syncPaths();
+    }
+
+    /**
+     * Receive finalization statuses for an upload until unfollowUpload() is called
+     */
+    followUpload(uploadId, onStatus) {
+        this.uploads.set(uploadId, onStatus);
+        this.syncPaths();
+    }
+
+    unfollowUpload(uploadId) {
+        if (this.uploads.delete(uploadId)) {
+            this.syncPaths();
+        }
+    }
+
+    /**
+     * Send the current directory and upload lists to the server, one request at a time
+     */
+    async syncPaths() {
+        if (!this.streamId) return;
+        if (this.isSyncing) {
+            this.needsSync = true;
+            return;
+        }
+
+        this.isSyncing = true;
+        try {
+            await fetch(`/api/events/${encodeURIComponent(this.streamId)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ paths: this.paths, uploads: [...this.uploads.keys()] })
+            });
+        } catch (error) {
+            console.error('Failed to update watched directories:', error);
+        } finally {
+            this.isSyncing = false;
+            if (this.needsSync) {
+                this.needsSync = false;
+                this.syncPaths();
+            }
+        }
+    }
+}
+
+export default ChangeStream;
@@ -6,12 +6,13 @@ import FileItem from './FileItem.js';
 class Column {
     constructor(path, items = [], width = 245) {
         this.path = path;
-        this.items = items.map(item => new FileItem(item.name, item.path, item.isDirectory));
+        this.items = items.map(item => new FileItem(item.name, item.path, item.isDirectory, item));
         this.width = width;
         this.element = null;
         this.contentElement = null;
         this.resizeHandle = null;
         this.isDropTarget = false;
+        this.permissions = null; // Permissions on the column's own directory, null when unrestricted
         
         // Event handlers
         this.onItemClick = null;
@@ -339,6 +340,13 @@ class Column {
         }
     }
 
+    /**
+     * Whether the current user may read, upload, modify or delete in this column's directory
+     */
+    can(permission) {
+        return !this.permissions || this.permissions.includes(permission);
+    }
+
     /**
      * Finds an item by path
      */
@@ -350,7 +358,7 @@ class Column {
      * Updates the items in this column
      */
     updateItems(newItems) {
-        this.items = newItems.map(item => new FileItem(item.name, item.path, item.isDirectory));
+        this.items = newItems.map(item => new FileItem(item.name, item.path, item.isDirectory, item));
         this.render();
     }
 
@@ -0,0 +1,85 @@
+/**
+ * Dialog asking what to do with an upload whose name is already taken in its folder: skip it, keep both
+ * (the upload gets a numbered name) or replace the existing file. Conflicts are asked about one at a time.
+ */
+class ConflictDialog {
+    constructor() {
+        this.element = null;
+        this.messageElement = null;
+        this.applyAllCheckbox = null;
+        this.applyAllLabel = null;
+        this.closeBtn = null;
+        this.resolve = null; // Settles the question being asked
+
+        this.init();
+    }
+
+    /**
+     * Initialize the conflict dialog
+     */
+    init() {
+        this.element = document.getElementById('conflict-dialog');
+        this.messageElement = this.element.querySelector('.conflict-message');
+        this.applyAllCheckbox = document.getElementById('conflict-apply-all');
+        this.applyAllLabel = this.element.querySelector('.conflict-apply-all-label');
+        this.closeBtn = document.getElementById('conflict-close');
+
+        this.attachEvents();
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEvents() {
+        this.element.querySelectorAll('.conflict-action').forEach(button => {
+            button.addEventListener('click', () => {
+                this.finish({ policy: button.dataset.policy, applyToAll: this.applyAllCheckbox.checked });
+            });
+        });
+
+        // Closing the dialog cancels the upload
+        this.closeBtn.addEventListener('click', () => this.finish(null));
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isVisible()) {
+                this.finish(null);
+            }
+        });
+    }
+
+    /**
+     * Ask about one upload; othersWaiting is how many more conflicts are waiting to be asked about.
+     * Resolves with { policy, applyToAll }, policy being 'skip', 'number' or 'overwrite', or with
+     * null when the dialog is closed.
+     */
+    ask(filename, folderName, othersWaiting = 0) {
+        this.messageElement.textContent = `"${filename}" already exists in ${folderName}. What should happen to the file being uploaded?`;
+        this.applyAllCheckbox.checked = false;
+        this.applyAllLabel.textContent = othersWaiting > 0
+            ? `Do this for all conflicts (${othersWaiting} more waiting)`
+            : 'Do this for all conflicts';
+
+        this.element.classList.remove('hidden');
+        return new Promise(resolve => {
+            this.resolve = resolve;
+        });
+    }
+
+    /**
+     * Close the dialog with the user's choice
+     */
+    finish(choice) {
+        if (!this.resolve) return;
+
+        const resolve = this.resolve;
+        this.resolve = null;
+        this.element.classList.add('hidden');
+        resolve(choice);
+    }
+
+    isVisible() {
+        return !this.element.classList.contains('hidden');
+    }
+}
+
+export default ConflictDialog;
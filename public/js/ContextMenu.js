@@ -5,6 +5,8 @@ class ContextMenu {
     constructor() {
         this.element = null;
         this.deleteBtn = null;
+        this.downloadBtn = null;
+        this.downloadArchiveBtn = null;
         this.newFolderBtn = null;
         this.isVisible = false;
         this.targetItem = null;
@@ -14,6 +16,8 @@ class ContextMenu {
         
         // Callbacks
         this.onDelete = null;
+        this.onDownload = null;
+        this.onDownloadArchive = null;
         this.onNewFolder = null;
         
         this.init();
@@ -25,6 +29,8 @@ class ContextMenu {
     init() {
         this.element = document.getElementById('context-menu');
         this.deleteBtn = document.getElementById('delete-item');
+        this.downloadBtn = document.getElementById('download-item');
+        this.downloadArchiveBtn = document.getElementById('download-archive-item');
         this.newFolderBtn = document.getElementById('new-folder');
         
         this.attachEvents();
@@ -40,6 +46,18 @@ class ContextMenu {
             this.handleDelete();
         });
 
+        // Download button click
+        this.downloadBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.handleDownload();
+        });
+
+        // Download as tar.gz button click
+        this.downloadArchiveBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.handleDownloadArchive();
+        });
+
         // New folder button click
         this.newFolderBtn.addEventListener('click', (e) => {
             e.stopPropagation();
@@ -69,7 +87,7 @@ class ContextMenu {
     /**
      * Show the context menu at specified coordinates
      */
-    show(x, y, item = null, isMultipleSelection = false, column = null) {
+    show(x, y, item = null, isMultipleSelection = false, column = null, allowed = {}) {
         this.targetItem = item;
         this.targetColumn = column;
         this.isMultipleSelection = isMultipleSelection;
@@ -78,22 +96,41 @@ class ContextMenu {
         if (column && !item) {
             // Column context menu (right-click on empty space)
             this.menuType = 'column';
-            this.newFolderBtn.style.display = 'block';
+            this.newFolderBtn.style.display = allowed.modify === false ? 'none' : 'block';
+            this.downloadBtn.style.display = 'none';
+            this.downloadArchiveBtn.style.display = 'none';
             this.deleteBtn.style.display = 'none';
         } else {
             // Item context menu (right-click on file/folder)
             this.menuType = 'item';
             this.newFolderBtn.style.display = 'none';
-            this.deleteBtn.style.display = 'block';
             
-            // Update delete button text
+            // Actions the user has no permission for are hidden
+            const canRead = allowed.read !== false;
+            this.downloadBtn.style.display = canRead ? 'block' : 'none';
+            this.deleteBtn.style.display = allowed.delete === false ? 'none' : 'block';
+            
+            // Folders and multi-selections are downloaded as archives, offer tar.gz as well as zip
+            const isArchive = isMultipleSelection || (item && item.isDirectory);
+            this.downloadArchiveBtn.style.display = isArchive && canRead ? 'block' : 'none';
+            
+            // Update button text
             if (isMultipleSelection) {
-                this.deleteBtn.textContent = 'Delete Selected Items';
+                this.downloadBtn.textContent = 'Download Selected Items as .zip';
+                this.deleteBtn.textContent = 'Move Selected Items to Trash';
             } else {
-                this.deleteBtn.textContent = 'Delete';
+                this.downloadBtn.textContent = item && item.isDirectory ? 'Download as .zip' : 'Download';
+                this.deleteBtn.textContent = 'Move to Trash';
             }
         }
         
+        // Nothing left to offer
+        const hasActions = [...this.element.children].some(button => button.style.display !== 'none');
+        if (!hasActions) {
+            this.hide();
+            return;
+        }
+        
         // Position the menu
         this.element.style.left = `${x}px`;
         this.element.style.top = `${y}px`;
@@ -159,6 +196,26 @@ class ContextMenu {
         this.hide();
     }
 
+    /**
+     * Handle download action
+     */
+    handleDownload() {
+        if (this.onDownload && this.targetItem) {
+            this.onDownload(this.targetItem, this.isMultipleSelection);
+        }
+        this.hide();
+    }
+
+    /**
+     * Handle download as tar.gz action
+     */
+    handleDownloadArchive() {
+        if (this.onDownloadArchive && this.targetItem) {
+            this.onDownloadArchive(this.targetItem, this.isMultipleSelection);
+        }
+        this.hide();
+    }
+
     /**
      * Handle new folder action
      */
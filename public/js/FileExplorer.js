@@ -1,5 +1,6 @@
 import Column from './Column.js';
 import FileItem from './FileItem.js';
+import OperationHistory from './OperationHistory.js';
 
 /**
  * Main file explorer class that manages columns and interactions
@@ -15,6 +16,12 @@ class FileExplorer {
         this.dropTarget = null;
         this.contextTarget = null;
         
+        // Permissions on each listed directory, from the X-Directory-Permissions header
+        this.directoryPermissions = new Map();
+        
+        // Undo/redo journal for this session
+        this.history = new OperationHistory();
+        
         // Keyboard state
         this.isShiftPressed = false;
         this.isCtrlPressed = false;
@@ -33,6 +40,7 @@ class FileExplorer {
         this.onError = null;
         this.onContextMenu = null;
         this.onColumnContextMenu = null;
+        this.onColumnsChange = null;
         
         this.init();
     }
@@ -63,6 +71,14 @@ class FileExplorer {
                 this.clearSelection();
             } else if (e.key === 'Delete') {
                 this.deleteSelected();
+            } else if (e.key.toLowerCase() === 'z' && (e.ctrlKey || e.metaKey) && !e.target.closest('input')) {
+                // Ctrl/Cmd+Z undoes, Shift+Ctrl/Cmd+Z redoes
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
             }
         });
 
@@ -106,7 +122,7 @@ class FileExplorer {
      * Fetch directory contents from the server
      */
     async fetchDirectory(path) {
-        const response = await fetch(`/api/files?path=${encodeURIComponent(path)}`);
+        const response = await fetch(`/api/files?path=${encodeURIComponent(path)}&fields=size,modified,permissions`);
         if (!response.ok) {
             let errorMessage = 'Failed to fetch directory';
             try {
@@ -118,9 +134,34 @@ class FileExplorer {
             }
             throw new Error(errorMessage);
         }
+        
+        const permissions = response.headers.get('X-Directory-Permissions');
+        this.directoryPermissions.set(path, permissions === null ? null : permissions.split(',').filter(Boolean));
         return await response.json();
     }
 
+    /**
+     * Whether the current user holds a permission in a listed directory
+     */
+    canInDirectory(permission, path) {
+        const permissions = this.directoryPermissions.get(path);
+        return !permissions || permissions.includes(permission);
+    }
+
+    /**
+     * Which actions the context menu may offer for an item, or the whole selection when the item is part of it
+     */
+    getAllowedActions(item) {
+        const targets = this.selectedItems.has(item.path)
+            ? [...this.selectedItems].map(itemPath => this.findItemByPath(itemPath)).filter(Boolean)
+            : [item];
+        
+        return {
+            read: targets.every(target => target.can('read')),
+            delete: targets.every(target => target.can('delete'))
+        };
+    }
+
     /**
      * Setup event handlers for a column
      */
@@ -138,6 +179,9 @@ class FileExplorer {
         column.onColumnContextMenu = (e, col) => this.handleColumnContextMenu(e, col);
         column.onResize = (col, width) => this.handleColumnResize(col, width);
         
+        // Permissions for the column's directory from its latest listing
+        column.permissions = this.directoryPermissions.get(column.path) ?? null;
+        
         // Setup rename handlers for all items in the column
         column.items.forEach(item => {
             item.onRename = (fileItem, newName) => this.handleItemRename(fileItem, newName, column);
@@ -153,6 +197,58 @@ class FileExplorer {
         this.container.appendChild(element);
         this.scrollToRight();
         this.updatePathStates();
+        this.loadFolderSizes(column);
+        this.notifyColumnsChange();
+    }
+
+    /**
+     * Report the paths of the open columns, e.g. so changes in them can be watched
+     */
+    notifyColumnsChange() {
+        if (this.onColumnsChange) {
+            this.onColumnsChange(this.columns.map(column => column.path));
+        }
+    }
+
+    /**
+     * Fill in folder sizes for a column. The server calculates them in the background,
+     * so keep polling until every folder has a size or the column is closed.
+     */
+    async loadFolderSizes(column) {
+        // A refresh starts a new round; older rounds for the same column stop on their next pass
+        const round = (column.folderSizeRound || 0) + 1;
+        column.folderSizeRound = round;
+
+        while (this.columns.includes(column) && column.folderSizeRound === round) {
+            const pending = column.items.filter(item => item.isDirectory && item.size === null && !item.sizeFailed);
+            if (pending.length === 0) return;
+
+            const params = new URLSearchParams();
+            pending.forEach(item => params.append('paths', item.path));
+
+            try {
+                const response = await fetch(`/api/dirsize?${params.toString()}`);
+                if (!response.ok) return;
+                const { sizes } = await response.json();
+
+                // A folder the server didn't report on would otherwise be asked about forever
+                pending.forEach(item => {
+                    const result = sizes[item.path];
+                    if (!result) {
+                        item.sizeFailed = true;
+                    } else if (result.status === 'done') {
+                        item.setSize(result.size);
+                    } else if (result.status === 'failed') {
+                        item.sizeFailed = true;
+                    }
+                });
+            } catch (error) {
+                console.error('Failed to load folder sizes:', error);
+                return;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, 2000));
+        }
     }
 
     /**
@@ -166,6 +262,9 @@ class FileExplorer {
             }
         });
         this.updatePathStates();
+        if (columnsToRemove.length > 0) {
+            this.notifyColumnsChange();
+        }
     }
 
     /**
@@ -375,6 +474,49 @@ class FileExplorer {
         }
     }
 
+    /**
+     * Reveal a path by opening each ancestor column and selecting the item
+     */
+    async revealPath(targetPath) {
+        const segments = targetPath.split('/').filter(Boolean);
+        if (segments.length === 0) return;
+        
+        // Start again from the root column with fresh contents
+        this.exitAllRenameModes();
+        this.clearSelection();
+        this.removeColumnsFrom(1);
+        await this.refreshColumnByPath('/');
+        
+        let column = this.columns[0];
+        for (let i = 0; i < segments.length; i++) {
+            const itemPath = segments.slice(0, i + 1).join('/');
+            const item = column && column.findItem(itemPath);
+            
+            if (!item) {
+                this.showError(`"${itemPath}" no longer exists`);
+                break;
+            }
+            
+            if (i === segments.length - 1) {
+                // Select the item itself
+                this.selectItem(item, column);
+                item.element?.scrollIntoView({ block: 'nearest' });
+                break;
+            }
+            
+            // Open the ancestor directory as the next column
+            const columnCount = this.columns.length;
+            await this.navigateToDirectory(item);
+            if (this.columns.length === columnCount) break;
+            
+            item.element?.scrollIntoView({ block: 'nearest' });
+            column = this.columns[this.columns.length - 1];
+        }
+        
+        this.updatePathStates();
+        this.updatePathDisplay();
+    }
+
     /**
      * Handle item context menu
      */
@@ -385,7 +527,7 @@ class FileExplorer {
         item.setContextTarget(true);
         
         if (this.onContextMenu) {
-            this.onContextMenu(e, item, this.selectedItems.has(item.path));
+            this.onContextMenu(e, item, this.selectedItems.has(item.path), this.getAllowedActions(item));
         }
     }
 
@@ -403,6 +545,12 @@ class FileExplorer {
      * Handle drag start
      */
     handleItemDragStart(e, item) {
+        // Items the user can neither move nor copy can't be dragged
+        if (!item.can('modify') && !item.can('read')) {
+            e.preventDefault();
+            return;
+        }
+        
         // If dragging an unselected item, select only it
         if (!this.selectedItems.has(item.path)) {
             this.clearSelection();
@@ -426,7 +574,7 @@ class FileExplorer {
         
         // Set drag data
         e.dataTransfer.setData('text/plain', JSON.stringify([...this.draggedItems]));
-        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.effectAllowed = 'copyMove';
     }
 
     /**
@@ -498,9 +646,15 @@ class FileExplorer {
         // Stop event propagation to prevent column handlers from firing
         e.stopPropagation();
         
-        this.setDropTarget(item);
+        // Folders the user can't change still open on hover, but refuse the drop
         this.startHoverTimer(item);
-        e.dataTransfer.dropEffect = 'move';
+        if (!item.can('modify')) {
+            e.dataTransfer.dropEffect = 'none';
+            return;
+        }
+        
+        this.setDropTarget(item);
+        e.dataTransfer.dropEffect = e.altKey ? 'copy' : 'move';
     }
 
     /**
@@ -523,8 +677,10 @@ class FileExplorer {
         
         this.clearDropTarget();
         this.clearHoverTimer();
+        if (!item.can('modify')) return;
         
-        await this.performMoveOperation([...this.draggedItems], item.path);
+        // Holding Alt/Option copies instead of moving
+        await this.performMoveOperation([...this.draggedItems], item.path, e.altKey);
     }
 
     /**
@@ -543,8 +699,13 @@ class FileExplorer {
             }
         }
         
+        if (!column.can('modify')) {
+            e.dataTransfer.dropEffect = 'none';
+            return;
+        }
+        
         this.setDropTarget(null, column);
-        e.dataTransfer.dropEffect = 'move';
+        e.dataTransfer.dropEffect = e.altKey ? 'copy' : 'move';
     }
 
     /**
@@ -564,8 +725,10 @@ class FileExplorer {
         }
         
         this.clearDropTarget();
+        if (!column.can('modify')) return;
         
-        await this.performMoveOperation([...this.draggedItems], column.path);
+        // Holding Alt/Option copies instead of moving
+        await this.performMoveOperation([...this.draggedItems], column.path, e.altKey);
     }
 
     /**
@@ -586,7 +749,7 @@ class FileExplorer {
         this.clearContextTarget();
         
         if (this.onColumnContextMenu) {
-            this.onColumnContextMenu(e, column);
+            this.onColumnContextMenu(e, column, { modify: column.can('modify') });
         }
     }
 
@@ -685,9 +848,9 @@ class FileExplorer {
     }
 
     /**
-     * Perform a move operation for multiple items with proper error handling
+     * Perform a move (or copy) operation for multiple items with proper error handling
      */
-    async performMoveOperation(itemPaths, destinationPath) {
+    async performMoveOperation(itemPaths, destinationPath, copy = false) {
         const results = {
             successful: [],
             failed: [],
@@ -705,23 +868,33 @@ class FileExplorer {
             return 0;
         });
         
-        console.log(`Starting move operation for ${sortedPaths.length} items to "${destinationPath}"`);
+        const operation = copy ? 'copy' : 'move';
+        const operations = [];
+        console.log(`Starting ${operation} operation for ${sortedPaths.length} items to "${destinationPath}"`);
         
         // Process each item sequentially to avoid race conditions
         for (const itemPath of sortedPaths) {
             try {
-                const moveResult = await this.moveItem(itemPath, destinationPath);
+                const moveResult = copy
+                    ? await this.copyItem(itemPath, destinationPath)
+                    : await this.moveItem(itemPath, destinationPath);
                 if (moveResult.skipped) {
                     results.skipped.push({ path: itemPath, reason: moveResult.reason });
                 } else {
                     results.successful.push(itemPath);
+                    if (moveResult.operation) {
+                        operations.push(moveResult.operation);
+                    }
                 }
             } catch (error) {
-                console.error(`Failed to move "${itemPath}":`, error);
+                console.error(`Failed to ${operation} "${itemPath}":`, error);
                 results.failed.push({ path: itemPath, error: error.message });
             }
         }
         
+        const count = operations.length;
+        this.history.record(`${copy ? 'Copy' : 'Move'} ${count} item${count !== 1 ? 's' : ''}`, operations);
+        
         // Clear selection before refresh to avoid stale references
         this.clearSelection();
         
@@ -729,11 +902,11 @@ class FileExplorer {
         try {
             await this.refreshColumns();
         } catch (refreshError) {
-            console.error('Failed to refresh after move operation:', refreshError);
+            console.error(`Failed to refresh after ${operation} operation:`, refreshError);
         }
         
         // Show appropriate feedback to user
-        this.showMoveResults(results);
+        this.showMoveResults(results, copy);
     }
 
     /**
@@ -751,10 +924,11 @@ class FileExplorer {
     }
 
     /**
-     * Show results of move operation to user
+     * Show results of move (or copy) operation to user
      */
-    showMoveResults(results) {
+    showMoveResults(results, copy = false) {
         const { successful, failed, skipped } = results;
+        const [verb, pastVerb] = copy ? ['copy', 'copied'] : ['move', 'moved'];
         const total = successful.length + failed.length + skipped.length;
         
         // Filter out "Same location" skips as they're expected behavior
@@ -763,18 +937,18 @@ class FileExplorer {
         if (failed.length === 0 && actualSkipped.length === 0) {
             // All successful or just same location skips
             if (successful.length === 1) {
-                console.log('Item moved successfully');
+                console.log(`Item ${pastVerb} successfully`);
             } else if (successful.length > 1) {
-                console.log(`All ${successful.length} items moved successfully`);
+                console.log(`All ${successful.length} items ${pastVerb} successfully`);
             }
             // Don't show any message for same location drops
         } else if (successful.length === 0 && actualSkipped.length === 0) {
             // All failed (excluding same location)
             const firstError = failed[0]?.error || 'Unknown error';
-            this.showError(`Failed to move items: ${firstError}`);
+            this.showError(`Failed to ${verb} items: ${firstError}`);
         } else if (failed.length > 0 || actualSkipped.length > 0) {
             // Mixed results with actual errors/skips
-            let message = `Moved ${successful.length} of ${total} items successfully.`;
+            let message = `${copy ? 'Copied' : 'Moved'} ${successful.length} of ${total} items successfully.`;
             if (failed.length > 0) {
                 message += ` ${failed.length} failed.`;
             }
@@ -846,8 +1020,50 @@ class FileExplorer {
             throw new Error(errorMessage);
         }
         
+        const { operation } = await response.json();
         console.log(`Successfully moved "${sourcePath}" to "${newPath}"`);
-        return { skipped: false };
+        return { skipped: false, operation };
+    }
+
+    /**
+     * Copy an item into a destination directory, keeping both if the name is taken
+     */
+    async copyItem(sourcePath, destinationPath) {
+        const fileName = FileItem.getFileName(sourcePath);
+        
+        // Normalize destination path - if it's root "/", make it empty for proper path construction
+        const normalizedDestination = destinationPath === '/' ? '' : destinationPath.replace(/\/$/, '');
+        const newPath = normalizedDestination === '' ? fileName : `${normalizedDestination}/${fileName}`;
+        
+        // Prevent copying a directory into itself
+        if (this.isParentPath(sourcePath, newPath)) {
+            console.log(`Skipping copy: cannot copy directory into itself (${sourcePath} -> ${newPath})`);
+            return { skipped: true, reason: 'Cannot copy directory into itself' };
+        }
+        
+        console.log(`Copying "${sourcePath}" to "${newPath}"`);
+        
+        // Copying onto the same location duplicates the item as "name(1)"
+        const response = await fetch('/api/files/copy', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sourcePath, destinationPath: newPath, conflict: 'keep-both' })
+        });
+        
+        if (!response.ok) {
+            let errorMessage = 'Failed to copy item';
+            try {
+                const error = await response.json();
+                errorMessage = error.error || errorMessage;
+            } catch (parseError) {
+                errorMessage = `${response.status} ${response.statusText}`;
+            }
+            throw new Error(errorMessage);
+        }
+        
+        const result = await response.json();
+        console.log(`Successfully copied "${sourcePath}" to "${result.path}"`);
+        return { skipped: false, operation: result.operation };
     }
 
     /**
@@ -856,15 +1072,70 @@ class FileExplorer {
     async deleteSelected() {
         if (this.selectedItems.size === 0) return;
         
+        const items = [...this.selectedItems].map(itemPath => this.findItemByPath(itemPath)).filter(Boolean);
+        if (items.some(item => !item.can('delete'))) {
+            this.showError('You do not have permission to delete some of the selected items');
+            return;
+        }
+        
+        await this.deletePaths([...this.selectedItems]);
+    }
+
+    /**
+     * Move items to the trash as one undoable action
+     */
+    async deletePaths(paths) {
+        const operations = [];
+        
         try {
-            for (const itemPath of this.selectedItems) {
-                await this.deleteItem(itemPath);
+            for (const itemPath of paths) {
+                const { operation } = await this.deleteItem(itemPath);
+                operations.push(operation);
             }
-            await this.refreshColumns();
-            this.clearSelection();
         } catch (error) {
             this.showError('Failed to delete items: ' + error.message);
         }
+        
+        // Record whatever was trashed, even when a later item failed
+        const count = operations.length;
+        this.history.record(`Move ${count} item${count !== 1 ? 's' : ''} to Trash`, operations);
+        
+        await this.refreshColumns();
+        this.clearSelection();
+    }
+
+    /**
+     * Undo the last operation
+     */
+    async undo() {
+        try {
+            const entry = await this.history.undo();
+            if (entry) {
+                console.log(`Undid "${entry.label}"`);
+                this.clearSelection();
+                await this.refreshColumns();
+            }
+        } catch (error) {
+            this.showError(error.message);
+            await this.refreshColumns();
+        }
+    }
+
+    /**
+     * Redo the last undone operation
+     */
+    async redo() {
+        try {
+            const entry = await this.history.redo();
+            if (entry) {
+                console.log(`Redid "${entry.label}"`);
+                this.clearSelection();
+                await this.refreshColumns();
+            }
+        } catch (error) {
+            this.showError(error.message);
+            await this.refreshColumns();
+        }
     }
 
     /**
@@ -879,6 +1150,72 @@ class FileExplorer {
             const error = await response.json();
             throw new Error(error.error || 'Failed to delete item');
         }
+        
+        return await response.json();
+    }
+
+    /**
+     * Download selected items, as a single archive when more than one is selected
+     */
+    downloadSelected(format = 'zip') {
+        if (this.selectedItems.size === 0) return;
+        
+        if (this.selectedItems.size === 1) {
+            const item = this.findItemByPath([...this.selectedItems][0]);
+            if (item) {
+                this.downloadItem(item, format);
+            }
+            return;
+        }
+        
+        this.downloadArchive([...this.selectedItems], format);
+    }
+
+    /**
+     * Download a single item, streaming folders as an archive
+     */
+    downloadItem(item, format = 'zip') {
+        if (item.isDirectory) {
+            this.downloadArchive([item.path], format);
+            return;
+        }
+        
+        // Let the browser handle the transfer so it can pause and resume with Range requests
+        this.triggerDownload(`/api/download?path=${encodeURIComponent(item.path)}`);
+    }
+
+    /**
+     * Download several paths as one archive streamed by the server
+     */
+    downloadArchive(paths, format = 'zip') {
+        const params = new URLSearchParams({ format });
+        paths.forEach(itemPath => params.append('paths', itemPath));
+        this.triggerDownload(`/api/archive?${params.toString()}`);
+    }
+
+    /**
+     * Start a browser download for a URL
+     */
+    triggerDownload(url) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = '';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    }
+
+    /**
+     * Find a loaded item by path
+     */
+    findItemByPath(itemPath) {
+        for (const column of this.columns) {
+            const item = column.findItem(itemPath);
+            if (item) {
+                return item;
+            }
+        }
+        return null;
     }
 
     /**
@@ -894,6 +1231,7 @@ class FileExplorer {
                 const items = await this.fetchDirectory(column.path);
                 column.updateItems(items);
                 this.setupColumnEvents(column);
+                this.loadFolderSizes(column);
             } catch (error) {
                 // If column path no longer exists, remove it and all following columns
                 console.log(`Column ${i} (${column.path}) no longer exists, removing it and following columns`);
@@ -997,6 +1335,81 @@ class FileExplorer {
         }
     }
 
+    /**
+     * Apply a change pushed by the server for one directory: refresh its column, or close the column
+     * (and those after it) when the directory itself is gone
+     */
+    async applyDirectoryChange(change) {
+        const changedPath = change.path || '/';
+        const columnIndex = this.columns.findIndex(column => column.path === changedPath);
+        if (columnIndex === -1) return;
+        
+        if (change.removed) {
+            this.removeColumnsFrom(columnIndex);
+            this.updatePathDisplay();
+            return;
+        }
+        
+        await this.refreshColumn(this.columns[columnIndex]);
+    }
+
+    /**
+     * Reload a column in place, keeping the selection of items that still exist.
+     * A column with an item being renamed is refreshed once the rename is over.
+     */
+    async refreshColumn(column) {
+        if (column.items.some(item => item.isRenaming)) {
+            if (!column.refreshTimer) {
+                column.refreshTimer = setTimeout(() => {
+                    column.refreshTimer = null;
+                    this.refreshColumn(column);
+                }, 1000);
+            }
+            return;
+        }
+        
+        let items;
+        try {
+            items = await this.fetchDirectory(column.path);
+        } catch (error) {
+            // Removed or no longer visible; the change for its parent closes it
+            return;
+        }
+        if (!this.columns.includes(column)) return;
+        
+        const lastSelectedPath = this.lastSelectedItem ? this.lastSelectedItem.path : null;
+        column.updateItems(items);
+        this.setupColumnEvents(column);
+        
+        // Selected items that are gone from this column are no longer selected
+        const prefix = column.path === '/' ? '' : column.path + '/';
+        this.selectedItems.forEach(selectedPath => {
+            const isInColumn = selectedPath.startsWith(prefix) && !selectedPath.slice(prefix.length).includes('/');
+            if (!isInColumn) return;
+            
+            const item = column.findItem(selectedPath);
+            if (item) {
+                item.setSelected(true);
+                if (selectedPath === lastSelectedPath) {
+                    this.lastSelectedItem = item;
+                }
+            } else {
+                this.selectedItems.delete(selectedPath);
+            }
+        });
+        
+        // The directory open in the next column was moved away or deleted
+        const columnIndex = this.columns.indexOf(column);
+        const nextColumn = this.columns[columnIndex + 1];
+        if (nextColumn && !column.findItem(nextColumn.path)) {
+            this.removeColumnsFrom(columnIndex + 1);
+            this.updatePathDisplay();
+        }
+        
+        this.updatePathStates();
+        this.loadFolderSizes(column);
+    }
+
     /**
      * Create a new folder in the specified column
      */
@@ -1025,6 +1438,9 @@ class FileExplorer {
                 throw new Error(errorMessage);
             }
             
+            const { operation } = await response.json();
+            this.history.record('New Folder', [operation]);
+            
             // Refresh the column to show the new folder
             const items = await this.fetchDirectory(column.path);
             column.updateItems(items);
@@ -1080,9 +1496,9 @@ class FileExplorer {
                 return;
             }
 
-            // Check for invalid characters (basic validation)
-            if (trimmedName.includes('/') || trimmedName.includes('\\')) {
-                this.showError('Name cannot contain / or \\ characters');
+            // Other rules for names are the server's filename policy, which explains what it rejects
+            if (trimmedName.includes('/')) {
+                this.showError('Name cannot contain /');
                 return;
             }
 
@@ -1123,6 +1539,9 @@ class FileExplorer {
                 throw new Error(errorMessage);
             }
 
+            const { operation } = await response.json();
+            this.history.record('Rename', [operation]);
+
             // Update the file item
             fileItem.name = trimmedName;
             fileItem.path = newPath;
@@ -0,0 +1,76 @@
+/**
+ * Computes whole-file SHA-256 digests in a worker, one file at a time, so hashing large files
+ * doesn't block the page. The digest is sent with the upload and checked by the server once the
+ * file is complete.
+ */
+class FileHasher {
+    constructor() {
+        this.worker = null;
+        this.jobs = new Map(); // Map of job id -> { resolve, onProgress }
+    }
+
+    /**
+     * Hash a file. Resolves with the hex digest, or null when it couldn't be computed
+     * (no worker support, unreadable file, or cancelled) so the upload goes ahead without one.
+     * onProgress(bytesHashed) is called as the file is read.
+     */
+    hash(id, file, onProgress) {
+        return new Promise(resolve => {
+            const worker = this.getWorker();
+            if (!worker) {
+                resolve(null);
+                return;
+            }
+
+            this.jobs.set(id, { resolve, onProgress });
+            worker.postMessage({ type: 'hash', id, file });
+        });
+    }
+
+    /**
+     * Stop hashing a file; its promise resolves with null
+     */
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) return;
+
+        this.jobs.delete(id);
+        this.worker.postMessage({ type: 'cancel', id });
+        job.resolve(null);
+    }
+
+    /**
+     * Start the worker on first use
+     */
+    getWorker() {
+        if (this.worker) return this.worker;
+
+        try {
+            this.worker = new Worker('js/sha256-worker.js');
+        } catch (error) {
+            console.warn('Whole-file checksums are unavailable:', error);
+            return null;
+        }
+
+        this.worker.onmessage = (e) => {
+            const message = e.data;
+            const job = this.jobs.get(message.id);
+            if (!job) return;
+
+            if (message.type === 'progress') {
+                if (job.onProgress) {
+                    job.onProgress(message.bytesHashed);
+                }
+            } else {
+                this.jobs.delete(message.id);
+                if (message.type === 'error') {
+                    console.warn(`Failed to compute checksum: ${message.message}`);
+                }
+                job.resolve(message.type === 'done' ? message.digest : null);
+            }
+        };
+        return this.worker;
+    }
+}
+
+export default FileHasher;
@@ -2,11 +2,16 @@
  * Represents a file or directory item
  */
 class FileItem {
-    constructor(name, path, isDirectory) {
+    constructor(name, path, isDirectory, metadata = {}) {
         this.name = name;
         this.path = path;
         this.isDirectory = isDirectory;
+        this.size = metadata.size ?? null;
+        this.modified = metadata.modified ?? null;
+        this.permissions = metadata.permissions ?? null; // null when the server doesn't restrict access
         this.element = null;
+        this.sizeElement = null;
+        this.sizeFailed = false;
         this.selected = false;
         this.isPath = false;
         this.isFlashing = false;
@@ -48,6 +53,13 @@ class FileItem {
         content.appendChild(name);
         item.appendChild(content);
         
+        // Size for files when the listing included it, for folders once it has been calculated
+        if (this.size !== null) {
+            item.appendChild(this.createSizeElement());
+        }
+        
+        item.title = this.getTooltip();
+        
         // Chevron for directories
         if (this.isDirectory) {
             const chevron = this.createChevron();
@@ -60,6 +72,54 @@ class FileItem {
         return item;
     }
 
+    /**
+     * Creates the size label
+     */
+    createSizeElement() {
+        const size = document.createElement('span');
+        size.className = 'file-size';
+        size.textContent = FileItem.formatFileSize(this.size);
+        this.sizeElement = size;
+        return size;
+    }
+
+    /**
+     * Sets the size after the item was rendered, used for folder sizes calculated in the background
+     */
+    setSize(size) {
+        this.size = size;
+        if (!this.element) return;
+
+        if (this.sizeElement) {
+            this.sizeElement.textContent = FileItem.formatFileSize(size);
+        } else {
+            // Keep the label in front of the chevron
+            this.element.insertBefore(this.createSizeElement(), this.element.querySelector('.chevron'));
+        }
+        this.element.title = this.getTooltip();
+    }
+
+    /**
+     * Whether the current user may read, upload, modify or delete this item
+     */
+    can(permission) {
+        return !this.permissions || this.permissions.includes(permission);
+    }
+
+    /**
+     * Builds the hover tooltip with size and modification date
+     */
+    getTooltip() {
+        const lines = [this.name];
+        if (this.size !== null) {
+            lines.push(`Size: ${FileItem.formatFileSize(this.size)}`);
+        }
+        if (this.modified) {
+            lines.push(`Modified: ${new Date(this.modified).toLocaleString()}`);
+        }
+        return lines.join('\n');
+    }
+
     /**
      * Creates a chevron SVG icon
      */
@@ -147,6 +207,7 @@ class FileItem {
      */
     startRenameTimer() {
         this.clearRenameTimer();
+        if (!this.can('modify')) return;
         this.renameTimer = setTimeout(() => {
             this.enterRenameMode();
         }, 500);
@@ -269,6 +330,19 @@ class FileItem {
         return path.split('/').filter(Boolean).pop() || '';
     }
 
+    /**
+     * Format file size for display
+     */
+    static formatFileSize(bytes) {
+        if (bytes === 0) return '0 B';
+        
+        const k = 1024;
+        const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+    }
+
     /**
      * Gets the directory name for display
      */
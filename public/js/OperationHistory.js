@@ -0,0 +1,90 @@
+/**
+ * Per-session journal of move, rename, copy, create-folder and delete operations for undo and redo.
+ * Each entry groups the server operation records of one user action (e.g. a multi-item drag)
+ * so the whole action is undone at once.
+ */
+class OperationHistory {
+    constructor(limit = 100) {
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.isBusy = false;
+    }
+
+    /**
+     * Record a completed action. Recording a new action clears the redo stack.
+     */
+    record(label, operations) {
+        if (operations.length === 0) return;
+
+        this.undoStack.push({ label, operations });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Undo the most recent action. Resolves to the entry, or null when there is nothing to undo.
+     */
+    undo() {
+        return this.run('undo', this.undoStack, this.redoStack);
+    }
+
+    /**
+     * Redo the most recently undone action. Resolves to the entry, or null when there is nothing to redo.
+     */
+    redo() {
+        return this.run('redo', this.redoStack, this.undoStack);
+    }
+
+    async run(direction, fromStack, toStack) {
+        if (this.isBusy || fromStack.length === 0) return null;
+
+        const entry = fromStack[fromStack.length - 1];
+        this.isBusy = true;
+
+        try {
+            const response = await fetch(`/api/history/${direction}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ operations: entry.operations })
+            });
+
+            if (!response.ok) {
+                let errorMessage = `Failed to ${direction}`;
+                try {
+                    const error = await response.json();
+                    errorMessage = error.error || errorMessage;
+                } catch (parseError) {
+                    errorMessage = `${response.status} ${response.statusText}`;
+                }
+
+                // The filesystem changed since the action ran, so it can never be reversed; drop it
+                // rather than blocking every older entry behind it
+                if (response.status === 409) {
+                    fromStack.pop();
+                }
+                throw new Error(errorMessage);
+            }
+
+            // The server returns updated records, e.g. a new trash id after a delete is redone
+            const { operations } = await response.json();
+            fromStack.pop();
+            toStack.push({ label: entry.label, operations });
+            return entry;
+        } finally {
+            this.isBusy = false;
+        }
+    }
+}
+
+export default OperationHistory;
@@ -0,0 +1,171 @@
+import FileItem from './FileItem.js';
+
+/**
+ * A folder upload in the queue: one entry with the progress of all its files, which can be
+ * expanded to show the files still queued
+ */
+class QueueGroup {
+    constructor(group, onCancel) {
+        this.group = group;
+        this.items = []; // Queue items of the folder's files still in the queue
+        this.onCancel = onCancel;
+        this.element = null;
+        this.itemsContainer = null;
+        this.progressBar = null;
+        this.statusText = null;
+        this.expanded = false;
+
+        this.createElement();
+    }
+
+    /**
+     * Create the DOM element for this group
+     */
+    createElement() {
+        this.element = document.createElement('div');
+        this.element.className = 'queue-item queue-group';
+        this.element.dataset.id = this.group.id;
+
+        this.element.innerHTML = `
+            <div class="queue-item-content">
+                <div class="queue-item-header">
+                    <button class="queue-group-toggle" title="Show files"></button>
+                    <span class="queue-item-name">${this.escapeHtml(this.group.name)}/</span>
+                    <button class="queue-cancel-btn" title="Cancel folder upload">
+                        <svg width="10" height="10" viewBox="0 0 12 12">
+                            <path d="M9 3L3 9M3 3L9 9" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" fill="none"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="queue-item-progress">
+                    <div class="queue-progress-bar">
+                        <div class="queue-progress-fill"></div>
+                    </div>
+                </div>
+                <div class="queue-item-status">
+                    <span class="queue-status-text"></span>
+                </div>
+            </div>
+            <div class="queue-group-items hidden"></div>
+        `;
+
+        // Get references to elements
+        this.itemsContainer = this.element.querySelector('.queue-group-items');
+        this.progressBar = this.element.querySelector('.queue-progress-fill');
+        this.statusText = this.element.querySelector('.queue-status-text');
+
+        const toggleBtn = this.element.querySelector('.queue-group-toggle');
+        toggleBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.expanded = !this.expanded;
+            this.itemsContainer.classList.toggle('hidden', !this.expanded);
+            this.element.classList.toggle('queue-group-expanded', this.expanded);
+            toggleBtn.title = this.expanded ? 'Hide files' : 'Show files';
+        });
+
+        // Attach cancel button event
+        const cancelBtn = this.element.querySelector('.queue-cancel-btn');
+        cancelBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            if (this.onCancel) {
+                this.onCancel(this.group.id);
+            }
+        });
+    }
+
+    /**
+     * Update the group with the queue items of its files still in the queue
+     */
+    update(items) {
+        this.items = items;
+        this.updateDisplay();
+    }
+
+    /**
+     * Update the visual display from the group's totals and its files still in the queue
+     */
+    updateDisplay() {
+        const state = this.getState();
+        this.element.className = `queue-item queue-group queue-item-${state}`;
+        this.element.classList.toggle('queue-group-expanded', this.expanded);
+
+        // Files finished earlier have already left the queue; they are counted in the group's totals.
+        // A file being processed has all its data on the server.
+        const { completedFiles, completedBytes, totalFiles, totalBytes } = this.group;
+        const bytesSent = completedBytes + this.items.reduce((sum, item) => {
+            if (item.status === 'uploading') return sum + (item.progress / 100) * item.file.size;
+            if (item.status === 'processing') return sum + item.file.size;
+            return sum;
+        }, 0);
+        const percent = totalBytes > 0 ? Math.min(100, (bytesSent / totalBytes) * 100) : 100;
+        this.progressBar.style.width = `${percent}%`;
+
+        const parts = [
+            `${completedFiles} of ${totalFiles} file${totalFiles !== 1 ? 's' : ''}`,
+            `${FileItem.formatFileSize(Math.floor(bytesSent))} of ${FileItem.formatFileSize(totalBytes)}`
+        ];
+        const failed = this.items.filter(item => item.status === 'error').length;
+        if (failed > 0) {
+            parts.push(`${failed} failed`);
+        }
+        const conflicts = this.items.filter(item => item.status === 'conflict').length;
+        if (conflicts > 0) {
+            parts.push(`${conflicts} waiting for your choice`);
+        }
+        this.statusText.textContent = parts.join(' · ');
+        this.statusText.title = this.group.path;
+
+        // Nothing left to cancel once every file still queued is on the server
+        const cancelBtn = this.element.querySelector('.queue-cancel-btn');
+        const isSent = this.items.every(item => item.status === 'processing' || item.status === 'completed');
+        cancelBtn.style.display = isSent ? 'none' : 'block';
+    }
+
+    /**
+     * The state shown for the whole folder: what needs the user's attention first, then whether
+     * anything is still moving
+     */
+    getState() {
+        const has = (...statuses) => this.items.some(item => statuses.includes(item.status));
+        if (has('conflict')) return 'conflict';
+        if (has('hashing', 'uploading')) return 'uploading';
+        if (has('processing')) return 'processing';
+        if (has('pending')) return 'pending';
+        if (has('error')) return 'error';
+        return 'completed';
+    }
+
+    /**
+     * Get the container the file entries go in
+     */
+    getItemsContainer() {
+        return this.itemsContainer;
+    }
+
+    /**
+     * Get the DOM element
+     */
+    getElement() {
+        return this.element;
+    }
+
+    /**
+     * Remove the element from DOM
+     */
+    remove() {
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+    }
+
+    /**
+     * Escape HTML to prevent XSS
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+export default QueueGroup;
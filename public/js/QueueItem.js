@@ -74,10 +74,14 @@ class QueueItem {
 
         // Update status class
         this.element.className = `queue-item queue-item-${this.data.status}`;
+        this.element.classList.toggle('queue-item-verified', this.data.checksum === 'verified');
+        this.element.classList.toggle('queue-item-mismatch', this.isChecksumMismatch());
         
-        // Update progress bar
+        // Update progress bar; while processing it follows the server's progress through the current stage
+        const processing = this.getProcessingProgress();
+        this.element.classList.toggle('queue-item-processing-progress', !!processing);
         if (this.progressBar) {
-            this.progressBar.style.width = `${this.data.progress}%`;
+            this.progressBar.style.width = `${processing ? processing.percent : this.data.progress}%`;
         }
 
         // Update status text
@@ -86,6 +90,13 @@ class QueueItem {
                 case 'pending':
                     this.statusText.textContent = 'Waiting...';
                     break;
+                case 'hashing': {
+                    const percent = this.data.file.size > 0
+                        ? Math.floor((this.data.bytesHashed / this.data.file.size) * 100)
+                        : 0;
+                    this.statusText.textContent = `Computing checksum… ${percent}%`;
+                    break;
+                }
                 case 'uploading':
                     // Initialize upload tracking if not already done
                     if (!this.uploadStartTime) {
@@ -97,20 +108,27 @@ class QueueItem {
                     }
                     this.updateUploadStatus();
                     break;
+                case 'processing':
+                    this.updateProcessingStatus(processing);
+                    break;
+                case 'conflict':
+                    this.statusText.textContent = 'Already exists - waiting for your choice';
+                    break;
                 case 'completed':
-                    this.statusText.textContent = 'Upload complete';
+                    this.updateCompletedStatus();
                     break;
                 case 'error':
-                    this.statusText.textContent = 'Upload failed';
+                    this.statusText.textContent = this.isChecksumMismatch() ? 'Checksum mismatch' : 'Upload failed';
                     this.statusText.title = this.data.error || 'Upload failed';
                     break;
             }
         }
 
-        // Hide cancel button for completed items
+        // Hide cancel button once the data is on the server
         const cancelBtn = this.element.querySelector('.queue-cancel-btn');
         if (cancelBtn) {
-            cancelBtn.style.display = this.data.status === 'completed' ? 'none' : 'block';
+            const isSent = this.data.status === 'processing' || this.data.status === 'completed';
+            cancelBtn.style.display = isSent ? 'none' : 'block';
         }
     }
 
@@ -133,6 +151,80 @@ class QueueItem {
         this.updateDisplay();
     }
 
+    /**
+     * Show where the file ended up, mentioning the new name when the server numbered a duplicate
+     * and what happened to the existing file when the name was taken
+     */
+    updateCompletedStatus() {
+        const finalPath = this.data.finalPath;
+        const finalName = finalPath ? finalPath.split('/').pop() : null;
+        
+        if (this.data.duplicate === 'skipped') {
+            this.statusText.textContent = 'Skipped - already exists';
+            this.statusText.title = finalPath || '';
+            return;
+        }
+        
+        // The server stores names in NFC, which is not always how the browser reports them
+        let statusText = 'Upload complete';
+        if (this.data.duplicate === 'replaced') {
+            statusText = 'Replaced existing file';
+        } else if (finalName && finalName !== this.data.file.name.normalize('NFC')) {
+            statusText = `Saved as ${finalName}`;
+        }
+        if (this.data.checksum === 'verified') {
+            statusText += ' · verified';
+        }
+        
+        this.statusText.textContent = statusText;
+        this.statusText.title = finalPath || '';
+    }
+
+    /**
+     * Progress of the server's current processing stage as { stage, percent, eta }, or null when
+     * it isn't going through the data (waiting for other parts, or not processing at all)
+     */
+    getProcessingProgress() {
+        const progress = this.data.status === 'processing' && this.data.finalization
+            ? this.data.finalization.progress
+            : null;
+        if (!progress) return null;
+        
+        const percent = progress.bytesTotal > 0
+            ? Math.floor((progress.bytesProcessed / progress.bytesTotal) * 100)
+            : 0;
+        return { stage: progress.stage, percent, eta: progress.eta };
+    }
+
+    /**
+     * Show what the server is doing with the file once all of it has been sent
+     */
+    updateProcessingStatus(processing) {
+        const stageLabels = {
+            assembly: 'Assembling',
+            checksum: 'Verifying checksum'
+        };
+        
+        if (!processing) {
+            const isVerifying = this.data.finalization && this.data.finalization.state === 'verifying';
+            this.statusText.textContent = isVerifying ? 'Verifying checksum…' : 'Processing…';
+            return;
+        }
+        
+        let statusText = `${stageLabels[processing.stage] || 'Processing'}… ${processing.percent}%`;
+        if (processing.eta !== null && processing.percent < 100) {
+            statusText += ` - ${this.formatTimeEstimate(processing.eta)}`;
+        }
+        this.statusText.textContent = statusText;
+    }
+
+    /**
+     * Whether the server rejected the file because it didn't match the checksum computed here
+     */
+    isChecksumMismatch() {
+        return this.data.status === 'error' && !!this.data.finalization && this.data.finalization.checksum === 'mismatch';
+    }
+
     /**
      * Update upload status with progress and time estimate
      */
@@ -0,0 +1,339 @@
+import FileItem from './FileItem.js';
+
+/**
+ * Search box above the explorer that streams name or content search results from the server
+ */
+class SearchPanel {
+    constructor() {
+        this.input = null;
+        this.scopeSelect = null;
+        this.modeSelect = null;
+        this.resultsElement = null;
+        this.statusElement = null;
+        this.listElement = null;
+
+        // Current search state
+        this.abortController = null;
+        this.searchToken = null;
+        this.debounceTimer = null;
+
+        // Callbacks
+        this.onResultClick = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the search panel
+     */
+    init() {
+        this.input = document.getElementById('search-input');
+        this.scopeSelect = document.getElementById('search-scope');
+        this.modeSelect = document.getElementById('search-mode');
+        this.resultsElement = document.getElementById('search-results');
+        this.statusElement = this.resultsElement.querySelector('.search-status');
+        this.listElement = this.resultsElement.querySelector('.search-list');
+
+        this.attachEvents();
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEvents() {
+        // Search as the user types, debounced to avoid a walk per keystroke
+        this.input.addEventListener('input', () => {
+            this.scheduleSearch();
+        });
+
+        this.modeSelect.addEventListener('change', () => {
+            this.scheduleSearch();
+        });
+
+        // Content search matches lines by substring or regex only
+        this.scopeSelect.addEventListener('change', () => {
+            const globOption = this.modeSelect.querySelector('option[value="glob"]');
+            const isContents = this.scopeSelect.value === 'contents';
+            globOption.disabled = isContents;
+            if (isContents && this.modeSelect.value === 'glob') {
+                this.modeSelect.value = 'substring';
+            }
+            this.scheduleSearch();
+        });
+
+        this.input.addEventListener('keydown', (e) => {
+            // Keep explorer shortcuts (Delete, Ctrl+A, ...) from firing while typing
+            e.stopPropagation();
+
+            if (e.key === 'Escape') {
+                this.close();
+                this.input.blur();
+            } else if (e.key === 'Enter') {
+                clearTimeout(this.debounceTimer);
+                this.search();
+            }
+        });
+
+        // Close results when clicking elsewhere
+        document.addEventListener('click', (e) => {
+            if (!this.resultsElement.contains(e.target) && !e.target.closest('.search-box')) {
+                this.hideResults();
+            }
+        });
+
+        this.input.addEventListener('focus', () => {
+            if (this.listElement.children.length > 0) {
+                this.showResults();
+            }
+        });
+    }
+
+    /**
+     * Schedule a search after the user stops typing
+     */
+    scheduleSearch() {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.search(), 300);
+    }
+
+    /**
+     * Run a search, cancelling any search still in progress
+     */
+    async search() {
+        this.cancel();
+
+        const query = this.input.value.trim();
+        if (!query) {
+            this.close();
+            return;
+        }
+
+        const controller = new AbortController();
+        this.abortController = controller;
+        this.listElement.innerHTML = '';
+        this.setStatus('Searching...');
+        this.showResults();
+
+        const params = new URLSearchParams({ q: query, mode: this.modeSelect.value });
+        const endpoint = this.scopeSelect.value === 'contents' ? '/api/grep' : '/api/search';
+
+        try {
+            const response = await fetch(`${endpoint}?${params.toString()}`, { signal: controller.signal });
+            if (!response.ok) {
+                let errorMessage = 'Search failed';
+                try {
+                    const error = await response.json();
+                    errorMessage = error.error || errorMessage;
+                } catch (parseError) {
+                    errorMessage = `${response.status} ${response.statusText}`;
+                }
+                throw new Error(errorMessage);
+            }
+
+            await this.readResults(response, controller);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            this.setStatus(error.message);
+        } finally {
+            if (this.abortController === controller) {
+                this.abortController = null;
+                this.searchToken = null;
+            }
+        }
+    }
+
+    /**
+     * Read the JSON Lines stream and render results as they arrive
+     */
+    async readResults(response, controller) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let count = 0;
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done || controller.signal.aborted) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                if (!line) continue;
+                const record = JSON.parse(line);
+
+                switch (record.type) {
+                    case 'start':
+                        this.searchToken = record.token;
+                        break;
+                    case 'result':
+                        count++;
+                        this.addResult(record);
+                        this.setStatus(`${count} result${count !== 1 ? 's' : ''} so far...`);
+                        break;
+                    case 'file':
+                        count += record.matches.length;
+                        this.addContentResult(record);
+                        this.setStatus(`${count} match${count !== 1 ? 'es' : ''} so far...`);
+                        break;
+                    case 'done': {
+                        // Name searches report a result count, content searches a match count
+                        const total = record.count ?? record.matches;
+                        const noun = record.count !== undefined
+                            ? `result${total !== 1 ? 's' : ''}`
+                            : `match${total !== 1 ? 'es' : ''} in ${record.files} file${record.files !== 1 ? 's' : ''}`;
+                        if (total === 0) {
+                            this.setStatus('No results');
+                        } else {
+                            this.setStatus(`${total} ${noun}${record.truncated ? ' (showing first matches)' : ''}`);
+                        }
+                        break;
+                    }
+                    case 'error':
+                        this.setStatus(record.error);
+                        break;
+                }
+            }
+        }
+    }
+
+    /**
+     * Add a single result row
+     */
+    addResult(result) {
+        const row = document.createElement('div');
+        row.className = 'search-result';
+        row.title = result.path;
+
+        const icon = document.createElement('img');
+        icon.className = 'file-icon';
+        icon.src = result.isDirectory ? 'icons/folder.png' : 'icons/file.png';
+        icon.alt = result.isDirectory ? 'Folder' : 'File';
+
+        const name = document.createElement('span');
+        name.className = 'search-result-name';
+        name.textContent = result.name;
+
+        // Show the containing folder so identical names can be told apart
+        const location = document.createElement('span');
+        location.className = 'search-result-location';
+        const parentPath = result.path.substring(0, result.path.lastIndexOf('/'));
+        location.textContent = FileItem.getDisplayName(parentPath);
+
+        row.appendChild(icon);
+        row.appendChild(name);
+        row.appendChild(location);
+
+        row.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.hideResults();
+            if (this.onResultClick) {
+                this.onResultClick(result);
+            }
+        });
+
+        this.listElement.appendChild(row);
+    }
+
+    /**
+     * Add a file with its matching lines from a content search
+     */
+    addContentResult(record) {
+        const name = FileItem.getFileName(record.path);
+        this.addResult({ name, path: record.path, isDirectory: false });
+
+        record.matches.forEach(match => {
+            const row = document.createElement('div');
+            row.className = 'search-match';
+
+            // Context lines before and after are shown dimmed around the matching line
+            match.before.forEach(text => row.appendChild(this.createSnippetLine(text, null)));
+            row.appendChild(this.createSnippetLine(match.text, match));
+            match.after.forEach(text => row.appendChild(this.createSnippetLine(text, null)));
+
+            row.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.hideResults();
+                if (this.onResultClick) {
+                    this.onResultClick({ name, path: record.path, isDirectory: false, line: match.line });
+                }
+            });
+
+            this.listElement.appendChild(row);
+        });
+    }
+
+    /**
+     * Create one snippet line, highlighting the match when given
+     */
+    createSnippetLine(text, match) {
+        const line = document.createElement('div');
+        line.className = match ? 'search-snippet search-snippet-match' : 'search-snippet';
+
+        if (!match) {
+            line.textContent = text;
+            return line;
+        }
+
+        const lineNumber = document.createElement('span');
+        lineNumber.className = 'search-line-number';
+        lineNumber.textContent = match.line;
+
+        const highlight = document.createElement('mark');
+        highlight.textContent = text.substr(match.column, match.length);
+
+        line.appendChild(lineNumber);
+        line.appendChild(document.createTextNode(text.substring(0, match.column)));
+        line.appendChild(highlight);
+        line.appendChild(document.createTextNode(text.substring(match.column + match.length)));
+        return line;
+    }
+
+    /**
+     * Cancel the running search, both locally and on the server
+     */
+    cancel() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+
+        if (this.searchToken) {
+            fetch(`/api/search/${encodeURIComponent(this.searchToken)}`, { method: 'DELETE' }).catch(() => {});
+            this.searchToken = null;
+        }
+    }
+
+    /**
+     * Cancel the search and clear results
+     */
+    close() {
+        this.cancel();
+        this.listElement.innerHTML = '';
+        this.hideResults();
+    }
+
+    /**
+     * Update the status line
+     */
+    setStatus(text) {
+        this.statusElement.textContent = text;
+    }
+
+    /**
+     * Show the results panel
+     */
+    showResults() {
+        this.resultsElement.classList.remove('hidden');
+    }
+
+    /**
+     * Hide the results panel
+     */
+    hideResults() {
+        this.resultsElement.classList.add('hidden');
+    }
+}
+
+export default SearchPanel;
\ No newline at end of file
@@ -0,0 +1,276 @@
+import FileItem from './FileItem.js';
+
+/**
+ * Dialog listing what is waiting in the upload staging directory, opened from the sidebar:
+ * unfinished uploads, upload sessions and leftover files, each of which can be kept
+ * (exempt from the expiry sweep, so it can still be resumed) or discarded
+ */
+class StagingPanel {
+    constructor() {
+        this.element = null;
+        this.listElement = null;
+        this.summaryElement = null;
+        this.closeBtn = null;
+        this.openBtn = null;
+        this.entries = [];
+
+        // Callbacks
+        this.onError = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the staging panel
+     */
+    init() {
+        this.element = document.getElementById('staging-panel');
+        this.listElement = this.element.querySelector('.staging-list');
+        this.summaryElement = this.element.querySelector('.staging-summary');
+        this.closeBtn = document.getElementById('staging-close');
+        this.openBtn = document.getElementById('staging-btn');
+
+        this.attachEvents();
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEvents() {
+        this.openBtn.addEventListener('click', () => this.show());
+        this.closeBtn.addEventListener('click', () => this.hide());
+
+        // Close when clicking the backdrop
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element) {
+                this.hide();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isVisible()) {
+                this.hide();
+            }
+        });
+    }
+
+    /**
+     * Open the panel and load its contents
+     */
+    async show() {
+        this.element.classList.remove('hidden');
+        await this.load();
+    }
+
+    /**
+     * Close the panel
+     */
+    hide() {
+        this.element.classList.add('hidden');
+    }
+
+    isVisible() {
+        return !this.element.classList.contains('hidden');
+    }
+
+    /**
+     * Fetch the staging listing from the server
+     */
+    async load() {
+        try {
+            const response = await fetch('/api/staging');
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to load staged uploads');
+            }
+
+            const { entries, totalSize, expiry } = await response.json();
+            this.entries = entries;
+            this.render(totalSize, expiry);
+        } catch (error) {
+            this.showError('Failed to load staged uploads: ' + error.message);
+        }
+    }
+
+    /**
+     * Render the entry list and summary line
+     */
+    render(totalSize, expiry) {
+        this.listElement.innerHTML = '';
+
+        const count = this.entries.length;
+        let summary = count === 0
+            ? 'Nothing is staged'
+            : `${count} item${count !== 1 ? 's' : ''}, ${FileItem.formatFileSize(totalSize)}`;
+        summary += ` · Unfinished items are discarded after ${expiry.maxAgeHours} hours without activity unless kept`;
+        this.summaryElement.textContent = summary;
+
+        this.entries.forEach(entry => {
+            this.listElement.appendChild(this.createRow(entry));
+        });
+    }
+
+    /**
+     * Create a row for a single staging entry
+     */
+    createRow(entry) {
+        const row = document.createElement('div');
+        row.className = 'staging-item';
+        row.title = this.describeResume(entry);
+
+        const icon = document.createElement('img');
+        icon.className = 'file-icon';
+        icon.src = 'icons/file.png';
+        icon.alt = 'File';
+
+        const details = document.createElement('div');
+        details.className = 'staging-item-details';
+
+        const name = document.createElement('span');
+        name.className = 'staging-item-name';
+        name.textContent = entry.filename || entry.id;
+
+        const info = document.createElement('span');
+        info.className = 'staging-item-info';
+        info.textContent = this.describeEntry(entry);
+
+        details.appendChild(name);
+        details.appendChild(info);
+        row.appendChild(icon);
+        row.appendChild(details);
+
+        // Leftover files can't be resumed and finished uploads don't expire, so there is nothing to keep
+        if (entry.type !== 'file' && !entry.finished) {
+            const keepBtn = document.createElement('button');
+            keepBtn.className = 'staging-action';
+            keepBtn.textContent = entry.kept ? 'Let Expire' : 'Keep';
+            keepBtn.title = entry.kept
+                ? 'Let the expiry sweep discard this upload'
+                : 'Keep this upload so it can be resumed later';
+            keepBtn.addEventListener('click', () => this.setKept(entry, !entry.kept));
+            row.appendChild(keepBtn);
+        }
+
+        const discardBtn = document.createElement('button');
+        discardBtn.className = 'staging-action staging-action-danger';
+        discardBtn.textContent = 'Discard';
+        discardBtn.disabled = entry.inUse;
+        discardBtn.title = entry.inUse ? 'The server is still processing this upload' : '';
+        discardBtn.addEventListener('click', () => this.discard(entry));
+        row.appendChild(discardBtn);
+
+        return row;
+    }
+
+    /**
+     * One-line description: where it is going, how much has arrived, and when it expires
+     */
+    describeEntry(entry) {
+        const typeLabels = {
+            session: 'Upload in parts',
+            upload: 'Upload',
+            partial: 'Partial upload',
+            file: 'Leftover file'
+        };
+
+        const parts = [typeLabels[entry.type] || entry.type];
+        if (entry.path !== null) {
+            parts.push(`to ${FileItem.getDisplayName(entry.path)}`);
+        }
+        if (entry.size !== null) {
+            parts.push(`${FileItem.formatFileSize(entry.received || 0)} of ${FileItem.formatFileSize(entry.size)}`);
+        } else if (entry.received !== null) {
+            parts.push(FileItem.formatFileSize(entry.received));
+        }
+        parts.push(`last activity ${this.formatAge(entry.modifiedAt)}`);
+        if (entry.inUse) {
+            parts.push('processing');
+        } else if (entry.finished) {
+            parts.push('complete');
+        } else {
+            parts.push(entry.kept ? 'kept' : `expires ${new Date(entry.expiresAt).toLocaleString()}`);
+        }
+        return parts.join(' · ');
+    }
+
+    /**
+     * Tooltip with what a client needs to resume the upload
+     */
+    describeResume(entry) {
+        const lines = [entry.id];
+        if (entry.path !== null) {
+            lines.push(`Target: /${entry.path}`);
+        }
+        if (entry.createdAt) {
+            lines.push(`Started: ${new Date(entry.createdAt).toLocaleString()}`);
+        }
+        if (entry.resume && entry.resume.uploadUrl) {
+            lines.push(`Resume at: ${entry.resume.uploadUrl}`);
+        } else if (entry.resume && entry.resume.sessionId) {
+            const received = entry.resume.parts.filter(part => part.received).length;
+            lines.push(`Upload session: ${entry.resume.sessionId} (${received} of ${entry.resume.parts.length} parts received)`);
+        }
+        return lines.join('\n');
+    }
+
+    /**
+     * How long ago a time was, roughly
+     */
+    formatAge(time) {
+        const minutes = Math.floor((Date.now() - Date.parse(time)) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} minute${minutes !== 1 ? 's' : ''} ago`;
+
+        const hours = Math.floor(minutes / 60);
+        if (hours < 48) return `${hours} hour${hours !== 1 ? 's' : ''} ago`;
+
+        const days = Math.floor(hours / 24);
+        return `${days} days ago`;
+    }
+
+    /**
+     * Keep an entry (or let it expire again)
+     */
+    async setKept(entry, kept) {
+        try {
+            const response = await fetch(`/api/staging/${encodeURIComponent(entry.id)}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ kept })
+            });
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to update staged upload');
+            }
+            await this.load();
+        } catch (error) {
+            this.showError('Failed to update staged upload: ' + error.message);
+        }
+    }
+
+    /**
+     * Discard an entry after confirmation
+     */
+    async discard(entry) {
+        if (!confirm(`Discard "${entry.filename || entry.id}"? The data received so far will be deleted and the upload can't be resumed.`)) return;
+
+        try {
+            const response = await fetch(`/api/staging/${encodeURIComponent(entry.id)}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to discard staged upload');
+            }
+            await this.load();
+        } catch (error) {
+            this.showError('Failed to discard staged upload: ' + error.message);
+        }
+    }
+
+    showError(message) {
+        if (this.onError) {
+            this.onError(message);
+        }
+    }
+}
+
+export default StagingPanel;
@@ -0,0 +1,245 @@
+import FileItem from './FileItem.js';
+
+/**
+ * Dialog listing trashed items, opened from the sidebar, with restore and permanent delete
+ */
+class TrashPanel {
+    constructor() {
+        this.element = null;
+        this.listElement = null;
+        this.summaryElement = null;
+        this.emptyBtn = null;
+        this.closeBtn = null;
+        this.openBtn = null;
+        this.entries = [];
+
+        // Callbacks
+        this.onRestore = null;
+        this.onError = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the trash panel
+     */
+    init() {
+        this.element = document.getElementById('trash-panel');
+        this.listElement = this.element.querySelector('.trash-list');
+        this.summaryElement = this.element.querySelector('.trash-summary');
+        this.emptyBtn = document.getElementById('trash-empty');
+        this.closeBtn = document.getElementById('trash-close');
+        this.openBtn = document.getElementById('trash-btn');
+
+        this.attachEvents();
+    }
+
+    /**
+     * Attach event listeners
+     */
+    attachEvents() {
+        this.openBtn.addEventListener('click', () => this.show());
+        this.closeBtn.addEventListener('click', () => this.hide());
+        this.emptyBtn.addEventListener('click', () => this.emptyTrash());
+
+        // Close when clicking the backdrop
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element) {
+                this.hide();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isVisible()) {
+                this.hide();
+            }
+        });
+    }
+
+    /**
+     * Open the panel and load its contents
+     */
+    async show() {
+        this.element.classList.remove('hidden');
+        await this.load();
+    }
+
+    /**
+     * Close the panel
+     */
+    hide() {
+        this.element.classList.add('hidden');
+    }
+
+    isVisible() {
+        return !this.element.classList.contains('hidden');
+    }
+
+    /**
+     * Fetch the trash listing from the server
+     */
+    async load() {
+        try {
+            const response = await fetch('/api/trash');
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to load trash');
+            }
+
+            const { entries, totalSize, retention } = await response.json();
+            this.entries = entries;
+            this.render(totalSize, retention);
+        } catch (error) {
+            this.showError('Failed to load trash: ' + error.message);
+        }
+    }
+
+    /**
+     * Render the entry list and summary line
+     */
+    render(totalSize, retention) {
+        this.listElement.innerHTML = '';
+
+        const count = this.entries.length;
+        let summary = count === 0
+            ? 'Trash is empty'
+            : `${count} item${count !== 1 ? 's' : ''}, ${FileItem.formatFileSize(totalSize)}`;
+        summary += ` · Items are deleted permanently after ${retention.maxAgeDays} days`;
+        if (retention.maxSize !== null) {
+            summary += ` or when the trash exceeds ${FileItem.formatFileSize(retention.maxSize)}`;
+        }
+        this.summaryElement.textContent = summary;
+        this.emptyBtn.disabled = count === 0;
+
+        this.entries.forEach(entry => {
+            this.listElement.appendChild(this.createRow(entry));
+        });
+    }
+
+    /**
+     * Create a row for a single trash entry
+     */
+    createRow(entry) {
+        const row = document.createElement('div');
+        row.className = 'trash-item';
+        row.title = `${entry.originalPath}\nDeleted: ${new Date(entry.deletedAt).toLocaleString()}`;
+
+        const icon = document.createElement('img');
+        icon.className = 'file-icon';
+        icon.src = entry.isDirectory ? 'icons/folder.png' : 'icons/file.png';
+        icon.alt = entry.isDirectory ? 'Folder' : 'File';
+
+        const details = document.createElement('div');
+        details.className = 'trash-item-details';
+
+        const name = document.createElement('span');
+        name.className = 'trash-item-name';
+        name.textContent = entry.name;
+
+        const parentPath = entry.originalPath.substring(0, entry.originalPath.lastIndexOf('/'));
+        const location = document.createElement('span');
+        location.className = 'trash-item-location';
+        location.textContent = `${FileItem.getDisplayName(parentPath)} · ${new Date(entry.deletedAt).toLocaleString()}` +
+            (entry.size !== null ? ` · ${FileItem.formatFileSize(entry.size)}` : '');
+
+        details.appendChild(name);
+        details.appendChild(location);
+
+        const restoreBtn = document.createElement('button');
+        restoreBtn.className = 'trash-action';
+        restoreBtn.textContent = 'Restore';
+        restoreBtn.addEventListener('click', () => this.restore(entry));
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'trash-action trash-action-danger';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => this.purge(entry));
+
+        row.appendChild(icon);
+        row.appendChild(details);
+        row.appendChild(restoreBtn);
+        row.appendChild(deleteBtn);
+        return row;
+    }
+
+    /**
+     * Restore an entry to where it was deleted from
+     */
+    async restore(entry) {
+        try {
+            let response = await this.requestRestore(entry, 'fail');
+
+            // Something new lives at the original path; offer to restore next to it instead
+            if (response.status === 409) {
+                if (!confirm(`"${entry.originalPath}" already exists. Restore it with a numbered name instead?`)) return;
+                response = await this.requestRestore(entry, 'keep-both');
+            }
+
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to restore item');
+            }
+
+            const result = await response.json();
+            await this.load();
+            if (this.onRestore) {
+                this.onRestore(result.path);
+            }
+        } catch (error) {
+            this.showError('Failed to restore item: ' + error.message);
+        }
+    }
+
+    requestRestore(entry, conflict) {
+        return fetch(`/api/trash/${encodeURIComponent(entry.id)}/restore`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ conflict })
+        });
+    }
+
+    /**
+     * Permanently delete an entry after confirmation
+     */
+    async purge(entry) {
+        if (!confirm(`Permanently delete "${entry.name}"? This cannot be undone.`)) return;
+
+        try {
+            const response = await fetch(`/api/trash/${encodeURIComponent(entry.id)}`, { method: 'DELETE' });
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to delete item');
+            }
+            await this.load();
+        } catch (error) {
+            this.showError('Failed to delete item permanently: ' + error.message);
+        }
+    }
+
+    /**
+     * Permanently delete everything after confirmation
+     */
+    async emptyTrash() {
+        const count = this.entries.length;
+        if (!confirm(`Permanently delete ${count} item${count !== 1 ? 's' : ''} in the trash? This cannot be undone.`)) return;
+
+        try {
+            const response = await fetch('/api/trash', { method: 'DELETE' });
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error || 'Failed to empty trash');
+            }
+            await this.load();
+        } catch (error) {
+            this.showError('Failed to empty trash: ' + error.message);
+        }
+    }
+
+    showError(message) {
+        if (this.onError) {
+            this.onError(message);
+        }
+    }
+}
+
+export default TrashPanel;
@@ -1,3 +1,6 @@
+import FileHasher from './FileHasher.js';
+import ChecksumHttpStack from './ChecksumHttpStack.js';
+
 /**
  * Manages upload queue state and processing
  */
@@ -7,27 +10,93 @@ class UploadQueue {
         this.isProcessing = false;
         this.currentUpload = null;
         
+        // Live upload statuses; without a connection statuses are polled instead
+        this.changeStream = null;
+        
+        // Whole-file checksums, computed ahead of the uploads that need them
+        this.hasher = new FileHasher();
+        
+        // What the server does when a file's name is already taken: 'number', 'skip', 'overwrite' or 'ask'.
+        // Files keep the policy they were added with.
+        this.duplicatePolicy = 'number';
+        
+        // Choice the user applied to all conflicts of files added with 'ask', until the queue empties
+        this.conflictResolution = null;
+        
         // Callbacks
         this.onQueueUpdate = null;
         this.onUploadComplete = null;
         this.onUploadError = null;
+        this.onConflict = null;
     }
 
     /**
      * Add files to the queue
      */
     addFiles(files, currentPath) {
-        const newItems = Array.from(files).map(file => ({
+        this.enqueue(Array.from(files).map(file => this.createItem(file, currentPath)));
+    }
+
+    /**
+     * Add the files of a folder, keeping its structure. Each entry is { file, directory }, directory being
+     * the subfolder the file goes in relative to currentPath, starting with the folder's own name.
+     * The files share a group, shown as one entry in the queue.
+     */
+    addFolder(name, entries, currentPath) {
+        if (entries.length === 0) return;
+        
+        const group = {
+            id: this.generateId(),
+            name: name,
+            path: this.joinPath(currentPath, name),
+            totalFiles: entries.length,
+            totalBytes: entries.reduce((sum, entry) => sum + entry.file.size, 0),
+            completedFiles: 0, // Files in place (or skipped), including those already gone from the queue
+            completedBytes: 0
+        };
+        this.enqueue(entries.map(entry => this.createItem(entry.file, this.joinPath(currentPath, entry.directory), group)));
+    }
+
+    /**
+     * Create a queue item for a file going to a directory
+     */
+    createItem(file, path, group = null) {
+        return {
             id: this.generateId(),
             file: file,
             status: 'pending',
             progress: 0,
-            path: currentPath,
+            path: path,
+            group: group, // Folder upload the file belongs to
+            duplicatePolicy: this.duplicatePolicy,
+            duplicate: null, // 'numbered', 'replaced' or 'skipped' when the name was taken
             error: null,
-            tusUpload: null,
-            parts: null, // Will store part upload instances for multi-part uploads
-            partProgress: null // Will track individual part progress
-        }));
+            tusUploads: [], // TUS uploads, one per part
+            uploadSession: null, // Server upload session for files sent in parts
+            uploadIds: [], // Server upload IDs
+            sha256: null, // Whole-file checksum, resolved by hashing
+            hashing: null, // Promise of the checksum
+            bytesHashed: 0,
+            checksum: null, // 'verified' or 'mismatch' once the server has checked the file
+            finalization: null, // Latest finalization status from the server
+            finalPath: null, // Where the server put the file
+            stopFinalization: null // Stops following the finalization status
+        };
+    }
+
+    /**
+     * Add items to the end of the queue and start hashing them
+     */
+    enqueue(newItems) {
+        // Files are hashed in queue order, so later files are usually done by the time their turn comes
+        newItems.forEach(item => {
+            item.hashing = this.hasher.hash(item.id, item.file, (bytesHashed) => {
+                item.bytesHashed = bytesHashed;
+                if (item.status === 'hashing') {
+                    this.notifyQueueUpdate();
+                }
+            });
+        });
 
         this.queue.push(...newItems);
         this.notifyQueueUpdate();
@@ -52,8 +121,6 @@ class UploadQueue {
 
         this.isProcessing = true;
         this.currentUpload = nextItem;
-        nextItem.status = 'uploading';
-        this.notifyQueueUpdate();
 
         try {
             await this.uploadFile(nextItem);
@@ -63,7 +130,7 @@ class UploadQueue {
     }
 
     /**
-     * Determine number of parts based on file size
+     * Determine number of parallel parts based on file size
      */
     getPartCount(fileSize) {
         const MB = 1024 * 1024;
@@ -80,170 +147,357 @@ class UploadQueue {
     }
 
     /**
-     * Split file into parts
+     * Upload a single file using TUS. Large files are sent as parts in parallel, each written by the
+     * server straight into its place in the file.
      */
-    splitFileIntoParts(file) {
-        const partCount = this.getPartCount(file.size);
-        
-        if (partCount === 1) {
-            return [{
-                blob: file,
-                partNumber: 1,
-                totalParts: 1,
-                filename: file.name
-            }];
+    async uploadFile(queueItem) {
+        // The checksum goes in the upload metadata, so it has to be known before the upload is created
+        queueItem.status = 'hashing';
+        this.notifyQueueUpdate();
+        queueItem.sha256 = await queueItem.hashing;
+        
+        // Cancelled while hashing
+        if (!this.queue.includes(queueItem)) return;
+        
+        queueItem.status = 'uploading';
+        this.notifyQueueUpdate();
+        
+        const partCount = this.getPartCount(queueItem.file.size);
+        
+        console.log(`Uploading file ${queueItem.file.name} in ${partCount} part(s)`);
+        
+        let result;
+        try {
+            if (partCount === 1) {
+                result = await this.uploadWholeFile(queueItem);
+            } else {
+                result = await this.uploadParts(queueItem, partCount);
+            }
+        } catch (error) {
+            if (!error.isDuplicate) throw error;
+            this.handleDuplicate(queueItem, error);
+            return;
         }
-
-        const partSize = Math.ceil(file.size / partCount);
-        const parts = [];
-
-        for (let i = 0; i < partCount; i++) {
-            const start = i * partSize;
-            const end = Math.min(start + partSize, file.size);
-            const blob = file.slice(start, end);
-
-            parts.push({
-                blob: blob,
-                partNumber: i + 1,
-                totalParts: partCount,
-                filename: `${file.name}.part${i + 1}`
-            });
+        
+        // Cancelled while uploading
+        if (!this.queue.includes(queueItem)) return;
+        
+        if (result && result.skipped) {
+            this.handleUploadSkipped(queueItem);
+            return;
         }
-
-        return parts;
+        
+        console.log(`${queueItem.file.name} uploaded successfully`);
+        this.handleUploadSent(queueItem);
     }
 
     /**
-     * Upload a single file using TUS (with parted upload support)
+     * Upload a file as one TUS upload. Returns { skipped: true } when the server skipped it because
+     * its name is taken.
      */
-    async uploadFile(queueItem) {
-        const parts = this.splitFileIntoParts(queueItem.file);
+    async uploadWholeFile(queueItem) {
+        const metadata = {
+            filename: queueItem.file.name,
+            filetype: queueItem.file.type,
+            useOriginalFilename: 'true',
+            onDuplicateFiles: queueItem.duplicatePolicy,
+            path: this.getRelativePath(queueItem.path)
+        };
         
-        console.log(`Uploading file ${queueItem.file.name} in ${parts.length} part(s)`);
+        // Checked by the server once the file is complete; files that don't match are quarantined
+        if (queueItem.sha256) {
+            metadata.sha256 = queueItem.sha256;
+        }
         
-        if (parts.length === 1) {
-            // Single part upload (existing logic)
-            return this.uploadSinglePart(queueItem, parts[0]);
-        } else {
-            // Multi-part upload
-            return this.uploadMultipleParts(queueItem, parts);
+        try {
+            const uploadId = await this.startTusUpload(queueItem, queueItem.file, metadata, (bytesUploaded, bytesTotal) => {
+                queueItem.progress = Math.floor((bytesUploaded / bytesTotal) * 100);
+                this.notifyQueueUpdate();
+            });
+            queueItem.uploadIds.push(uploadId);
+        } catch (error) {
+            // When the name is taken the server answers the creation request with 200 if the file is
+            // skipped (there is then no upload to send), and refuses it if the policy doesn't settle it
+            const response = error.originalResponse;
+            const isCreation = !!response && error.originalRequest.getMethod() === 'POST';
+            if (isCreation && response.getStatus() === 200) {
+                return { skipped: true };
+            }
+            error.isDuplicate = isCreation && response.getStatus() === 409;
+            throw error;
         }
     }
 
     /**
-     * Upload multiple parts in parallel
+     * Upload a file as parts of an upload session. The server plans the byte range of each part and
+     * writes it at its offset in the file, so the file is complete as soon as the last part arrives.
+     * Returns { skipped: true } when the server skipped the file because its name is taken.
      */
-    async uploadMultipleParts(queueItem, parts) {
-        // Initialize part tracking
-        queueItem.parts = new Map();
-        queueItem.partProgress = new Map();
-        
-        // Create upload promises for all parts
-        const uploadPromises = parts.map(part =>
-            this.uploadSinglePart(queueItem, part)
-        );
-
+    async uploadParts(queueItem, partCount) {
+        const response = await fetch('/api/upload-sessions', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                filename: queueItem.file.name,
+                size: queueItem.file.size,
+                totalParts: partCount,
+                path: this.getRelativePath(queueItem.path),
+                onDuplicateFiles: queueItem.duplicatePolicy,
+                sha256: queueItem.sha256
+            })
+        });
+        const session = await response.json();
+        if (!response.ok) {
+            const error = new Error(session.error || 'Failed to start the upload');
+            error.isDuplicate = response.status === 409;
+            throw error;
+        }
+        if (session.skipped) {
+            return { skipped: true };
+        }
+        
+        queueItem.uploadSession = session.id;
+        
+        // Cancelled while the session was being opened
+        if (!this.queue.includes(queueItem)) {
+            this.discardUploadSession(session.id);
+            return;
+        }
+        
+        const partBytes = new Map(); // Map of partNumber -> bytes uploaded
+        const uploads = session.parts.map(part => {
+            const metadata = {
+                filename: queueItem.file.name,
+                filetype: queueItem.file.type,
+                isPartedUpload: 'true',
+                uploadSession: session.id,
+                partNumber: part.partNumber.toString()
+            };
+            const blob = queueItem.file.slice(part.offset, part.offset + part.size);
+            
+            return this.startTusUpload(queueItem, blob, metadata, (bytesUploaded) => {
+                partBytes.set(part.partNumber, bytesUploaded);
+                const totalUploaded = Array.from(partBytes.values()).reduce((sum, bytes) => sum + bytes, 0);
+                queueItem.progress = Math.floor((totalUploaded / queueItem.file.size) * 100);
+                this.notifyQueueUpdate();
+            });
+        });
+        
         try {
-            await Promise.all(uploadPromises);
-            console.log(`All parts uploaded successfully for ${queueItem.file.name}`);
+            queueItem.uploadIds.push(...await Promise.all(uploads));
         } catch (error) {
-            console.error(`Error uploading parts for ${queueItem.file.name}:`, error);
+            // One part failing fails the file; stop the others and drop what the server has
+            queueItem.tusUploads.forEach(tusUpload => tusUpload.abort());
+            this.discardUploadSession(session.id);
             throw error;
         }
     }
 
     /**
-     * Upload a single part using TUS
+     * Start a TUS upload of a file or part of one. Resolves with the server's upload ID once all of its data has been sent.
      */
-    uploadSinglePart(queueItem, part) {
+    startTusUpload(queueItem, data, metadata, onProgress) {
         return new Promise((resolve, reject) => {
-            const endpoint = `${window.location.protocol}//${window.location.host}/files/`;
-            
-            const isPartedUpload = part.totalParts > 1;
-            
-            const metadata = {
-                filename: part.filename,
-                filetype: queueItem.file.type,
-                useOriginalFilename: 'true',
-                onDuplicateFiles: 'number',
-                path: this.getRelativePath(queueItem.path),
-                isPartedUpload: isPartedUpload ? 'true' : 'false'
-            };
-
-            // Add part-specific metadata for multi-part uploads
-            if (isPartedUpload) {
-                metadata.originalFilename = queueItem.file.name;
-                metadata.partNumber = part.partNumber.toString();
-                metadata.totalParts = part.totalParts.toString();
-                metadata.partId = `${queueItem.id}_part${part.partNumber}`;
-            }
-            
-            const tusUpload = new tus.Upload(part.blob, {
-                endpoint: endpoint,
+            const tusUpload = new tus.Upload(data, {
+                endpoint: `${window.location.protocol}//${window.location.host}/files/`,
                 chunkSize: 8 * 1024 * 1024, // 8MB chunks
                 retryDelays: [0, 1000, 3000, 5000],
                 metadata: metadata,
+                httpStack: new ChecksumHttpStack(),
+                onShouldRetry: (error) => {
+                    // tus-js-client's default, plus chunks the server rejected for a checksum mismatch (460).
+                    // A 409 when creating the upload is a name clash, which retrying won't change, and a 200
+                    // means the server skipped the file.
+                    const status = error.originalResponse ? error.originalResponse.getStatus() : 0;
+                    if ((status === 409 || status === 200) && error.originalRequest.getMethod() === 'POST') return false;
+                    const isRetryable = status < 400 || status >= 500 || [409, 423, 460].includes(status);
+                    return isRetryable && navigator.onLine !== false;
+                },
                 onError: (error) => {
-                    console.error(`Error uploading part ${part.partNumber}:`, error);
+                    console.error(`Error uploading ${queueItem.file.name}:`, error);
                     reject(error);
                 },
-                onProgress: (bytesUploaded, bytesTotal) => {
-                    if (isPartedUpload) {
-                        // Track individual part progress
-                        const partProgress = Math.floor((bytesUploaded / bytesTotal) * 100);
-                        queueItem.partProgress.set(part.partNumber, partProgress);
-                        
-                        // Calculate overall progress
-                        const totalProgress = Array.from(queueItem.partProgress.values())
-                            .reduce((sum, progress) => sum + progress, 0) / part.totalParts;
-                        
-                        queueItem.progress = Math.floor(totalProgress);
-                    } else {
-                        // Single part progress
-                        queueItem.progress = Math.floor((bytesUploaded / bytesTotal) * 100);
-                    }
-                    
-                    this.notifyQueueUpdate();
-                },
+                onProgress: onProgress,
                 onSuccess: () => {
-                    console.log(`Part ${part.partNumber} uploaded successfully`);
-                    
-                    if (isPartedUpload) {
-                        queueItem.parts.set(part.partNumber, tusUpload);
-                        queueItem.partProgress.set(part.partNumber, 100);
-                        
-                        // Check if all parts are complete
-                        if (queueItem.parts.size === part.totalParts) {
-                            queueItem.progress = 100;
-                            this.handleUploadSuccess(queueItem);
-                        }
-                    } else {
-                        queueItem.tusUpload = tusUpload;
-                        this.handleUploadSuccess(queueItem);
-                    }
-                    
-                    resolve();
+                    resolve(tusUpload.url.split('/').pop());
                 }
             });
 
-            if (isPartedUpload) {
-                queueItem.parts.set(part.partNumber, tusUpload);
+            queueItem.tusUploads.push(tusUpload);
+            tusUpload.start();
+        });
+    }
+
+    /**
+     * Abandon an upload session, so the server drops the parts it has received
+     */
+    discardUploadSession(sessionId) {
+        fetch(`/api/upload-sessions/${encodeURIComponent(sessionId)}`, { method: 'DELETE' })
+            .catch(error => console.error('Failed to discard upload session:', error));
+    }
+
+    /**
+     * Handle the server refusing a file because its name is taken: skip it, ask the user, or, once they
+     * have chosen for all files, send it again with their choice. Other refusals (prevent, or a folder
+     * in the way of overwrite) fail the item.
+     */
+    handleDuplicate(queueItem, error) {
+        if (queueItem.duplicatePolicy === 'ask' && !this.conflictResolution) {
+            queueItem.status = 'conflict';
+            this.releaseCurrent(queueItem, 500);
+            this.notifyQueueUpdate();
+            this.notifyConflict(queueItem);
+            return;
+        }
+        
+        const policy = queueItem.duplicatePolicy === 'ask' ? this.conflictResolution : queueItem.duplicatePolicy;
+        if (policy === 'skip') {
+            this.handleUploadSkipped(queueItem);
+        } else if (queueItem.duplicatePolicy === 'ask') {
+            this.retryWithPolicy(queueItem, policy);
+        } else {
+            this.handleUploadError(queueItem, error);
+        }
+    }
+
+    /**
+     * Settle a conflict with the user's choice: 'number', 'overwrite' or 'skip'. With applyToAll the
+     * choice also settles every other conflict, now and until the queue empties.
+     */
+    resolveConflict(id, policy, applyToAll = false) {
+        if (applyToAll) {
+            this.conflictResolution = policy;
+        }
+        
+        const items = this.queue.filter(item =>
+            item.status === 'conflict' && (item.id === id || applyToAll)
+        );
+        items.forEach(item => {
+            if (policy === 'skip') {
+                this.handleUploadSkipped(item);
             } else {
-                queueItem.tusUpload = tusUpload;
+                this.retryWithPolicy(item, policy);
+            }
+        });
+    }
+
+    /**
+     * Queue a file again to be sent with another duplicate policy
+     */
+    retryWithPolicy(queueItem, policy) {
+        queueItem.duplicatePolicy = policy;
+        queueItem.status = 'pending';
+        queueItem.progress = 0;
+        queueItem.tusUploads = [];
+        queueItem.uploadSession = null;
+        this.releaseCurrent(queueItem, 0);
+        this.notifyQueueUpdate();
+        
+        if (!this.isProcessing) {
+            this.processNext();
+        }
+    }
+
+    /**
+     * Handle a file that was not sent because one with its name is already there
+     */
+    handleUploadSkipped(queueItem) {
+        queueItem.status = 'completed';
+        queueItem.duplicate = 'skipped';
+        this.countGroupFile(queueItem);
+        this.releaseCurrent(queueItem, 500);
+        this.notifyQueueUpdate();
+        
+        setTimeout(() => {
+            this.removeFromQueue(queueItem.id);
+        }, 2000);
+    }
+
+    /**
+     * Handle all data having reached the server. The next upload starts while the server
+     * moves (or assembles) the file into place, and the item completes once it reports back.
+     */
+    handleUploadSent(queueItem) {
+        queueItem.status = 'processing';
+        queueItem.progress = 100;
+        this.releaseCurrent(queueItem, 500);
+        this.notifyQueueUpdate();
+        
+        this.waitForFinalization(queueItem)
+            .then(status => this.handleUploadSuccess(queueItem, status))
+            .catch(error => this.handleUploadError(queueItem, error));
+    }
+
+    /**
+     * Follow the server's finalization status for an upload until it is done or failed.
+     * Resolves with the final status, rejects with the reason it failed.
+     */
+    waitForFinalization(queueItem) {
+        // Every part of a parted upload shares one status
+        const uploadId = queueItem.uploadIds[queueItem.uploadIds.length - 1];
+        
+        return new Promise((resolve, reject) => {
+            let pollTimer = null;
+            
+            const stop = () => {
+                clearInterval(pollTimer);
+                queueItem.stopFinalization = null;
+                if (this.changeStream) {
+                    this.changeStream.unfollowUpload(uploadId);
+                }
+            };
+            queueItem.stopFinalization = stop;
+            
+            const onStatus = (status) => {
+                // Cancelled items are no longer followed
+                if (!this.queue.includes(queueItem)) {
+                    stop();
+                    return;
+                }
+                
+                queueItem.finalization = status;
+                this.notifyQueueUpdate();
+                
+                if (status.state === 'done') {
+                    stop();
+                    resolve(status);
+                } else if (status.state === 'failed') {
+                    stop();
+                    reject(new Error(status.error || 'Processing failed on the server'));
+                }
+            };
+            
+            if (this.changeStream) {
+                this.changeStream.followUpload(uploadId, onStatus);
             }
             
-            tusUpload.start();
+            // Poll while the change stream is down (it sends the current status again when it reconnects)
+            pollTimer = setInterval(async () => {
+                if (this.changeStream && this.changeStream.isConnected()) return;
+                try {
+                    const response = await fetch(`/api/uploads/${encodeURIComponent(uploadId)}`);
+                    if (response.ok) {
+                        onStatus(await response.json());
+                    }
+                } catch (error) {
+                    console.error('Failed to check upload status:', error);
+                }
+            }, 1000);
         });
     }
 
     /**
-     * Handle successful upload
+     * Handle an upload that is in place on the server
      */
-    async handleUploadSuccess(queueItem) {
+    handleUploadSuccess(queueItem, status) {
+        if (!this.queue.includes(queueItem)) return;
+        
         queueItem.status = 'completed';
         queueItem.progress = 100;
-        this.currentUpload = null;
-        this.isProcessing = false;
+        queueItem.finalPath = status.path;
+        queueItem.checksum = status.checksum;
+        queueItem.duplicate = status.duplicate;
+        this.countGroupFile(queueItem);
         
         this.notifyQueueUpdate();
         this.notifyUploadComplete(queueItem);
@@ -252,29 +506,43 @@ class UploadQueue {
         setTimeout(() => {
             this.removeFromQueue(queueItem.id);
         }, 2000);
+    }
+
+    /**
+     * Count a finished file towards its folder upload, which outlives the file's own queue entry
+     */
+    countGroupFile(queueItem) {
+        if (!queueItem.group) return;
         
-        // Process next item
-        setTimeout(() => {
-            this.processNext();
-        }, 500);
+        queueItem.group.completedFiles++;
+        queueItem.group.completedBytes += queueItem.file.size;
     }
 
     /**
      * Handle upload error
      */
     handleUploadError(queueItem, error) {
+        if (!this.queue.includes(queueItem)) return;
+        
         queueItem.status = 'error';
         queueItem.error = error.message || 'Upload failed';
-        this.currentUpload = null;
-        this.isProcessing = false;
+        this.releaseCurrent(queueItem, 1000);
         
         this.notifyQueueUpdate();
         this.notifyUploadError(queueItem, error);
+    }
+
+    /**
+     * Let the next queued item start if this one was occupying the upload slot
+     */
+    releaseCurrent(queueItem, delay) {
+        if (this.currentUpload !== queueItem) return;
         
-        // Process next item after error
+        this.currentUpload = null;
+        this.isProcessing = false;
         setTimeout(() => {
             this.processNext();
-        }, 1000);
+        }, delay);
     }
 
     /**
@@ -284,6 +552,9 @@ class UploadQueue {
         const index = this.queue.findIndex(item => item.id === id);
         if (index !== -1) {
             this.queue.splice(index, 1);
+            if (this.queue.length === 0) {
+                this.conflictResolution = null;
+            }
             this.notifyQueueUpdate();
         }
     }
@@ -295,18 +566,26 @@ class UploadQueue {
         const item = this.queue.find(item => item.id === id);
         if (!item) return;
 
-        // Cancel single upload
-        if (item.tusUpload && item.status === 'uploading') {
-            item.tusUpload.abort();
+        // Cancel the upload; the parts of a file sent in parts are dropped with their session
+        if (item.status === 'uploading') {
+            item.tusUploads.forEach(tusUpload => tusUpload.abort());
+            if (item.uploadSession) {
+                this.discardUploadSession(item.uploadSession);
+            }
         }
 
-        // Cancel all parts for multi-part uploads
-        if (item.parts && item.status === 'uploading') {
-            item.parts.forEach(partUpload => {
-                if (partUpload) {
-                    partUpload.abort();
-                }
-            });
+        // Stop hashing the file if it hasn't been yet
+        this.hasher.cancel(item.id);
+
+        // A cancelled file no longer counts towards its folder upload
+        if (item.group && item.status !== 'completed') {
+            item.group.totalFiles--;
+            item.group.totalBytes -= item.file.size;
+        }
+
+        // The server finishes an item that is already processing; just stop following it
+        if (item.stopFinalization) {
+            item.stopFinalization();
         }
 
         this.removeFromQueue(id);
@@ -321,6 +600,22 @@ class UploadQueue {
         }
     }
 
+    /**
+     * Cancel every file of a folder upload that hasn't finished
+     */
+    cancelGroup(groupId) {
+        this.queue
+            .filter(item => item.group && item.group.id === groupId && item.status !== 'completed')
+            .forEach(item => this.cancelUpload(item.id));
+    }
+
+    /**
+     * Join a client path ('/' for the volume root) and a relative path
+     */
+    joinPath(path, relativePath) {
+        return path === '/' ? `/${relativePath}` : `${path}/${relativePath}`;
+    }
+
     /**
      * Get relative path for upload
      */
@@ -342,7 +637,10 @@ class UploadQueue {
         return {
             total: this.queue.length,
             pending: this.queue.filter(item => item.status === 'pending').length,
+            hashing: this.queue.filter(item => item.status === 'hashing').length,
             uploading: this.queue.filter(item => item.status === 'uploading').length,
+            processing: this.queue.filter(item => item.status === 'processing').length,
+            conflict: this.queue.filter(item => item.status === 'conflict').length,
             completed: this.queue.filter(item => item.status === 'completed').length,
             error: this.queue.filter(item => item.status === 'error').length
         };
@@ -375,6 +673,12 @@ class UploadQueue {
             this.onUploadError(queueItem, error);
         }
     }
+
+    notifyConflict(queueItem) {
+        if (this.onConflict) {
+            this.onConflict(queueItem);
+        }
+    }
 }
 
 export default UploadQueue;
\ No newline at end of file
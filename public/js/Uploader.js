@@ -1,6 +1,8 @@
 import FileItem from './FileItem.js';
 import UploadQueue from './UploadQueue.js';
 import QueueItem from './QueueItem.js';
+import QueueGroup from './QueueGroup.js';
+import ConflictDialog from './ConflictDialog.js';
 
 /**
  * Handles file uploads using TUS protocol with queue support
@@ -13,11 +15,21 @@ class Uploader {
         // Queue system
         this.uploadQueue = new UploadQueue();
         this.queueItems = new Map(); // Map of queue item ID to QueueItem component
+        this.queueGroups = new Map(); // Map of folder upload ID to QueueGroup component
+        this.uploadAllowed = true;
+        
+        // Files whose name is taken, waiting to ask the user about
+        this.conflictDialog = new ConflictDialog();
+        this.conflicts = [];
         
         // DOM elements
         this.fileInput = null;
+        this.folderInput = null;
         this.uploadBtn = null;
+        this.uploadFolderBtn = null;
+        this.dropZone = null;
         this.uploadPathSpan = null;
+        this.duplicatePolicySelect = null;
         this.queueContainer = null;
         
         // Callbacks
@@ -48,6 +60,16 @@ class Uploader {
         this.uploadBtn = document.getElementById('upload-btn');
         this.uploadPathSpan = document.getElementById('upload-path');
         
+        // Folder input and button; the browser lists every file inside the chosen folder
+        this.folderInput = document.getElementById('folder-input');
+        this.uploadFolderBtn = document.getElementById('upload-folder-btn');
+        
+        // Files and folders can also be dropped on the uploader
+        this.dropZone = this.container;
+        
+        // Duplicate policy for the files added next
+        this.duplicatePolicySelect = document.getElementById('duplicate-policy');
+        
         // Queue container
         this.queueContainer = document.getElementById('queue-container');
     }
@@ -70,10 +92,64 @@ class Uploader {
             }
         });
 
+        this.uploadFolderBtn.addEventListener('click', () => {
+            this.folderInput.click();
+        });
+
+        this.folderInput.addEventListener('change', (e) => {
+            const files = e.target.files;
+            if (files.length > 0) {
+                this.addPickedFolder(files);
+            }
+            this.folderInput.value = '';
+        });
+
+        this.attachDropEvents();
+
+        // Files already queued keep the policy they were added with
+        this.duplicatePolicySelect.addEventListener('change', () => {
+            this.uploadQueue.duplicatePolicy = this.duplicatePolicySelect.value;
+        });
+
         // Setup queue callbacks
         this.setupQueueCallbacks();
     }
 
+    /**
+     * Accept files and folders dragged in from the operating system
+     */
+    attachDropEvents() {
+        // Only drags carrying files from outside the page
+        const isFileDrag = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+
+        this.dropZone.addEventListener('dragover', (e) => {
+            if (!isFileDrag(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = this.uploadAllowed ? 'copy' : 'none';
+            this.dropZone.classList.toggle('drop-target', this.uploadAllowed);
+        });
+
+        this.dropZone.addEventListener('dragleave', (e) => {
+            if (!this.dropZone.contains(e.relatedTarget)) {
+                this.dropZone.classList.remove('drop-target');
+            }
+        });
+
+        this.dropZone.addEventListener('drop', (e) => {
+            if (!isFileDrag(e)) return;
+            e.preventDefault();
+            this.dropZone.classList.remove('drop-target');
+            if (!this.uploadAllowed) return;
+
+            // Entries have to be taken while handling the event; the data transfer is emptied afterwards
+            const entries = Array.from(e.dataTransfer.items)
+                .filter(item => item.kind === 'file')
+                .map(item => item.webkitGetAsEntry())
+                .filter(entry => entry);
+            this.addDroppedEntries(entries);
+        });
+    }
+
     /**
      * Setup upload queue callbacks
      */
@@ -84,7 +160,7 @@ class Uploader {
 
         this.uploadQueue.onUploadComplete = (queueItem) => {
             if (this.onUploadComplete) {
-                this.onUploadComplete();
+                this.onUploadComplete(queueItem);
             }
         };
 
@@ -93,6 +169,34 @@ class Uploader {
                 this.onError(error.message || 'Upload failed');
             }
         };
+
+        this.uploadQueue.onConflict = (queueItem) => {
+            this.conflicts.push(queueItem);
+            if (!this.conflictDialog.isVisible()) {
+                this.askNextConflict();
+            }
+        };
+    }
+
+    /**
+     * Ask the user about the next file whose name is taken. Closing the dialog cancels that file.
+     */
+    async askNextConflict() {
+        // Conflicts settled by "do this for all" or cancelled in the meantime need no answer
+        this.conflicts = this.conflicts.filter(item =>
+            item.status === 'conflict' && this.uploadQueue.queue.includes(item)
+        );
+        const queueItem = this.conflicts.shift();
+        if (!queueItem) return;
+
+        const folderName = FileItem.getDisplayName(queueItem.path);
+        const choice = await this.conflictDialog.ask(queueItem.file.name, folderName, this.conflicts.length);
+        if (choice) {
+            this.uploadQueue.resolveConflict(queueItem.id, choice.policy, choice.applyToAll);
+        } else {
+            this.uploadQueue.cancelUpload(queueItem.id);
+        }
+        this.askNextConflict();
     }
 
     /**
@@ -103,7 +207,76 @@ class Uploader {
     }
 
     /**
-     * Update the queue display
+     * Add a folder chosen with the folder input. Each file's webkitRelativePath starts with the
+     * folder's name, followed by the subfolders it is in.
+     */
+    addPickedFolder(files) {
+        const entries = Array.from(files).map(file => {
+            const segments = file.webkitRelativePath.split('/');
+            return { file, directory: segments.slice(0, -1).join('/') };
+        });
+        const name = entries[0].directory.split('/')[0];
+        this.uploadQueue.addFolder(name, entries, this.currentPath);
+    }
+
+    /**
+     * Add files and folders dropped from the operating system: files on their own, each folder
+     * with everything inside it
+     */
+    async addDroppedEntries(entries) {
+        const files = [];
+        for (const entry of entries) {
+            try {
+                if (entry.isDirectory) {
+                    const folderEntries = await this.readDirectoryEntry(entry, entry.name);
+                    this.uploadQueue.addFolder(entry.name, folderEntries, this.currentPath);
+                } else {
+                    files.push(await this.getEntryFile(entry));
+                }
+            } catch (error) {
+                if (this.onError) {
+                    this.onError(`Failed to read "${entry.name}": ${error.message}`);
+                }
+            }
+        }
+        if (files.length > 0) {
+            this.addFilesToQueue(files);
+        }
+    }
+
+    /**
+     * List every file inside a dropped folder as { file, directory }, directory being the path of
+     * the folder it is in, starting with the dropped folder's name
+     */
+    async readDirectoryEntry(directoryEntry, directory) {
+        const results = [];
+        const reader = directoryEntry.createReader();
+
+        // readEntries returns the entries in batches, and an empty batch at the end
+        let batch;
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            for (const entry of batch) {
+                if (entry.isDirectory) {
+                    results.push(...await this.readDirectoryEntry(entry, `${directory}/${entry.name}`));
+                } else {
+                    results.push({ file: await this.getEntryFile(entry), directory });
+                }
+            }
+        } while (batch.length > 0);
+
+        return results;
+    }
+
+    /**
+     * Get the File of a dropped file entry
+     */
+    getEntryFile(fileEntry) {
+        return new Promise((resolve, reject) => fileEntry.file(resolve, reject));
+    }
+
+    /**
+     * Update the queue display. Files of a folder upload are shown inside its group entry.
      */
     updateQueueDisplay(queue) {
         if (!this.queueContainer) return;
@@ -127,10 +300,37 @@ class Uploader {
                     this.uploadQueue.cancelUpload(id);
                 });
                 this.queueItems.set(queueData.id, queueItem);
-                this.queueContainer.appendChild(queueItem.getElement());
+                const container = queueData.group
+                    ? this.getQueueGroup(queueData.group).getItemsContainer()
+                    : this.queueContainer;
+                container.appendChild(queueItem.getElement());
             }
         });
 
+        // Update folder uploads, removing those with no files left in the queue
+        this.queueGroups.forEach((queueGroup, id) => {
+            const items = queue.filter(item => item.group && item.group.id === id);
+            if (items.length === 0) {
+                queueGroup.remove();
+                this.queueGroups.delete(id);
+            } else {
+                queueGroup.update(items);
+            }
+        });
+    }
+
+    /**
+     * Get the entry of a folder upload, creating it the first time one of its files is shown
+     */
+    getQueueGroup(group) {
+        if (!this.queueGroups.has(group.id)) {
+            const queueGroup = new QueueGroup(group, (id) => {
+                this.uploadQueue.cancelGroup(id);
+            });
+            this.queueGroups.set(group.id, queueGroup);
+            this.queueContainer.appendChild(queueGroup.getElement());
+        }
+        return this.queueGroups.get(group.id);
     }
 
     /**
@@ -157,6 +357,24 @@ class Uploader {
         this.updatePathDisplay();
     }
 
+    /**
+     * Use a change stream to follow uploads while the server finalizes them
+     */
+    setChangeStream(changeStream) {
+        this.uploadQueue.changeStream = changeStream;
+    }
+
+    /**
+     * Enable or disable the upload button for the current path
+     */
+    setUploadAllowed(allowed) {
+        this.uploadAllowed = allowed;
+        this.uploadBtn.disabled = !allowed;
+        this.uploadBtn.title = allowed ? '' : 'You do not have permission to upload here';
+        this.uploadFolderBtn.disabled = !allowed;
+        this.uploadFolderBtn.title = this.uploadBtn.title;
+    }
+
     /**
      * Update the path display in the button
      */
@@ -1,6 +1,10 @@
 import FileExplorer from './FileExplorer.js';
 import Uploader from './Uploader.js';
 import ContextMenu from './ContextMenu.js';
+import SearchPanel from './SearchPanel.js';
+import TrashPanel from './TrashPanel.js';
+import StagingPanel from './StagingPanel.js';
+import ChangeStream from './ChangeStream.js';
 import FileItem from './FileItem.js';
 
 /**
@@ -11,6 +15,10 @@ class App {
         this.fileExplorer = null;
         this.uploader = null;
         this.contextMenu = null;
+        this.searchPanel = null;
+        this.trashPanel = null;
+        this.stagingPanel = null;
+        this.changeStream = null;
         
         // DOM elements
         this.pathHeader = null;
@@ -37,9 +45,54 @@ class App {
      * Setup the application components
      */
     setup() {
+        this.handleExpiredSessions();
         this.initializeElements();
         this.initializeComponents();
         this.attachEvents();
+        this.loadSession();
+    }
+
+    /**
+     * Send the browser to the login page whenever an API call reports the session has ended
+     */
+    handleExpiredSessions() {
+        const originalFetch = window.fetch.bind(window);
+        window.fetch = async (...args) => {
+            const response = await originalFetch(...args);
+            if (response.status === 401) {
+                window.location.replace('/login.html');
+            }
+            return response;
+        };
+    }
+
+    /**
+     * Show the signed-in user in the sidebar
+     */
+    async loadSession() {
+        try {
+            const response = await fetch('/api/session');
+            if (!response.ok) return;
+
+            const { authEnabled, user } = await response.json();
+            if (authEnabled && user) {
+                document.getElementById('sidebar-user-name').textContent = user.username;
+                document.getElementById('sidebar-user').classList.remove('hidden');
+            }
+        } catch (error) {
+            console.error('Failed to load session:', error);
+        }
+    }
+
+    /**
+     * End the session and return to the login page
+     */
+    async logout() {
+        try {
+            await fetch('/api/logout', { method: 'POST' });
+        } finally {
+            window.location.replace('/login.html');
+        }
     }
 
     /**
@@ -67,6 +120,18 @@ class App {
         // Initialize context menu
         this.contextMenu = new ContextMenu();
         
+        // Initialize search panel
+        this.searchPanel = new SearchPanel();
+        
+        // Initialize trash panel
+        this.trashPanel = new TrashPanel();
+        
+        // Initialize staged uploads panel
+        this.stagingPanel = new StagingPanel();
+        
+        // Initialize live change notifications
+        this.changeStream = new ChangeStream();
+        
         // Connect components
         this.connectComponents();
     }
@@ -79,25 +144,43 @@ class App {
         this.fileExplorer.onPathChange = (path) => {
             this.updatePathDisplay(path);
             this.uploader.setCurrentPath(path);
+            this.uploader.setUploadAllowed(this.fileExplorer.canInDirectory('upload', path));
         };
         
         this.fileExplorer.onError = (message) => {
             this.showError(message);
         };
         
-        this.fileExplorer.onContextMenu = (e, item, isMultipleSelection) => {
-            this.contextMenu.show(e.clientX, e.clientY, item, isMultipleSelection);
+        this.fileExplorer.onContextMenu = (e, item, isMultipleSelection, allowed) => {
+            this.contextMenu.show(e.clientX, e.clientY, item, isMultipleSelection, null, allowed);
+        };
+        
+        this.fileExplorer.onColumnContextMenu = (e, column, allowed) => {
+            this.contextMenu.show(e.clientX, e.clientY, null, false, column, allowed);
+        };
+        
+        this.fileExplorer.onColumnsChange = (paths) => {
+            this.changeStream.watch(paths);
+        };
+        
+        // Change stream callbacks
+        this.changeStream.onChange = (change) => {
+            this.fileExplorer.applyDirectoryChange(change);
         };
         
-        this.fileExplorer.onColumnContextMenu = (e, column) => {
-            this.contextMenu.show(e.clientX, e.clientY, null, false, column);
+        this.changeStream.onReconnect = () => {
+            this.fileExplorer.refreshColumns();
         };
         
         // Uploader callbacks
-        this.uploader.onUploadComplete = () => {
-            console.log('Upload completed, waiting for server processing...');
-            // Poll for file processing completion instead of using a fixed delay
-            this.waitForFileProcessing(this.uploader.currentPath);
+        this.uploader.setChangeStream(this.changeStream);
+        
+        this.uploader.onUploadComplete = (queueItem) => {
+            // The file is in place; it shows up through the change stream, or without a connection
+            // by refreshing its column directly
+            if (!this.changeStream.isConnected()) {
+                this.fileExplorer.refreshColumnByPath(queueItem.path);
+            }
         };
         
         this.uploader.onError = (message) => {
@@ -113,9 +196,44 @@ class App {
             }
         };
         
+        this.contextMenu.onDownload = (item, isMultipleSelection) => {
+            if (isMultipleSelection) {
+                this.fileExplorer.downloadSelected();
+            } else {
+                this.fileExplorer.downloadItem(item);
+            }
+        };
+        
+        this.contextMenu.onDownloadArchive = (item, isMultipleSelection) => {
+            if (isMultipleSelection) {
+                this.fileExplorer.downloadSelected('tar.gz');
+            } else {
+                this.fileExplorer.downloadItem(item, 'tar.gz');
+            }
+        };
+        
         this.contextMenu.onNewFolder = (column) => {
             this.fileExplorer.createFolder(column);
         };
+        
+        // Search callbacks
+        this.searchPanel.onResultClick = (result) => {
+            this.fileExplorer.revealPath(result.path);
+        };
+        
+        // Trash callbacks
+        this.trashPanel.onRestore = (restoredPath) => {
+            this.fileExplorer.revealPath(restoredPath);
+        };
+        
+        this.trashPanel.onError = (message) => {
+            this.showError(message);
+        };
+        
+        // Staged uploads callbacks
+        this.stagingPanel.onError = (message) => {
+            this.showError(message);
+        };
     }
 
     /**
@@ -127,6 +245,10 @@ class App {
             this.hideError();
         });
 
+        document.getElementById('logout-btn').addEventListener('click', () => {
+            this.logout();
+        });
+
         // Global error handling
         window.addEventListener('error', (e) => {
             console.error('Global error:', e.error);
@@ -173,13 +295,7 @@ class App {
      * Delete a single item
      */
     async deleteItem(item) {
-        try {
-            await this.fileExplorer.deleteItem(item.path);
-            await this.fileExplorer.refreshColumns();
-            this.fileExplorer.clearSelection();
-        } catch (error) {
-            this.showError('Failed to delete item: ' + error.message);
-        }
+        await this.fileExplorer.deletePaths([item.path]);
     }
 
     /**
@@ -204,58 +320,6 @@ class App {
         // For now, we'll just refresh
         this.refresh();
     }
-
-    /**
-     * Wait for file processing to complete by polling the directory
-     */
-    async waitForFileProcessing(uploadPath) {
-        const maxAttempts = 15; // Maximum 15 attempts (15 seconds)
-        const pollInterval = 1000; // Poll every 1 second
-        let attempts = 0;
-        
-        // Get the initial file count
-        let initialFileCount = 0;
-        try {
-            const response = await fetch(`/api/files?path=${encodeURIComponent(uploadPath)}`);
-            if (response.ok) {
-                const files = await response.json();
-                initialFileCount = files.length;
-            }
-        } catch (error) {
-            console.error('Error getting initial file count:', error);
-        }
-        
-        const pollForChanges = async () => {
-            attempts++;
-            
-            try {
-                const response = await fetch(`/api/files?path=${encodeURIComponent(uploadPath)}`);
-                if (response.ok) {
-                    const files = await response.json();
-                    
-                    // Check if file count has increased (new file appeared)
-                    if (files.length > initialFileCount) {
-                        console.log('File processing completed, refreshing column');
-                        this.fileExplorer.refreshColumnByPath(uploadPath);
-                        return;
-                    }
-                }
-            } catch (error) {
-                console.error('Error polling for file changes:', error);
-            }
-            
-            // Continue polling if we haven't reached max attempts
-            if (attempts < maxAttempts) {
-                setTimeout(pollForChanges, pollInterval);
-            } else {
-                console.log('Max polling attempts reached, refreshing column anyway');
-                this.fileExplorer.refreshColumnByPath(uploadPath);
-            }
-        };
-        
-        // Start polling after a short delay to allow server processing to begin
-        setTimeout(pollForChanges, 500);
-    }
 }
 
 // Create and start the application
@@ -0,0 +1,45 @@
+/**
+ * Sign-in form: starts a session and returns to the file manager
+ */
+const form = document.getElementById('login-form');
+const usernameInput = document.getElementById('login-username');
+const passwordInput = document.getElementById('login-password');
+const submitBtn = document.getElementById('login-submit');
+const errorElement = document.getElementById('login-error');
+
+form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    submitBtn.disabled = true;
+    errorElement.classList.add('hidden');
+
+    try {
+        const response = await fetch('/api/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username: usernameInput.value.trim(),
+                password: passwordInput.value
+            })
+        });
+
+        if (!response.ok) {
+            let errorMessage = 'Failed to sign in';
+            try {
+                const error = await response.json();
+                errorMessage = error.error || errorMessage;
+            } catch (parseError) {
+                errorMessage = `${response.status} ${response.statusText}`;
+            }
+            throw new Error(errorMessage);
+        }
+
+        window.location.replace('/');
+    } catch (error) {
+        errorElement.textContent = error.message;
+        errorElement.classList.remove('hidden');
+        passwordInput.value = '';
+        passwordInput.focus();
+    } finally {
+        submitBtn.disabled = false;
+    }
+});
@@ -0,0 +1,22 @@
+import { hashPassword } from "../lib/auth.js";
+
+// Print a password hash for the "passwordHash" field of the credentials file.
+// Usage: npm run hash-password -- <password>   (or pipe the password on stdin)
+const fromArgument = process.argv[2];
+
+const readStdin = async () => {
+  let input = "";
+  for await (const chunk of process.stdin) {
+    input += chunk;
+  }
+  return input.replace(/\r?\n$/, "");
+};
+
+const password = fromArgument ?? await readStdin();
+
+if (!password) {
+  console.error("Usage: npm run hash-password -- <password>");
+  process.exit(1);
+}
+
+console.log(hashPassword(password));
@@ -1,10 +1,49 @@
 import express from "express";
 import { Server, EVENTS } from "@tus/server";
-import { FileStore } from "@tus/file-store";
 import fs from "fs";
 import path from "path";
+import crypto from "crypto";
 import dotenv from "dotenv";
+import mime from "mime-types";
+import contentDisposition from "content-disposition";
 import { fileURLToPath } from "url";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import zlib from "zlib";
+import { ARCHIVE_FORMATS, collectArchiveEntries, createArchive } from "./lib/archive.js";
+import { parseListingFields, getEntryMetadata, mapWithConcurrency } from "./lib/file-metadata.js";
+import {
+  SEARCH_MODES,
+  SEARCH_TYPES,
+  createNameMatcher,
+  searchNames,
+  createLineMatcher,
+  createGlobFilter,
+  searchContents
+} from "./lib/search.js";
+import { walkTree } from "./lib/walk.js";
+import { DirectorySizeCache } from "./lib/dir-size.js";
+import { Trash } from "./lib/trash.js";
+import { ReservedPaths } from "./lib/reserved-paths.js";
+import { FilenamePolicy } from "./lib/filenames.js";
+import { DirectoryWatcher } from "./lib/watcher.js";
+import { UploadStatusTracker, describeUploadStatus } from "./lib/upload-status.js";
+import {
+  PartedUploadState,
+  readStagedUpload,
+  readStagedUploads,
+  setStagedUploadKept,
+  readStagingFiles,
+  parseUploadConcat,
+  concatenateFiles,
+  preallocateFile
+} from "./lib/parted-uploads.js";
+import { createSessionId, planParts, validatePart, validateSessionRequest, SESSION_ID_PATTERN } from "./lib/upload-sessions.js";
+import { Authenticator, SESSION_COOKIE } from "./lib/auth.js";
+import { AccessControl, PERMISSIONS, normalizeVolumePath } from "./lib/access.js";
+import { AuditLog } from "./lib/audit.js";
+import { ChecksumFileStore, CHECKSUM_ALGORITHMS, SHA256_PATTERN, parseUploadChecksum, hashFile } from "./lib/checksum.js";
+import { Quarantine } from "./lib/quarantine.js";
 
 // Load environment variables from .env file
 dotenv.config();
@@ -16,17 +55,133 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const port = 1080;
 
-// Trust proxy headers (required for RunPod HTTPS proxy)
-app.set('trust proxy', true);
+// Trust the headers of the one proxy in front (the RunPod HTTPS proxy). TRUST_PROXY sets another hop count, a
+// list of proxy addresses/subnets, "true" to trust any X-Forwarded-For (which clients can then forge) or "false".
+const trustProxy = process.env.TRUST_PROXY || "1";
+app.set('trust proxy', trustProxy === "true" ? true : trustProxy === "false" ? false : /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
 
 // No need for protocol middleware - TUS server handles this with generateUrl
 
+// Users come from a local credentials file, script access uses static API tokens from the environment
+const auth = new Authenticator({
+  credentialsFile: process.env.AUTH_CREDENTIALS_FILE,
+  apiTokens: process.env.API_TOKENS,
+  sessionTtl: (parseInt(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000
+});
+
+if (!auth.enabled) {
+  console.warn("Authentication is disabled: set AUTH_CREDENTIALS_FILE or API_TOKENS to require sign-in");
+}
+
+// Per-path permissions for signed-in users
+const access = new AccessControl({ rulesFile: process.env.ACCESS_RULES_FILE });
+
+if (access.enabled && !auth.enabled) {
+  console.warn("ACCESS_RULES_FILE is set but authentication is disabled, so the rules are not enforced");
+}
+
+/**
+ * Require a signed-in user (session cookie) or an API token (Authorization: Bearer).
+ * The caller is available as req.user; it is null when authentication is disabled.
+ */
+function requireAuth(req, res, next) {
+  req.user = null;
+  if (!auth.enabled) return next();
+  
+  // CORS preflights never carry credentials
+  if (req.method === "OPTIONS") return next();
+  
+  const user = auth.authenticate(req);
+  if (!user) {
+    return res.status(401).json({
+      error: "Authentication required"
+    });
+  }
+  
+  req.user = user;
+  next();
+}
+
+// Send signed-out browsers to the login page instead of the app
+app.get(["/", "/index.html"], (req, res, next) => {
+  if (auth.enabled && !auth.authenticate(req)) {
+    return res.redirect("/login.html");
+  }
+  next();
+});
+
 // Serve static files from the public directory
 app.use(express.static("public"));
 
 // Parse JSON request bodies
 app.use(express.json());
 
+// API endpoint to sign in with a username and password, starting a cookie session.
+// The cookie is SameSite=Lax so other sites cannot make state-changing requests with it.
+app.post("/api/login", async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    
+    if (!auth.enabled) {
+      return res.status(400).json({
+        error: "Authentication is not enabled on this server"
+      });
+    }
+    
+    if (typeof username !== "string" || typeof password !== "string" || !username || !password) {
+      return res.status(400).json({
+        error: "Username and password are required"
+      });
+    }
+    
+    // Keyed on the connection rather than req.ip, which comes from X-Forwarded-For
+    const sessionId = await auth.login(username, password, req.socket.remoteAddress);
+    if (!sessionId) {
+      console.log(`Failed sign-in for "${username}" from ${req.ip}`);
+      return res.status(401).json({
+        error: "Invalid username or password"
+      });
+    }
+    
+    console.log(`User "${username}" signed in from ${req.ip}`);
+    res.cookie(SESSION_COOKIE, sessionId, {
+      httpOnly: true,
+      sameSite: "lax",
+      secure: req.secure,
+      path: "/"
+    });
+    return res.json({ success: true, user: auth.describeUser(username) });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error signing in:", error);
+    return res.status(500).json({
+      error: `Failed to sign in: ${error.message}`
+    });
+  }
+});
+
+// API endpoint to sign out
+app.post("/api/logout", (req, res) => {
+  auth.logout(req);
+  res.clearCookie(SESSION_COOKIE, { path: "/" });
+  return res.json({ success: true });
+});
+
+// API endpoint to get the signed-in user
+app.get("/api/session", requireAuth, (req, res) => {
+  return res.json({
+    authEnabled: auth.enabled,
+    accessControlEnabled: access.enabled && auth.enabled,
+    user: req.user
+  });
+});
+
+// Every other API route and the TUS upload endpoint need a signed-in user or an API token
+app.use("/api", requireAuth);
+app.use("/files", requireAuth);
+
 // Get upload directory from environment variable or use default
 const uploadsDir = process.env.MOUNT_PATH || "/workspace";
 console.log(`Upload directory set to: ${uploadsDir}`);
@@ -43,29 +198,176 @@ if (!fs.existsSync(initUploadDir)) {
   console.log(`Created upload staging directory: ${initUploadDir}`);
 }
 
-// Initialize the tus server with FileStore pointing to the staging directory
-const fileStore = new FileStore({ directory: initUploadDir });
+// Deleted items are moved to a hidden trash directory on the same volume so deleting is a cheap rename
+const trash = new Trash({
+  trashDir: path.join(path.resolve(uploadsDir), ".trash"),
+  rootDir: path.resolve(uploadsDir),
+  maxAge: (parseInt(process.env.TRASH_MAX_AGE_DAYS) || 30) * 24 * 60 * 60 * 1000,
+  maxSize: parseFloat(process.env.TRASH_MAX_SIZE_GB) * 1024 * 1024 * 1024 || Infinity
+});
+await trash.init();
+
+// Record of every change made through the API, kept on the volume so it survives restarts
+const auditLog = new AuditLog({
+  file: path.resolve(process.env.AUDIT_LOG_FILE || path.join(uploadsDir, ".audit.jsonl"))
+});
+
+// Uploads whose data doesn't match the SHA-256 their client sent are set aside here instead of being moved into place
+const quarantine = new Quarantine({
+  dir: path.join(path.resolve(uploadsDir), ".quarantine"),
+  maxAge: (parseInt(process.env.QUARANTINE_MAX_AGE_DAYS) || 30) * 24 * 60 * 60 * 1000,
+  maxSize: parseFloat(process.env.QUARANTINE_MAX_SIZE_GB) * 1024 * 1024 * 1024 || Infinity
+});
+await quarantine.init();
+
+// The server's own files on the volume are hidden from users and can't be changed through the API.
+// RESERVED_PATHS adds others, e.g. snapshot or metadata directories: a comma-separated list of volume paths.
+const reservedPaths = new ReservedPaths();
+reservedPaths.add(initUploadDir, "the upload staging area");
+reservedPaths.add(trash.trashDir, "the trash");
+reservedPaths.add(quarantine.dir, "the quarantine");
+reservedPaths.add(auditLog.file, "the audit log");
+(process.env.RESERVED_PATHS || "").split(",").map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+  const { fullPath, error } = resolveVolumePath(entry);
+  if (error || fullPath === path.resolve(uploadsDir)) {
+    console.warn(`Ignoring reserved path "${entry}": it must name a path inside the volume`);
+    return;
+  }
+  reservedPaths.add(fullPath, "the server");
+});
+
+// Names of files and folders created through the API: uploads, new folders, renames and copies
+const filenamePolicy = new FilenamePolicy({
+  maxLength: parseInt(process.env.FILENAME_MAX_BYTES) || 255,
+  reservedNames: parseListParam(process.env.FILENAME_RESERVED_NAMES),
+  windowsCompatible: process.env.FILENAME_WINDOWS_COMPATIBLE === "true"
+});
+
+/**
+ * Response body for a name the filename policy rejects, sent with status 400 by every endpoint that creates a name
+ */
+function filenameErrorBody(violation) {
+  return { error: violation.message, validation: violation };
+}
+
+/**
+ * Who made a request and from where, for audit records. req.ip honours the trusted proxy headers.
+ */
+function getAuditContext(req) {
+  return { actor: req.user ? req.user.username : null, ip: req.ip || null };
+}
+
+// Mutating API handlers describe what they are doing in res.locals.audit ({ operation, sourcePath,
+// destinationPath, bytes }, or an array of those); it is recorded once the response has gone out,
+// with the outcome taken from the status code. Requests rejected before that point are not recorded.
+app.use("/api", (req, res, next) => {
+  if (req.method === "GET" || req.method === "HEAD" || req.method === "OPTIONS") return next();
+  
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (body && typeof body.error === "string") res.locals.auditError = body.error;
+    return json(body);
+  };
+  
+  res.on("finish", () => {
+    if (!res.locals.audit) return;
+    
+    const outcome = res.statusCode < 400 ? "success" : [401, 403].includes(res.statusCode) ? "denied" : "failure";
+    [].concat(res.locals.audit).forEach(details => {
+      auditLog.record({
+        ...getAuditContext(req),
+        ...details,
+        outcome,
+        status: res.statusCode,
+        error: res.locals.auditError || null
+      });
+    });
+  });
+  next();
+});
+
+// Maximum number of concurrent stat calls per directory listing (keeps large NFS directories responsive)
+const STAT_CONCURRENCY = parseInt(process.env.STAT_CONCURRENCY) || 32;
+
+// Cached recursive directory sizes, computed by background walks
+const directorySizes = new DirectorySizeCache({
+  concurrency: parseInt(process.env.DU_CONCURRENCY) || 2,
+  ttl: (parseInt(process.env.DU_CACHE_TTL_MINUTES) || 10) * 60 * 1000,
+  statConcurrency: STAT_CONCURRENCY,
+  skip: fullPath => reservedPaths.contains(fullPath)
+});
+
+// Open event streams: streamId -> { res, user, directories: Set of watched full paths, uploads: Set of upload ids }
+const eventStreams = new Map();
+
+// What happened to each upload after its last byte arrived; pushed to the streams following it
+const uploadStatuses = new UploadStatusTracker({ onUpdate: broadcastUploadStatus });
+
+// Directories with an open column in some client are watched and changes are pushed over /api/events
+const directoryWatcher = new DirectoryWatcher({
+  rootDir: uploadsDir,
+  mode: process.env.WATCH_MODE || "auto",
+  pollInterval: (parseFloat(process.env.WATCH_POLL_INTERVAL_SECONDS) || 2) * 1000,
+  statConcurrency: STAT_CONCURRENCY,
+  onChange: broadcastDirectoryChange
+});
+console.log(`Watching open directories using ${directoryWatcher.mode === "poll" ? "polling" : "filesystem events"}`);
+
+// Initialize the tus server with FileStore pointing to the staging directory; chunks sent with an
+// Upload-Checksum header are verified as they are written (checksum extension), and the parts of
+// an upload session are written straight into the session's file at their offsets
+const fileStore = new ChecksumFileStore({ directory: initUploadDir, locatePart: locateSessionPart });
+
+// The concatenation extension is implemented here rather than by the store: partial uploads are staged
+// like any other upload and final uploads are assembled by the /files middleware below. @tus/server looks
+// the extension up under a misspelled name before it accepts an Upload-Concat header.
+fileStore.extensions.push("concatenation");
+const storeHasExtension = fileStore.hasExtension.bind(fileStore);
+fileStore.hasExtension = extension => extension === "concatentation" || storeHasExtension(extension);
 
 // Create TUS server
 const tusServer = new Server({
   path: "/files",
   datastore: fileStore,
   respectForwardedHeaders: true,
-  generateUrl: (req, { proto, host, path, id }) => {
-    // Force HTTPS if we detect RunPod proxy headers
-    const protocol = req.headers["x-forwarded-proto"] ||
-                    (req.headers["x-forwarded-host"] ? "https" : proto) ||
-                    "https";
-    
-    const hostname = req.headers["x-forwarded-host"] || req.headers.host || host;
-    const cleanPath = path.endsWith("/") ? path.slice(0, -1) : path;
-    
-    const url = `${protocol}://${hostname}${cleanPath}/${id}`;
-    console.log(`Generated TUS URL: ${url} (from headers: proto=${req.headers["x-forwarded-proto"]}, host=${req.headers["x-forwarded-host"]})`);
-    return url;
-  }
+  allowedHeaders: ["Upload-Checksum"],
+  // Announce the checksum of each request that carries data before the store writes it
+  onIncomingRequest: async (req, uploadId) => {
+    if (req.method !== "PATCH" && req.method !== "POST") return;
+    fileStore.expectChecksum(uploadId, parseUploadChecksum(req.headers.get("upload-checksum")));
+  },
+  // Partial uploads are marked so they wait in staging for the final upload that uses them. Every upload
+  // records who created it, so only they can use it in a final upload.
+  onUploadCreate: async (req, upload) => {
+    const metadata = withUploadOwner(upload.metadata || {}, getUploadUser(req));
+    if (req.headers.get("upload-concat") === "partial") {
+      metadata.uploadConcat = "partial";
+    }
+    return { metadata };
+  },
+  generateUrl: generateUploadUrl
 });
 
+/**
+ * Absolute URL of an upload. Used by the tus server, which passes a fetch Request, and for final uploads
+ * (concatenation extension), which are created from the Express request.
+ */
+function generateUploadUrl(req, { proto, host, path, id }) {
+  const header = name => typeof req.headers.get === "function" ? req.headers.get(name) : req.headers[name];
+  
+  // Force HTTPS if we detect RunPod proxy headers
+  const protocol = header("x-forwarded-proto") ||
+                  (header("x-forwarded-host") ? "https" : proto) ||
+                  "https";
+  
+  const hostname = header("x-forwarded-host") || header("host") || host;
+  const cleanPath = path.endsWith("/") ? path.slice(0, -1) : path;
+  
+  const url = `${protocol}://${hostname}${cleanPath}/${id}`;
+  console.log(`Generated TUS URL: ${url} (from headers: proto=${header("x-forwarded-proto")}, host=${header("x-forwarded-host")})`);
+  return url;
+}
+
 // Custom middleware to check for duplicate files before the upload starts
 app.use("/files", (req, res, next) => {
   // Only check POST requests (new uploads)
@@ -75,13 +377,14 @@ app.use("/files", (req, res, next) => {
     try {
       // Get the metadata from the Upload-Metadata header
       const metadataHeader = req.headers["upload-metadata"];
-      if (!metadataHeader) {
+      const concat = parseUploadConcat(req.headers["upload-concat"]);
+      if (!metadataHeader && !concat) {
         return next();
       }
       
       // Parse the metadata
       const metadata = {};
-      metadataHeader.split(",").forEach(item => {
+      (metadataHeader || "").split(",").forEach(item => {
         const [key, value] = item.split(" ");
         if (key && value) {
           metadata[key] = Buffer.from(value, "base64").toString("utf8");
@@ -90,44 +393,146 @@ app.use("/files", (req, res, next) => {
       
       console.log("Metadata:", metadata);
       
-      // Only check for duplicates if useOriginalFilename is true and onDuplicateFiles is prevent
-      if (metadata.useOriginalFilename === "true" && metadata.filename && metadata.onDuplicateFiles === "prevent") {
-        const originalFilename = metadata.filename.replace(/[^a-zA-Z0-9._-]/g, "_");
-        
-        // Determine the target directory based on the path metadata
-        let targetDir = uploadsDir;
-        if (metadata.path) {
-          // Ensure the path is relative to the uploads directory and doesn't contain ".."
-          console.log(`Received path metadata: "${metadata.path}"`);
-          const relativePath = metadata.path.replace(/\.\./g, "").replace(/^\/+/, "");
-          targetDir = path.join(uploadsDir, relativePath);
-          console.log(`Resolved target directory: "${targetDir}"`);
-          
-          // Create the target directory if it doesn't exist
-          if (!fs.existsSync(targetDir)) {
-            console.log(`Creating directory: ${targetDir}`);
-            fs.mkdirSync(targetDir, { recursive: true });
+      // The whole-file SHA-256 is only checked once all the data is in, so refuse a malformed one up front
+      if (metadata.sha256 && !SHA256_PATTERN.test(metadata.sha256.toLowerCase())) {
+        return res.status(400).json({
+          error: {
+            message: "sha256 metadata must be a hex SHA-256 digest"
           }
+        });
+      }
+      
+      // Partial uploads (concatenation extension) only hold data in staging; the target path is checked
+      // when a final upload puts them together. Partial uploads that are parts of an upload session are
+      // checked like any other part.
+      if (concat && concat.type === "partial" && metadata.isPartedUpload !== "true") {
+        if (!access.canAnywhere(req.user, "upload")) {
+          return res.status(403).json({
+            error: {
+              message: "Access denied: upload permission required"
+            }
+          });
+        }
+        return next();
+      }
+      
+      // Parts of a multi-part upload must fit a session opened by the same user before any data is accepted
+      if (metadata.isPartedUpload === "true") {
+        const session = SESSION_ID_PATTERN.test(metadata.uploadSession || "") && findUploadSession(metadata.uploadSession, req.user);
+        if (!session) {
+          return res.status(400).json({
+            error: {
+              message: "Multi-part uploads need an open upload session (POST /api/upload-sessions)"
+            }
+          });
         }
         
-        const filePath = path.join(targetDir, originalFilename);
+        const partNumber = parseInt(metadata.partNumber);
+        const invalid = validatePart(session, partNumber, Number(req.headers["upload-length"]));
+        if (invalid) {
+          return res.status(400).json({
+            error: {
+              message: invalid
+            }
+          });
+        }
         
-        // Check if file already exists
-        if (fs.existsSync(filePath)) {
-          console.log(`File ${originalFilename} already exists in ${targetDir}, preventing upload`);
-          
-          // Return a 409 Conflict status code
+        if (session.parts.has(partNumber)) {
           return res.status(409).json({
             error: {
-              message: `File "${metadata.filename}" already exists in the target directory and duplicates are not allowed`
+              message: `Part ${partNumber} of "${session.filename}" has already been uploaded`
+            }
+          });
+        }
+        
+        const denied = permissionError(req.user, "upload", session.targetDir);
+        if (denied) {
+          return res.status(403).json({
+            error: {
+              message: denied
+            }
+          });
+        }
+        return next();
+      }
+      
+      // The target directory comes from client metadata, so check it before any data is accepted
+      const uploadTarget = (metadata.path || "").replace(/\.\./g, "").replace(/^\/+/, "");
+      const reservedError = reservedTargetError(path.resolve(uploadsDir, uploadTarget));
+      if (reservedError) {
+        return res.status(403).json({
+          error: {
+            message: reservedError
+          }
+        });
+      }
+      if (!access.can(req.user, "upload", uploadTarget)) {
+        console.log(`Upload to "${uploadTarget || "/"}" denied for ${req.user ? req.user.username : "anonymous"}`);
+        return res.status(403).json({
+          error: {
+            message: `Access denied: upload permission required on "${uploadTarget || "/"}"`
+          }
+        });
+      }
+      
+      // Folder uploads put the subfolder of each file in the path; folders it creates follow the filename policy
+      const targetDirectories = checkNewDirectories(path.resolve(uploadsDir, uploadTarget));
+      if (targetDirectories.violation) {
+        return res.status(400).json({
+          error: {
+            message: targetDirectories.violation.message,
+            validation: targetDirectories.violation
+          }
+        });
+      }
+      
+      // Uploads that keep their name are checked against their duplicate policy before the data is sent
+      if (metadata.useOriginalFilename === "true" && metadata.filename) {
+        const policy = metadata.onDuplicateFiles || "number";
+        if (!DUPLICATE_POLICIES.includes(policy)) {
+          return res.status(400).json({
+            error: {
+              message: `onDuplicateFiles must be one of: ${DUPLICATE_POLICIES.join(", ")}`
+            }
+          });
+        }
+        
+        const { name: originalFilename, violation } = filenamePolicy.check(metadata.filename);
+        if (violation) {
+          return res.status(400).json({
+            error: {
+              message: violation.message,
+              validation: violation
+            }
+          });
+        }
+        
+        const conflict = checkDuplicateUpload(req.user, targetDirectories.fullPath, originalFilename, policy);
+        if (conflict && conflict.skipped) {
+          console.log(`Skipping upload of ${originalFilename} to "${uploadTarget || "/"}": the name is taken`);
+          return res.status(200).json({ skipped: true, duplicate: "skipped", path: toVolumePath(conflict.filePath) });
+        }
+        if (conflict) {
+          console.log(`Refusing upload of ${originalFilename} to "${uploadTarget || "/"}": ${conflict.error}`);
+          return res.status(conflict.status).json({
+            error: {
+              message: conflict.error
             }
           });
         }
       }
       
+      // Final uploads are assembled here; @tus/server has no concatenation support of its own
+      if (concat) {
+        return createFinalUpload(req, res, concat.uploadIds, metadata);
+      }
+      
       // Allow the upload to proceed
       next();
     } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({ error: { message: error.message } });
+      }
       console.error(`Error in duplicate file check middleware: ${error.message}`);
       next(); // Allow the upload to proceed in case of error
     }
@@ -136,57 +541,254 @@ app.use("/files", (req, res, next) => {
   }
 });
 
-// Store for tracking multi-part uploads
-const partedUploads = new Map(); // Map of originalFilename -> { parts: Set, metadata: object, targetDir: string, timestamp: number }
+// Open multi-part upload sessions. A client opens a session describing the file, then uploads each part
+// as its own tus upload carrying the session id, so parts of same-named files never mix.
+const uploadSessions = new Map(); // Map of sessionId -> { id, filename, size, sha256, totalParts, targetDir, onDuplicateFiles, owner, parts: Set, uploadIds: Map, timestamp, auditContext, kept, concat }
+
+// The sessions are saved in the staging directory so a restart doesn't orphan the parts of a file
+const partedUploadState = new PartedUploadState({ file: path.join(initUploadDir, ".parted-uploads.state") });
 
-// Cleanup orphaned parts every 30 minutes
-const CLEANUP_INTERVAL = 30 * 60 * 1000; // 30 minutes
-const PART_TIMEOUT = 60 * 60 * 1000; // 1 hour timeout for incomplete uploads
+/**
+ * Save the open upload sessions
+ */
+function saveUploadSessions() {
+  return partedUploadState.save([...uploadSessions.values()].map(session => ({
+    id: session.id,
+    filename: session.filename,
+    size: session.size,
+    sha256: session.sha256,
+    totalParts: session.totalParts,
+    targetPath: toVolumePath(session.targetDir),
+    onDuplicateFiles: session.onDuplicateFiles,
+    owner: session.owner,
+    parts: [...session.parts],
+    uploadIds: Object.fromEntries(session.uploadIds),
+    timestamp: session.timestamp,
+    auditContext: session.auditContext,
+    kept: session.kept,
+    concat: session.concat
+  })));
+}
 
-setInterval(() => {
-  cleanupOrphanedParts();
-}, CLEANUP_INTERVAL);
+/**
+ * Remove a tus upload's data and info file from the staging directory
+ */
+function discardStagedUpload(uploadId) {
+  fs.rmSync(path.join(initUploadDir, uploadId), { force: true });
+  fs.rmSync(path.join(initUploadDir, `${uploadId}.json`), { force: true });
+}
 
 /**
- * Clean up orphaned parts that haven't been completed within the timeout period
+ * The file an upload session's parts are written into, preallocated to the full size when the session opens
  */
-function cleanupOrphanedParts() {
-  const now = Date.now();
-  const orphanedFiles = [];
-  
-  partedUploads.forEach((uploadInfo, originalFilename) => {
-    if (now - uploadInfo.timestamp > PART_TIMEOUT) {
-      console.log(`Cleaning up orphaned parts for: ${originalFilename}`);
-      orphanedFiles.push(originalFilename);
-      
-      // Clean up the part files
-      uploadInfo.uploadIds.forEach((uploadId, partNumber) => {
-        const partPath = path.join(initUploadDir, uploadId);
-        const jsonPath = path.join(initUploadDir, `${uploadId}.json`);
-        
-        if (fs.existsSync(partPath)) {
-          fs.unlinkSync(partPath);
-          console.log(`Cleaned up orphaned part: ${partPath}`);
-        }
-        
-        if (fs.existsSync(jsonPath)) {
-          fs.unlinkSync(jsonPath);
-          console.log(`Cleaned up orphaned JSON: ${jsonPath}`);
-        }
-      });
+function getAssemblyPath(session) {
+  return path.join(initUploadDir, `${session.id}.assembly`);
+}
+
+/**
+ * Remove everything staged for an upload session: its parts and the file they were written into
+ */
+function discardUploadSession(session) {
+  session.uploadIds.forEach(discardStagedUpload);
+  fs.rmSync(getAssemblyPath(session), { force: true });
+}
+
+/**
+ * Where the tus store writes a part of an upload session, sent as a part or as a partial upload: its planned
+ * offset in the session's file. Returns null for anything else, including parts that don't fit an open
+ * session, which are then staged on their own and rejected when they finish.
+ */
+function locateSessionPart(upload) {
+  const meta = upload.metadata || {};
+  const session = meta.isPartedUpload === "true" ? uploadSessions.get(meta.uploadSession) : null;
+  const partNumber = parseInt(meta.partNumber);
+  if (!session || validatePart(session, partNumber, upload.size)) {
+    return null;
+  }
+  return { path: getAssemblyPath(session), start: planParts(session.size, session.totalParts)[partNumber - 1].offset };
+}
+
+/**
+ * Get an upload session, or null when it doesn't exist or was opened by someone else
+ */
+function findUploadSession(sessionId, user) {
+  const session = uploadSessions.get(sessionId);
+  if (!session || (session.owner && (!user || user.username !== session.owner))) {
+    return null;
+  }
+  return session;
+}
+
+/**
+ * The public form of an upload session, as returned by the API
+ */
+function describeUploadSession(session) {
+  return {
+    id: session.id,
+    filename: session.filename,
+    size: session.size,
+    totalParts: session.totalParts,
+    path: toVolumePath(session.targetDir),
+    parts: planParts(session.size, session.totalParts).map(part => ({
+      ...part,
+      received: session.parts.has(part.partNumber)
+    })),
+    updatedAt: new Date(session.timestamp).toISOString()
+  };
+}
+
+/**
+ * Rebuild upload sessions after a restart: load the saved sessions, then check them against the
+ * tus .json info files in the staging directory. Parts that finished uploading while the server was
+ * going down are registered, parts still being uploaded are tracked so an abandoned session is cleaned up,
+ * and registered parts whose data is gone are dropped. Sessions whose file is gone (or that were saved
+ * before parts were written into one) can't be finished and are discarded, as are staged parts that
+ * belong to no session.
+ */
+async function restoreUploadSessions() {
+  for (const saved of await partedUploadState.load()) {
+    // Sets tracked by filename before upload sessions existed
+    if (!saved.id) {
+      console.log(`Discarding parts of ${saved.key} saved before upload sessions`);
+      Object.values(saved.uploadIds || {}).forEach(discardStagedUpload);
+      continue;
     }
+    
+    const session = {
+      id: saved.id,
+      filename: saved.filename,
+      size: saved.size,
+      sha256: saved.sha256 || null,
+      totalParts: saved.totalParts,
+      targetDir: path.join(uploadsDir, saved.targetPath),
+      onDuplicateFiles: saved.onDuplicateFiles,
+      owner: saved.owner,
+      parts: new Set(saved.parts),
+      uploadIds: new Map(Object.entries(saved.uploadIds).map(([partNumber, uploadId]) => [parseInt(partNumber), uploadId])),
+      timestamp: saved.timestamp,
+      auditContext: saved.auditContext || { actor: null, ip: null },
+      kept: !!saved.kept,
+      concat: !!saved.concat
+    };
+    
+    if (!fs.existsSync(getAssemblyPath(session))) {
+      console.log(`Discarding upload session ${session.id} for ${session.filename}: its file is missing from staging`);
+      discardUploadSession(session);
+      continue;
+    }
+    uploadSessions.set(session.id, session);
+  }
+  
+  const staged = new Map((await readStagedUploads(initUploadDir)).map(upload => [upload.id, upload]));
+  const isComplete = upload => !!upload && upload.size !== null && upload.received === upload.size;
+  
+  uploadSessions.forEach(session => {
+    session.uploadIds.forEach((uploadId, partNumber) => {
+      if (session.parts.has(partNumber) && !isComplete(staged.get(uploadId))) {
+        console.log(`Part ${partNumber} of ${session.filename} is missing from staging`);
+        session.parts.delete(partNumber);
+        session.uploadIds.delete(partNumber);
+      }
+    });
   });
   
-  // Remove orphaned entries from tracking
-  orphanedFiles.forEach(filename => {
-    partedUploads.delete(filename);
+  staged.forEach(upload => {
+    const meta = upload.metadata;
+    if (meta.isPartedUpload !== "true") return;
+    
+    const session = uploadSessions.get(meta.uploadSession);
+    if (!session) {
+      console.log(`Discarding staged part ${upload.id}: it belongs to no upload session`);
+      discardStagedUpload(upload.id);
+      return;
+    }
+    
+    const partNumber = parseInt(meta.partNumber);
+    if (session.parts.has(partNumber) || validatePart(session, partNumber, upload.size)) return;
+    
+    session.uploadIds.set(partNumber, upload.id);
+    if (isComplete(upload)) {
+      session.parts.add(partNumber);
+    }
   });
   
-  if (orphanedFiles.length > 0) {
-    console.log(`Cleaned up ${orphanedFiles.length} orphaned multi-part uploads`);
+  if (uploadSessions.size > 0) {
+    console.log(`Restored ${uploadSessions.size} upload session(s)`);
+  }
+  await saveUploadSessions();
+}
+
+/**
+ * Assemble restored sessions whose parts have all arrived. Sessions sent as partial uploads wait for their final upload.
+ */
+async function finishRestoredUploadSessions() {
+  for (const session of [...uploadSessions.values()]) {
+    if (session.concat || session.parts.size !== session.totalParts) continue;
+    
+    console.log(`All parts of ${session.filename} arrived before the restart. Finishing it...`);
+    try {
+      await completeUploadSession(session, session.auditContext);
+      uploadSessions.delete(session.id);
+      saveUploadSessions();
+    } catch (error) {
+      console.error(`Failed to finish restored upload ${session.filename}: ${error.message}`);
+    }
+  }
+}
+
+await restoreUploadSessions();
+finishRestoredUploadSessions();
+
+// Apply the trash and quarantine retention policies at startup and every hour
+const RETENTION_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+async function enforceTrashRetention() {
+  try {
+    const purged = await trash.enforceRetention();
+    if (purged.length > 0) {
+      console.log(`Trash retention purged ${purged.length} item(s): ${purged.map(entry => entry.originalPath).join(", ")}`);
+    }
+  } catch (error) {
+    console.error(`Error enforcing trash retention: ${error.message}`);
+  }
+}
+
+async function enforceQuarantineRetention() {
+  try {
+    const removed = await quarantine.enforceRetention();
+    if (removed.length > 0) {
+      console.log(`Quarantine retention removed ${removed.length} file(s): ${removed.map(entry => entry.id).join(", ")}`);
+    }
+  } catch (error) {
+    console.error(`Error enforcing quarantine retention: ${error.message}`);
   }
 }
 
+enforceTrashRetention();
+setInterval(enforceTrashRetention, RETENTION_INTERVAL);
+enforceQuarantineRetention();
+setInterval(enforceQuarantineRetention, RETENTION_INTERVAL);
+
+// Record which tus upload carries each part of a session as soon as it is created, so the part
+// can be cleaned up with its session even if it never finishes
+tusServer.on(EVENTS.POST_CREATE, (req, upload) => {
+  const meta = upload.metadata || {};
+  const session = meta.isPartedUpload === "true" ? uploadSessions.get(meta.uploadSession) : null;
+  if (!session) return;
+  
+  // A part started over under a new upload replaces the old one
+  const partNumber = parseInt(meta.partNumber);
+  const previousId = session.uploadIds.get(partNumber);
+  if (previousId && previousId !== upload.id) {
+    console.log(`Part ${partNumber} of ${session.filename} restarted, discarding upload ${previousId}`);
+    discardStagedUpload(previousId);
+  }
+  
+  session.uploadIds.set(partNumber, upload.id);
+  session.timestamp = Date.now();
+  saveUploadSessions();
+});
+
 // Listen for the POST_FINISH event which is emitted after an upload is completed
 // and a response has been sent to the client
 tusServer.on(EVENTS.POST_FINISH, async (req, res, upload) => {
@@ -197,287 +799,774 @@ tusServer.on(EVENTS.POST_FINISH, async (req, res, upload) => {
     const meta = upload.metadata || {};
     console.log(`Metadata: ${JSON.stringify(meta)}`);
     
-    // Only process if useOriginalFilename is true
-    if (meta.useOriginalFilename === "true" && meta.filename) {
-      
-      // Check if this is a parted upload
-      if (meta.isPartedUpload === "true") {
-        await handlePartedUpload(upload, meta);
-      } else {
-        await handleSingleFileUpload(upload, meta);
-      }
+    // Check again at finalization: the final chunk may come from a different session than the one
+    // that created the upload, and the target path is still client metadata
+    const user = auth.enabled ? auth.authenticate(req) : null;
+    const auditContext = { actor: user ? user.username : null, ip: getUploadClientIp(req) };
+    uploadStatuses.set(upload.id, { state: "pending", owner: auditContext.actor });
+    
+    // Partial uploads wait in staging for the final upload that puts them together; those that are
+    // parts of an upload session are registered with it below
+    if (meta.uploadConcat === "partial" && meta.isPartedUpload !== "true") {
+      console.log(`Partial upload ${upload.id} complete, waiting for its final upload`);
+      return;
     }
+    
+    // The parts of a multi-part upload go where their session says, whatever their own metadata claims
+    const session = meta.uploadSession ? uploadSessions.get(meta.uploadSession) : null;
+    const uploadTarget = session ? toVolumePath(session.targetDir) : (meta.path || "").replace(/\.\./g, "").replace(/^\/+/, "");
+    if (auth.enabled && (!user || !access.can(user, "upload", uploadTarget))) {
+      console.log(`Discarding upload ${upload.id}: no upload permission on "${uploadTarget || "/"}"`);
+      discardStagedUpload(upload.id);
+      auditLog.record({
+        ...auditContext,
+        operation: "upload",
+        destinationPath: [uploadTarget, session ? session.filename : meta.filename].filter(Boolean).join("/"),
+        bytes: upload.size ?? null,
+        outcome: "denied",
+        error: `upload permission required on "${uploadTarget || "/"}"`
+      });
+      uploadStatuses.set(upload.id, { state: "failed", error: `Access denied: upload permission required on "${uploadTarget || "/"}"` });
+      return;
+    }
+    
+    await finalizeUpload(upload, meta, auditContext);
   } catch (error) {
     console.error(`Error in POST_FINISH event handler: ${error.message}`);
+    uploadStatuses.set(upload.id, { state: "failed", error: error.message });
   }
 });
 
 /**
- * Handle single file upload (existing logic)
+ * Move a complete staged upload to where its metadata asks for
  */
-async function handleSingleFileUpload(upload, meta) {
-  const originalFilename = meta.filename.replace(/[^a-zA-Z0-9._-]/g, "_");
-  let finalFilename = originalFilename;
-  
-  // Determine the target directory based on the path metadata
-  let targetDir = uploadsDir;
-  if (meta.path) {
-    // Ensure the path is relative to the uploads directory and doesn't contain ".."
-    console.log(`POST_FINISH: Received path metadata: "${meta.path}"`);
-    const relativePath = meta.path.replace(/\.\./g, "").replace(/^\/+/, "");
-    targetDir = path.join(uploadsDir, relativePath);
-    console.log(`POST_FINISH: Resolved target directory: "${targetDir}"`);
-    
-    // Create the target directory if it doesn't exist
-    if (!fs.existsSync(targetDir)) {
-      console.log(`Creating directory: ${targetDir}`);
-      fs.mkdirSync(targetDir, { recursive: true });
-    }
+async function finalizeUpload(upload, meta, auditContext) {
+  if (meta.isPartedUpload === "true") {
+    await handlePartedUpload(upload, meta, auditContext);
+  } else if (meta.useOriginalFilename === "true" && meta.filename) {
+    // Only process if useOriginalFilename is true
+    await handleSingleFileUpload(upload, meta, auditContext);
+  } else {
+    // Uploads that don't ask for their original name stay in the staging directory
+    uploadStatuses.set(upload.id, { state: "done", path: toVolumePath(path.join(initUploadDir, upload.id)) });
   }
+}
+
+// Partial uploads currently being concatenated into a final upload
+const concatenatingPartials = new Set();
+
+// Final uploads, which have no tus info of their own while they are assembled nor once they are in place,
+// so HEAD requests for them are answered from here
+const finalUploads = new Map(); // Map of finalId -> { size, concat, owner }
+
+/**
+ * Check that a user can use a partial upload in a final upload: it must be a staged partial upload they created,
+ * with all of its data. Returns { id, size, path, sessionId }, where sessionId is the upload session the partial
+ * upload is a part of (written into the session's file rather than path), or null; throws an error with status
+ * 400 otherwise.
+ */
+async function readPartialUpload(uploadId, user) {
+  const fail = message => {
+    const error = new Error(message);
+    error.status = 400;
+    throw error;
+  };
+  
+  const partial = UPLOAD_ID_PATTERN.test(uploadId) ? await readStagedUpload(initUploadDir, uploadId) : null;
+  // Other users' partial uploads are as good as missing
+  if (!partial || partial.metadata.uploadConcat !== "partial" || (partial.metadata.owner ?? null) !== (user ? user.username : null)) {
+    fail(`Partial upload ${uploadId} not found`);
+  }
+  if (partial.size === null || partial.received !== partial.size) {
+    fail(`Partial upload ${uploadId} is not complete`);
+  }
+  return {
+    id: uploadId,
+    size: partial.size,
+    path: path.join(initUploadDir, uploadId),
+    sessionId: partial.metadata.isPartedUpload === "true" ? partial.metadata.uploadSession : null
+  };
+}
+
+/**
+ * The upload session whose parts a final upload lists, or null when its partial uploads were staged on their own.
+ * The parts of a session were written straight into its file, so they can only make up that whole file, in order.
+ */
+function findPartialsSession(partials) {
+  const sessionIds = new Set(partials.map(partial => partial.sessionId));
+  if (sessionIds.size === 1 && sessionIds.has(null)) return null;
+  
+  const session = sessionIds.size === 1 ? uploadSessions.get([...sessionIds][0]) : null;
+  const isWholeSession = !!session && partials.length === session.totalParts &&
+    partials.every((partial, index) => session.uploadIds.get(index + 1) === partial.id);
+  if (!isWholeSession) {
+    const error = new Error("Partial uploads of an upload session must make up the whole session, in part order");
+    error.status = 400;
+    throw error;
+  }
+  return session;
+}
+
+/**
+ * Create a final upload (concatenation extension) from complete partial uploads. Once the partials are
+ * checked the final upload is created and its URL returned; the partials are then joined in order into
+ * a new staged upload, which is finalized like any single upload. Partial uploads sent as the parts of an
+ * upload session are already in place in the session's file, which is moved into place like that of any
+ * session, without a second pass over the data. Its progress is the upload status of the final upload,
+ * so clients follow it through /api/uploads/:id like any other.
+ */
+async function createFinalUpload(req, res, partialIds, metadata) {
+  let partials;
+  let session;
+  try {
+    partials = await Promise.all(partialIds.map(uploadId => readPartialUpload(uploadId, req.user)));
+    session = findPartialsSession(partials);
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: { message: error.message } });
+  }
+  
+  // Claim the partials; another final upload may have claimed one while they were being read
+  const claimed = partialIds.find(uploadId => concatenatingPartials.has(uploadId));
+  if (claimed) {
+    return res.status(409).json({ error: { message: `Partial upload ${claimed} is already being concatenated` } });
+  }
+  partialIds.forEach(uploadId => concatenatingPartials.add(uploadId));
+  
+  const finalId = crypto.randomBytes(16).toString("hex");
+  const size = partials.reduce((total, partial) => total + partial.size, 0);
+  const auditContext = getAuditContext(req);
+  uploadStatuses.set(finalId, { state: "pending", owner: auditContext.actor });
+  metadata = withUploadOwner(metadata, req.user);
+  
+  // Final uploads are remembered as long as their status, which is forgotten a while after they finish
+  finalUploads.forEach((finalUpload, uploadId) => {
+    if (!uploadStatuses.get(uploadId)) finalUploads.delete(uploadId);
+  });
+  finalUploads.set(finalId, { size, concat: req.headers["upload-concat"], owner: auditContext.actor });
+  
+  console.log(`Creating final upload ${finalId} from ${partialIds.length} partial uploads (${size} bytes)`);
+  res.status(201).set({
+    "Tus-Resumable": "1.0.0",
+    "Upload-Concat": req.headers["upload-concat"],
+    "Location": generateUploadUrl(req, { proto: req.protocol, host: req.get("host"), path: "/files", id: finalId })
+  }).end();
   
-  const originalFilePath = path.join(targetDir, originalFilename);
-  const uuidFilePath = path.join(initUploadDir, upload.id);
-  const jsonFilePath = path.join(initUploadDir, `${upload.id}.json`);
-  
-  console.log(`Target directory: ${targetDir}`);
-  console.log(`Original filename: ${originalFilename}`);
-  console.log(`UUID file path: ${uuidFilePath}`);
-  
-  // Handle duplicate filenames for "number" option
-  if (fs.existsSync(originalFilePath) && meta.onDuplicateFiles === "number") {
-    const ext = path.extname(originalFilename);
-    const base = path.basename(originalFilename, ext);
-    let i = 1;
-    let candidate = `${base}${ext}`;
-    while (fs.existsSync(path.join(targetDir, candidate))) {
-      candidate = `${base}(${i})${ext}`;
-      i++;
+  if (session) {
+    try {
+      partials.forEach((partial, index) => session.parts.add(index + 1));
+      await completeUploadSession(session, auditContext, [finalId, ...partialIds]);
+      uploadSessions.delete(session.id);
+      saveUploadSessions();
+    } catch (error) {
+      // completeUploadSession has recorded the failure; the session is left for the cleanup sweep
+      console.error(`Error creating final upload ${finalId}: ${error.message}`);
+    } finally {
+      partialIds.forEach(uploadId => concatenatingPartials.delete(uploadId));
+    }
+    return;
+  }
+  
+  const stagedPath = path.join(initUploadDir, finalId);
+  const tempPath = `${stagedPath}.tmp`;
+  try {
+    uploadStatuses.set(finalId, { state: "assembling" });
+    const totalSize = await concatenateFiles(partials.map(partial => partial.path), tempPath, bytesWritten => {
+      uploadStatuses.progress(finalId, "assembly", bytesWritten, size);
+    });
+    if (totalSize !== size) {
+      throw new Error(`Concatenated ${totalSize} bytes, expected ${size}`);
     }
-    finalFilename = candidate;
-    console.log(`File ${originalFilename} already exists, using numbered filename: ${finalFilename}`);
+    
+    // Stage the result as a complete upload in the tus format, so it is finalized (and can be inspected) like one
+    const upload = { id: finalId, size, offset: size, metadata, creation_date: new Date().toISOString() };
+    await fs.promises.writeFile(path.join(initUploadDir, `${finalId}.json`), JSON.stringify(upload));
+    await fs.promises.rename(tempPath, stagedPath);
+    partialIds.forEach(discardStagedUpload);
+    
+    await finalizeUpload(upload, metadata, auditContext);
+  } catch (error) {
+    console.error(`Error creating final upload ${finalId}: ${error.message}`);
+    fs.rmSync(tempPath, { force: true });
+    auditLog.record({
+      ...auditContext,
+      operation: "upload",
+      destinationPath: [(metadata.path || "").replace(/\.\./g, "").replace(/^\/+/, ""), metadata.filename].filter(Boolean).join("/"),
+      bytes: size,
+      outcome: "failure",
+      error: error.message
+    });
+    uploadStatuses.set(finalId, { state: "failed", error: error.message });
+  } finally {
+    partialIds.forEach(uploadId => concatenatingPartials.delete(uploadId));
   }
+}
+
+/**
+ * Client address for a tus event. The tus server wraps the Express request in a fetch Request,
+ * which keeps the original (and so the proxy-aware req.ip) on req.node.req.
+ */
+function getUploadClientIp(req) {
+  return (req.node && req.node.req && req.node.req.ip) || null;
+}
+
+/**
+ * Caller of a tus event, authenticated by requireAuth on the original Express request; null when authentication
+ * is disabled
+ */
+function getUploadUser(req) {
+  return (req.node && req.node.req && req.node.req.user) || null;
+}
+
+/**
+ * Upload metadata with its owner set to the user creating the upload, whatever the client put there
+ */
+function withUploadOwner(metadata, user) {
+  const { owner, ...rest } = metadata;
+  return user ? { ...rest, owner: user.username } : rest;
+}
+
+/**
+ * Record a finished (or failed) upload in the audit log
+ */
+function recordUpload(auditContext, fullPath, details) {
+  auditLog.record({
+    ...auditContext,
+    operation: "upload",
+    destinationPath: toVolumePath(fullPath),
+    ...details
+  });
+}
+
+/**
+ * Check a staged or assembled upload against the SHA-256 its client sent, before it is moved into place.
+ * A mismatching file is quarantined, and the upload recorded and reported as failed.
+ * Returns whether the file may be moved into place.
+ */
+async function verifyUploadChecksum(filePath, expected, { id, uploadIds, filename, targetDir, auditContext }) {
+  uploadStatuses.set(uploadIds, { state: "verifying" });
   
-  const newFilePath = path.join(targetDir, finalFilename);
+  const { size } = await fs.promises.stat(filePath);
+  const actual = await hashFile(filePath, "sha256", bytesHashed => {
+    uploadStatuses.progress(uploadIds, "checksum", bytesHashed, size);
+  });
+  if (actual === expected.toLowerCase()) {
+    console.log(`Checksum verified for ${filename}`);
+    return true;
+  }
   
-  // Wait a moment to ensure file is fully written
-  await new Promise(resolve => {
-    setTimeout(() => {
-      try {
-        // Make sure the file exists before attempting to rename
-        if (fs.existsSync(uuidFilePath)) {
-          // Rename file
-          console.log(`Renaming ${uuidFilePath} to ${newFilePath}`);
-          fs.renameSync(uuidFilePath, newFilePath);
-          
-          // Delete JSON metadata file
-          if (fs.existsSync(jsonFilePath)) {
-            console.log(`Deleting JSON file: ${jsonFilePath}`);
-            fs.unlinkSync(jsonFilePath);
-          }
-          
-          console.log(`Successfully processed file: ${finalFilename} to ${targetDir}`);
-        } else {
-          console.error(`File not found at ${uuidFilePath}`);
-        }
-        resolve();
-      } catch (err) {
-        console.error(`Error during rename/delete: ${err.message}`);
-        resolve();
-      }
-    }, 2000);
+  console.log(`Checksum mismatch for ${filename}: expected ${expected}, got ${actual}. Quarantining ${id}`);
+  await quarantine.add(filePath, {
+    id,
+    filename,
+    targetPath: toVolumePath(targetDir),
+    algorithm: "sha256",
+    expected,
+    actual,
+    actor: auditContext.actor
   });
+  
+  const error = "Checksum mismatch: the data received doesn't match the SHA-256 of the original file";
+  recordUpload(auditContext, path.join(targetDir, filename), { outcome: "failure", error });
+  uploadStatuses.set(uploadIds, { state: "failed", checksum: "mismatch", error });
+  return false;
 }
 
 /**
- * Handle parted upload
+ * Find a free name in targetDir by appending (1), (2), ... before the extension.
+ * Directories are numbered at the end of the name since they have no extension.
  */
-async function handlePartedUpload(upload, meta) {
-  const originalFilename = meta.originalFilename;
-  const partNumber = parseInt(meta.partNumber);
-  const totalParts = parseInt(meta.totalParts);
-  const partId = meta.partId;
+function getNumberedFilename(targetDir, filename, isDirectory = false) {
+  const ext = isDirectory ? "" : path.extname(filename);
+  const base = path.basename(filename, ext);
+  let i = 1;
+  let candidate = `${base}${ext}`;
+  while (fs.existsSync(path.join(targetDir, candidate))) {
+    candidate = `${base}(${i})${ext}`;
+    i++;
+  }
+  return candidate;
+}
+
+// What to do when an upload's name is already taken in its target directory (onDuplicateFiles):
+//   number    - save it under the next free numbered name, e.g. "report(1).pdf"
+//   overwrite - replace the existing file in a single rename; a folder is never replaced
+//   skip      - keep the existing file and discard the upload
+//   prevent   - refuse the upload
+//   ask       - refuse the upload, so the client can ask the user and send it again with another policy
+// A clash that is there when the upload is created is settled up front, before any data is sent: a skipped upload
+// is answered with 200 and { skipped: true, duplicate: "skipped", path } (no upload is created, so there is
+// nothing to send), and one the policy doesn't settle is refused with 409. A clash that appears while the data is
+// on its way is settled the same way once it is in, with the same permission checks.
+const DUPLICATE_POLICIES = ["number", "overwrite", "skip", "prevent", "ask"];
+
+/**
+ * Check a new upload against its duplicate policy before any data is accepted.
+ * Returns { skipped: true, filePath } when it is skipped, { status, error } when it must be refused, or null
+ * when it can go ahead.
+ */
+function checkDuplicateUpload(user, targetDir, filename, policy) {
+  const filePath = path.join(targetDir, filename);
+  if (policy === "number" || !fs.existsSync(filePath)) return null;
+  
+  if (policy === "skip") {
+    return { skipped: true, filePath };
+  }
+  if (policy !== "overwrite") {
+    return { status: 409, error: `File "${filename}" already exists in the target directory` };
+  }
+  if (fs.lstatSync(filePath).isDirectory()) {
+    return { status: 409, error: `A folder named "${filename}" already exists in the target directory and can't be replaced` };
+  }
+  
+  // Replacing a file deletes the one that was there
+  const denied = permissionError(user, "delete", filePath);
+  return denied ? { status: 403, error: denied } : null;
+}
+
+/**
+ * Apply an upload's duplicate policy once its data is in, for the user who owns the upload (a username, null
+ * when authentication is disabled). Returns { filePath, duplicate }, with duplicate "numbered", "replaced" or
+ * "skipped" (filePath is then the existing file, left as it is) when the name was taken and null when it was free.
+ * Throws when the policy refuses the clash, or the owner may not delete the file it would replace.
+ */
+function resolveDuplicateUpload(owner, targetDir, filename, policy) {
+  const filePath = path.join(targetDir, filename);
+  if (!fs.existsSync(filePath)) {
+    return { filePath, duplicate: null };
+  }
   
-  console.log(`Processing part ${partNumber}/${totalParts} for file: ${originalFilename}`);
+  switch (policy) {
+    case "number":
+      return { filePath: path.join(targetDir, getNumberedFilename(targetDir, filename)), duplicate: "numbered" };
+    case "overwrite":
+      if (fs.lstatSync(filePath).isDirectory()) {
+        throw new Error(`A folder named "${filename}" already exists in the target directory and can't be replaced`);
+      }
+      // The file may have appeared after the upload was checked when it was created
+      const denied = permissionError(owner ? auth.describeUser(owner) : null, "delete", filePath);
+      if (denied) {
+        throw new Error(denied);
+      }
+      return { filePath, duplicate: "replaced" };
+    case "skip":
+      return { filePath, duplicate: "skipped" };
+    default:
+      throw new Error(`File "${filename}" already exists in the target directory`);
+  }
+}
+
+/**
+ * Handle single file upload (existing logic)
+ */
+async function handleSingleFileUpload(upload, meta, auditContext) {
+  // Checked when the upload was created, unless the policy has changed since
+  const { name: originalFilename, violation } = filenamePolicy.check(meta.filename);
+  if (violation) {
+    throw new Error(violation.message);
+  }
+  let finalFilename = originalFilename;
   
-  // Determine the target directory
+  // Determine the target directory based on the path metadata
   let targetDir = uploadsDir;
   if (meta.path) {
+    // Ensure the path is relative to the uploads directory and doesn't contain ".."
+    console.log(`POST_FINISH: Received path metadata: "${meta.path}"`);
     const relativePath = meta.path.replace(/\.\./g, "").replace(/^\/+/, "");
-    targetDir = path.join(uploadsDir, relativePath);
+    const targetDirectories = checkNewDirectories(path.resolve(uploadsDir, relativePath));
+    if (targetDirectories.violation) {
+      throw new Error(targetDirectories.violation.message);
+    }
+    targetDir = targetDirectories.fullPath;
+    console.log(`POST_FINISH: Resolved target directory: "${targetDir}"`);
     
+    // Create the target directory if it doesn't exist
     if (!fs.existsSync(targetDir)) {
       console.log(`Creating directory: ${targetDir}`);
       fs.mkdirSync(targetDir, { recursive: true });
     }
   }
   
-  // Initialize tracking for this file if not exists
-  if (!partedUploads.has(originalFilename)) {
-    partedUploads.set(originalFilename, {
-      parts: new Set(),
-      metadata: meta,
-      targetDir: targetDir,
-      uploadIds: new Map(), // Map part number to upload ID
-      timestamp: Date.now() // Track when first part was received
-    });
+  const originalFilePath = path.join(targetDir, originalFilename);
+  const uuidFilePath = path.join(initUploadDir, upload.id);
+  const jsonFilePath = path.join(initUploadDir, `${upload.id}.json`);
+  
+  console.log(`Target directory: ${targetDir}`);
+  console.log(`Original filename: ${originalFilename}`);
+  console.log(`UUID file path: ${uuidFilePath}`);
+  
+  let newFilePath = originalFilePath;
+  
+  try {
+    // Make sure the file exists before attempting to rename
+    if (!fs.existsSync(uuidFilePath)) {
+      throw new Error(`Uploaded file ${upload.id} not found in staging`);
+    }
+    
+    // A file that doesn't match the checksum its client sent never reaches its destination
+    let checksum = null;
+    if (meta.sha256) {
+      const verified = await verifyUploadChecksum(uuidFilePath, meta.sha256, {
+        id: upload.id,
+        uploadIds: upload.id,
+        filename: originalFilename,
+        targetDir,
+        auditContext
+      });
+      if (!verified) {
+        await fs.promises.rm(jsonFilePath, { force: true });
+        return;
+      }
+      checksum = "verified";
+    }
+    
+    // The name may have been taken since the upload was created
+    const { filePath, duplicate } = resolveDuplicateUpload(auditContext.actor, targetDir, originalFilename, meta.onDuplicateFiles || "number");
+    newFilePath = filePath;
+    finalFilename = path.basename(filePath);
+    
+    if (duplicate === "skipped") {
+      console.log(`File ${originalFilename} already exists in ${targetDir}, discarding the upload`);
+      discardStagedUpload(upload.id);
+      uploadStatuses.set(upload.id, { state: "done", path: toVolumePath(newFilePath), checksum, duplicate });
+      return;
+    }
+    if (duplicate) {
+      console.log(`File ${originalFilename} already exists, ${duplicate === "replaced" ? "replacing it" : `using numbered filename: ${finalFilename}`}`);
+    }
+    
+    uploadStatuses.set(upload.id, { state: "assembling", checksum });
+    
+    // Rename file
+    console.log(`Renaming ${uuidFilePath} to ${newFilePath}`);
+    await fs.promises.rename(uuidFilePath, newFilePath);
+    directorySizes.invalidate(newFilePath);
+    recordUpload(auditContext, newFilePath, { bytes: upload.size ?? null });
+    uploadStatuses.set(upload.id, { state: "done", path: toVolumePath(newFilePath), duplicate });
+    
+    // Delete JSON metadata file
+    if (fs.existsSync(jsonFilePath)) {
+      console.log(`Deleting JSON file: ${jsonFilePath}`);
+      await fs.promises.unlink(jsonFilePath);
+    }
+    
+    console.log(`Successfully processed file: ${finalFilename} to ${targetDir}`);
+  } catch (err) {
+    console.error(`Error during rename/delete: ${err.message}`);
+    recordUpload(auditContext, newFilePath, { outcome: "failure", error: err.message });
+    uploadStatuses.set(upload.id, { state: "failed", error: err.message });
+  }
+}
+
+/**
+ * Handle a finished part of a multi-part upload, assembling the file once every part of its session is in
+ */
+async function handlePartedUpload(upload, meta, auditContext) {
+  const session = uploadSessions.get(meta.uploadSession);
+  if (!session) {
+    console.log(`Discarding part ${upload.id}: upload session ${meta.uploadSession} not found`);
+    discardStagedUpload(upload.id);
+    uploadStatuses.set(upload.id, { state: "failed", error: "Upload session not found" });
+    return;
   }
   
-  const uploadInfo = partedUploads.get(originalFilename);
-  uploadInfo.parts.add(partNumber);
-  uploadInfo.uploadIds.set(partNumber, upload.id);
+  const partNumber = parseInt(meta.partNumber);
+  const invalid = validatePart(session, partNumber, upload.size);
+  if (invalid) {
+    console.log(`Discarding part ${upload.id} of ${session.filename}: ${invalid}`);
+    discardStagedUpload(upload.id);
+    uploadStatuses.set(upload.id, { state: "failed", error: invalid });
+    return;
+  }
+  
+  console.log(`Processing part ${partNumber}/${session.totalParts} for file: ${session.filename}`);
+  
+  const previousId = session.uploadIds.get(partNumber);
+  if (previousId && previousId !== upload.id) {
+    discardStagedUpload(previousId);
+  }
+  session.parts.add(partNumber);
+  session.uploadIds.set(partNumber, upload.id);
+  session.timestamp = Date.now();
+  session.auditContext = auditContext;
+  session.concat = session.concat || meta.uploadConcat === "partial";
+  saveUploadSessions();
   
-  console.log(`Part ${partNumber} registered. Total parts received: ${uploadInfo.parts.size}/${totalParts}`);
+  console.log(`Part ${partNumber} registered. Total parts received: ${session.parts.size}/${session.totalParts}`);
+  uploadStatuses.set([...session.uploadIds.values()], {
+    state: "pending",
+    parts: { received: session.parts.size, total: session.totalParts }
+  });
   
-  // Check if all parts are complete
-  if (uploadInfo.parts.size === totalParts) {
-    console.log(`All parts received for ${originalFilename}. Starting concatenation...`);
-    await concatenateAndCleanup(originalFilename, totalParts, uploadInfo);
+  // Check if all parts are complete; parts sent as partial uploads are moved into place by their final upload
+  if (!session.concat && session.parts.size === session.totalParts) {
+    console.log(`All parts received for ${session.filename}. Moving it into place...`);
+    await completeUploadSession(session, auditContext);
     
     // Remove from tracking
-    partedUploads.delete(originalFilename);
+    uploadSessions.delete(session.id);
+    saveUploadSessions();
+  }
+}
+
+/**
+ * Check that every part of a session has been written into its file before it is moved into place:
+ * each planned part must have arrived under the upload registered for it, and the file must still
+ * have the size it was preallocated with.
+ */
+function checkSessionAssembly(session) {
+  const missing = planParts(session.size, session.totalParts).find(({ partNumber }) =>
+    !session.uploadIds.has(partNumber) || !session.parts.has(partNumber)
+  );
+  if (missing) {
+    throw new Error(`Part ${missing.partNumber} of ${session.filename} has not been uploaded`);
+  }
+  
+  const assemblyPath = getAssemblyPath(session);
+  if (!fs.existsSync(assemblyPath)) {
+    throw new Error(`Upload file not found: ${assemblyPath}`);
+  }
+  
+  const assembledSize = fs.statSync(assemblyPath).size;
+  if (assembledSize !== session.size) {
+    throw new Error(`Assembled ${assembledSize} bytes of ${session.filename}, expected ${session.size}`);
   }
 }
 
 /**
- * Concatenate parts and cleanup
+ * Move the file of a session whose parts have all arrived into its target directory and clean up.
+ * The parts were written at their offsets as they arrived, so this is a rename.
+ * The status is reported for statusIds, by default the parts' uploads.
  */
-async function concatenateAndCleanup(originalFilename, totalParts, uploadInfo) {
-  let finalFilename = originalFilename.replace(/[^a-zA-Z0-9._-]/g, "_");
+async function completeUploadSession(session, auditContext, statusIds = [...session.uploadIds.values()]) {
+  const { filename, targetDir } = session;
+  const assemblyPath = getAssemblyPath(session);
+  let finalFilename = filename;
   let finalFilePath = null;
+  const partIds = [...session.uploadIds.values()];
+  uploadStatuses.set(statusIds, { state: "assembling" });
   
   try {
-    const { targetDir, metadata, uploadIds } = uploadInfo;
+    checkSessionAssembly(session);
     
-    // Handle duplicate filenames
-    const originalFilePath = path.join(targetDir, finalFilename);
+    // Create the target directory if it doesn't exist
+    if (!fs.existsSync(targetDir)) {
+      console.log(`Creating directory: ${targetDir}`);
+      fs.mkdirSync(targetDir, { recursive: true });
+    }
     
-    if (fs.existsSync(originalFilePath) && metadata.onDuplicateFiles === "number") {
-      const ext = path.extname(finalFilename);
-      const base = path.basename(finalFilename, ext);
-      let i = 1;
-      let candidate = `${base}${ext}`;
-      while (fs.existsSync(path.join(targetDir, candidate))) {
-        candidate = `${base}(${i})${ext}`;
-        i++;
+    let checksum = null;
+    if (session.sha256) {
+      const verified = await verifyUploadChecksum(assemblyPath, session.sha256, {
+        id: session.id,
+        uploadIds: statusIds,
+        filename,
+        targetDir,
+        auditContext
+      });
+      if (!verified) {
+        partIds.forEach(discardStagedUpload);
+        return;
       }
-      finalFilename = candidate;
-      console.log(`File ${originalFilename} already exists, using numbered filename: ${finalFilename}`);
+      checksum = "verified";
     }
     
-    finalFilePath = path.join(targetDir, finalFilename);
-    
-    console.log(`Concatenating ${totalParts} parts into: ${finalFilePath}`);
-    
-    // Use file descriptor approach for large files to avoid memory limits
-    const tempFilePath = `${finalFilePath}.tmp`;
-    
-    // Open temp file for writing
-    const fd = fs.openSync(tempFilePath, 'w');
-    let totalSize = 0;
+    // The name may have been taken since the session was opened
+    const destination = resolveDuplicateUpload(session.owner, targetDir, finalFilename, session.onDuplicateFiles);
+    finalFilePath = destination.filePath;
+    finalFilename = path.basename(finalFilePath);
     
-    try {
-      // Concatenate parts using file descriptors to handle large files
-      for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
-        const uploadId = uploadIds.get(partNumber);
-        const partPath = path.join(initUploadDir, uploadId);
-        
-        if (!fs.existsSync(partPath)) {
-          throw new Error(`Part file not found: ${partPath}`);
-        }
-        
-        console.log(`Concatenating part ${partNumber}: ${partPath}`);
-        
-        // Get part file stats
-        const partStats = fs.statSync(partPath);
-        console.log(`Part ${partNumber} size: ${partStats.size} bytes`);
-        
-        // Open part file for reading
-        const partFd = fs.openSync(partPath, 'r');
-        
-        try {
-          // Copy part file to temp file in chunks to handle large files
-          const bufferSize = 64 * 1024 * 1024; // 64MB buffer
-          const buffer = Buffer.allocUnsafe(bufferSize);
-          let bytesRead = 0;
-          let position = 0;
-          
-          while (position < partStats.size) {
-            bytesRead = fs.readSync(partFd, buffer, 0, bufferSize, position);
-            if (bytesRead === 0) break;
-            
-            fs.writeSync(fd, buffer, 0, bytesRead);
-            position += bytesRead;
-            totalSize += bytesRead;
-          }
-        } finally {
-          fs.closeSync(partFd);
-        }
-      }
-    } finally {
-      fs.closeSync(fd);
+    if (destination.duplicate === "skipped") {
+      console.log(`File ${filename} already exists in ${targetDir}, discarding the upload`);
+      discardUploadSession(session);
+      uploadStatuses.set(statusIds, { state: "done", path: toVolumePath(finalFilePath), checksum, duplicate: "skipped" });
+      return;
+    }
+    if (destination.duplicate) {
+      console.log(`File ${filename} already exists, ${destination.duplicate === "replaced" ? "replacing it" : `using numbered filename: ${finalFilename}`}`);
     }
     
-    console.log(`Total concatenated size: ${totalSize} bytes`);
-    
-    // Move temp file to final location
-    fs.renameSync(tempFilePath, finalFilePath);
+    uploadStatuses.set(statusIds, { state: "assembling" });
     
-    console.log(`Successfully concatenated file: ${finalFilename}`);
+    console.log(`Moving ${assemblyPath} (${session.size} bytes in ${session.totalParts} parts) to ${finalFilePath}`);
+    await fs.promises.rename(assemblyPath, finalFilePath);
+    directorySizes.invalidate(finalFilePath);
     
-    // Verify file size
-    const finalStats = fs.statSync(finalFilePath);
-    console.log(`Final file size: ${finalStats.size} bytes`);
+    recordUpload(auditContext, finalFilePath, { bytes: session.size });
+    uploadStatuses.set(statusIds, { state: "done", path: toVolumePath(finalFilePath), checksum, duplicate: destination.duplicate });
     
-    // Clean up part files and JSON metadata
-    for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
-      const uploadId = uploadIds.get(partNumber);
-      const partPath = path.join(initUploadDir, uploadId);
-      const jsonPath = path.join(initUploadDir, `${uploadId}.json`);
-      
-      // Delete part file
-      if (fs.existsSync(partPath)) {
-        fs.unlinkSync(partPath);
-        console.log(`Deleted part file: ${partPath}`);
-      }
-      
-      // Delete JSON metadata file
-      if (fs.existsSync(jsonPath)) {
-        fs.unlinkSync(jsonPath);
-        console.log(`Deleted JSON file: ${jsonPath}`);
-      }
-    }
+    // The parts' data went with the file; only their info files are left
+    partIds.forEach(discardStagedUpload);
     
-    console.log(`Successfully processed parted file: ${finalFilename} to ${uploadInfo.targetDir}`);
+    console.log(`Successfully processed parted file: ${finalFilename} to ${targetDir}`);
     
   } catch (error) {
-    console.error(`Error during concatenation: ${error.message}`);
-    
-    // Clean up partial files on error
-    try {
-      if (finalFilePath && fs.existsSync(finalFilePath)) {
-        fs.unlinkSync(finalFilePath);
-        console.log(`Cleaned up partial file: ${finalFilePath}`);
-      }
-      
-      // Also clean up temp file if it exists
-      const tempFilePath = `${finalFilePath}.tmp`;
-      if (tempFilePath && fs.existsSync(tempFilePath)) {
-        fs.unlinkSync(tempFilePath);
-        console.log(`Cleaned up temp file: ${tempFilePath}`);
-      }
-    } catch (cleanupError) {
-      console.error(`Error during cleanup: ${cleanupError.message}`);
-    }
-    
+    // The session's file is kept, so the cleanup sweep removes it with the session
+    console.error(`Error finishing upload session ${session.id}: ${error.message}`);
+    recordUpload(auditContext, finalFilePath || path.join(targetDir, finalFilename), {
+      outcome: "failure",
+      error: error.message
+    });
+    uploadStatuses.set(statusIds, { state: "failed", error: error.message });
     throw error;
   }
 }
 
 // Use a middleware to handle all requests to /files
 app.use("/files", (req, res) => {
+  // Part of the checksum extension; @tus/server only sends the extension list
+  if (req.method === "OPTIONS") {
+    res.set("Tus-Checksum-Algorithm", CHECKSUM_ALGORITHMS.join(","));
+  }
+  
+  // Final uploads are answered here, with their offset once they have been put together (concatenation extension)
+  const finalUpload = req.method === "HEAD" ? finalUploads.get(req.path.slice(1)) : null;
+  const status = finalUpload ? uploadStatuses.get(req.path.slice(1)) : null;
+  if (status && status.state !== "failed" && finalUpload.owner === (req.user ? req.user.username : null)) {
+    res.status(200).set({
+      "Tus-Resumable": "1.0.0",
+      "Cache-Control": "no-store",
+      "Upload-Concat": finalUpload.concat,
+      "Upload-Length": finalUpload.size,
+      ...(status.state === "done" ? { "Upload-Offset": finalUpload.size } : {})
+    });
+    return res.end();
+  }
+  
   tusServer.handle(req, res);
 });
 
+/**
+ * Resolve a client-supplied volume path to an absolute path inside the uploads directory.
+ * Returns { fullPath } on success or { status, error } when access must be denied.
+ */
+function resolveVolumePath(requestedPath) {
+  // Validate that the path doesn't contain ".."
+  if (requestedPath.includes("..")) {
+    return { status: 403, error: "Access denied: Path cannot contain '..'" };
+  }
+  
+  // Resolve the full path
+  const relativePath = requestedPath.replace(/^\/+/, "");
+  const fullPath = path.resolve(uploadsDir, relativePath);
+  
+  // Validate that the path is within the uploads directory
+  if (!fullPath.startsWith(path.resolve(uploadsDir))) {
+    return { status: 403, error: "Access denied: Path must be within the uploads directory" };
+  }
+  
+  return { fullPath };
+}
+
+/**
+ * Check that a user holds a permission on a full path.
+ * Returns an error message when access is denied, or null when it is allowed.
+ */
+function permissionError(user, permission, fullPath) {
+  const volumePath = toVolumePath(fullPath);
+  return access.can(user, permission, volumePath)
+    ? null
+    : `Access denied: ${permission} permission required on "${volumePath || "/"}"`;
+}
+
+/**
+ * Check that a user holds a permission on a path and everything below it, for changes that take a whole directory
+ * along. With targetPath, each entry is checked where it ends up below targetPath instead (moves and copies), and
+ * entries skip returns true for are left out. Returns an error message when they don't, or null when they do.
+ * The message names only the top path, so it cannot reveal items hidden from the user.
+ */
+async function treePermissionError(user, permission, fullPath, { targetPath = fullPath, skip } = {}) {
+  const denied = permissionError(user, permission, targetPath);
+  if (denied || !access.hasRulesBelow(user, toVolumePath(targetPath))) return denied;
+  
+  const stats = await fs.promises.lstat(fullPath).catch(() => null);
+  if (!stats || !stats.isDirectory()) return null;
+  
+  for await (const entry of walkTree(fullPath, { skip })) {
+    const entryPath = path.join(targetPath, path.relative(fullPath, entry.fullPath));
+    if (!access.can(user, permission, toVolumePath(entryPath))) {
+      return `Access denied: ${permission} permission required on everything in "${toVolumePath(targetPath) || "/"}"`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check that a full path can be the source or destination of a change: it must not be a reserved path, lie
+ * inside one, or (being a directory that is deleted or replaced with everything in it) contain one.
+ * Returns an error message when it can't, or null when it can.
+ */
+function reservedPathError(fullPath) {
+  const reserved = reservedPaths.findOverlap(fullPath);
+  if (!reserved) return null;
+  
+  const volumePath = toVolumePath(fullPath) || "/";
+  return reservedPaths.contains(fullPath)
+    ? `Access denied: "${volumePath}" is reserved for ${reserved.description}`
+    : `Access denied: "${volumePath}" contains ${reserved.description}`;
+}
+
+/**
+ * Check that files can be written into a directory: it must not be a reserved path or lie inside one. Unlike
+ * reservedPathError, a directory containing a reserved path (such as the volume root) is fine, since writing a
+ * file into it leaves the rest of it alone. Returns an error message when it can't, or null when it can.
+ */
+function reservedTargetError(fullPath) {
+  const reserved = reservedPaths.find(fullPath);
+  return reserved
+    ? `Access denied: "${toVolumePath(fullPath) || "/"}" is reserved for ${reserved.description}`
+    : null;
+}
+
+/**
+ * Check the name an item is moved or copied to against the filename policy. An item that keeps its name keeps it
+ * as it is, so files whose names the policy wouldn't allow (e.g. created outside the app) can still be moved.
+ * Returns { fullPath } with the new name normalized, or { violation }.
+ */
+function checkDestinationName(fullSourcePath, fullDestinationPath) {
+  const name = path.basename(fullDestinationPath);
+  if (name === path.basename(fullSourcePath)) {
+    return { fullPath: fullDestinationPath };
+  }
+  
+  const { name: normalizedName, violation } = filenamePolicy.check(name);
+  return violation ? { violation } : { fullPath: path.join(path.dirname(fullDestinationPath), normalizedName) };
+}
+
+/**
+ * Check the folders that would be created on the way to an upload's target directory (e.g. the subfolders of
+ * a folder upload) or the destination of a move or copy against the filename policy; folders that already exist
+ * keep their names.
+ * Returns { fullPath } with the new folders' names normalized, or { violation }.
+ */
+function checkNewDirectories(targetDir) {
+  const root = path.resolve(uploadsDir);
+  const newNames = [];
+  let existingDir = targetDir;
+  while (existingDir !== root && !fs.existsSync(existingDir)) {
+    newNames.unshift(path.basename(existingDir));
+    existingDir = path.dirname(existingDir);
+  }
+  
+  const normalizedNames = [];
+  for (const name of newNames) {
+    const { name: normalizedName, violation } = filenamePolicy.check(name);
+    if (violation) return { violation };
+    normalizedNames.push(normalizedName);
+  }
+  return { fullPath: path.join(existingDir, ...normalizedNames) };
+}
+
+/**
+ * Walk filter for searches: leaves out reserved paths, directories hidden from the user and files they cannot read
+ */
+function createAccessSkip(user) {
+  return (fullPath, dirent) => {
+    if (reservedPaths.contains(fullPath)) return true;
+    const volumePath = toVolumePath(fullPath);
+    return dirent.isDirectory() ? !access.isVisible(user, volumePath) : !access.can(user, "read", volumePath);
+  };
+}
+
 // API endpoint to get directory contents
 app.get("/api/files", async (req, res) => {
   try {
@@ -501,24 +1590,50 @@ app.get("/api/files", async (req, res) => {
       });
     }
     
-    // Check if the directory exists
-    if (!fs.existsSync(fullPath)) {
+    // Check if the directory exists; reserved directories are as good as absent
+    if (!fs.existsSync(fullPath) || reservedPaths.contains(fullPath)) {
       return res.status(404).json({
         error: "Directory not found"
       });
     }
     
+    // Directories the user cannot read are still listed when they lead to a path the user was granted
+    const directoryPath = toVolumePath(fullPath);
+    if (!access.isVisible(req.user, directoryPath)) {
+      return res.status(403).json({
+        error: `Access denied: read permission required on "${directoryPath || "/"}"`
+      });
+    }
+    
+    // Optional metadata fields, e.g. ?fields=size,modified or ?fields=all.
+    // "permissions" lists what the signed-in user may do with each item.
+    const fields = parseListingFields(req.query.fields);
+    const includePermissions = parseListParam(req.query.fields).some(field => field === "permissions" || field === "all");
+    
     // Read the directory contents
     const items = await fs.promises.readdir(fullPath, { withFileTypes: true });
     
-    // Map directory entries to file items, excluding the staging directory
-    const fileItems = items
-      .filter(item => item.name)
-      .map(item => ({
-        name: item.name,
-        path: path.join(dirPath === "/" ? "" : dirPath, item.name).replace(/\\/g, "/"),
-        isDirectory: item.isDirectory()
-      }));
+    // Map directory entries to file items, excluding reserved paths and items hidden from the user
+    const fileItems = await mapWithConcurrency(
+      items.filter(item => {
+        const itemPath = path.join(fullPath, item.name);
+        return !reservedPaths.contains(itemPath) && access.isVisible(req.user, toVolumePath(itemPath));
+      }),
+      STAT_CONCURRENCY,
+      async item => {
+        const itemPath = path.join(fullPath, item.name);
+        return {
+          name: item.name,
+          path: path.join(dirPath === "/" ? "" : dirPath, item.name).replace(/\\/g, "/"),
+          isDirectory: item.isDirectory(),
+          ...await getEntryMetadata(itemPath, item.name, fields),
+          ...(includePermissions && { permissions: access.getPermissions(req.user, toVolumePath(itemPath)) })
+        };
+      }
+    );
+    
+    // The listing body is an array, so the directory's own permissions travel in a header
+    res.set("X-Directory-Permissions", access.getPermissions(req.user, directoryPath).join(","));
     
     // Return the directory contents as JSON
     return res.json(fileItems);
@@ -566,19 +1681,50 @@ app.delete("/api/files", async (req, res) => {
       });
     }
     
-    // Delete the file or directory
-    await fs.promises.rm(fullPath, { recursive: true, force: true });
+    // Directory sizes aren't known up front, so only files get a byte count
+    const stats = await fs.promises.lstat(fullPath);
+    res.locals.audit = {
+      operation: req.query.permanent === "true" ? "purge" : "delete",
+      sourcePath: toVolumePath(fullPath),
+      bytes: stats.isDirectory() ? null : stats.size
+    };
     
-    return res.json({ success: true });
-  } catch (error) {
-    console.error("Error deleting file/directory:", error);
-    return res.status(500).json({
-      error: `Failed to delete: ${error.message}`
-    });
-  }
-});
-
-// API endpoint to move a file or directory
+    if (fullPath === path.resolve(uploadsDir)) {
+      return res.status(403).json({
+        error: "Access denied: This path cannot be deleted"
+      });
+    }
+    
+    const denied = reservedPathError(fullPath) || await treePermissionError(req.user, "delete", fullPath);
+    if (denied) {
+      return res.status(403).json({ error: denied });
+    }
+    
+    // Items go to the trash unless ?permanent=true is given
+    if (req.query.permanent === "true") {
+      await fs.promises.rm(fullPath, { recursive: true, force: true });
+      directorySizes.invalidate(fullPath);
+      return res.json({ success: true });
+    }
+    
+    const fingerprint = await getFingerprint(fullPath);
+    const entry = await trash.moveToTrash(fullPath);
+    directorySizes.invalidate(fullPath);
+    
+    return res.json({
+      success: true,
+      trashId: entry.id,
+      operation: { type: "delete", path: entry.originalPath, trashId: entry.id, fingerprint }
+    });
+  } catch (error) {
+    console.error("Error deleting file/directory:", error);
+    return res.status(500).json({
+      error: `Failed to delete: ${error.message}`
+    });
+  }
+});
+
+// API endpoint to move a file or directory
 app.patch("/api/files", async (req, res) => {
   try {
     // Get the source and destination paths from the request body
@@ -599,7 +1745,7 @@ app.patch("/api/files", async (req, res) => {
     
     // Resolve the full paths
     const fullSourcePath = path.resolve(uploadsDir, sourcePath);
-    const fullDestinationPath = path.resolve(uploadsDir, destinationPath);
+    let fullDestinationPath = path.resolve(uploadsDir, destinationPath);
     
     // Validate that the paths are within the uploads directory
     if (!fullSourcePath.startsWith(path.resolve(uploadsDir)) || 
@@ -609,6 +1755,16 @@ app.patch("/api/files", async (req, res) => {
       });
     }
     
+    const destinationName = checkDestinationName(fullSourcePath, fullDestinationPath);
+    if (destinationName.violation) {
+      return res.status(400).json(filenameErrorBody(destinationName.violation));
+    }
+    const destinationDirectories = checkNewDirectories(path.dirname(destinationName.fullPath));
+    if (destinationDirectories.violation) {
+      return res.status(400).json(filenameErrorBody(destinationDirectories.violation));
+    }
+    fullDestinationPath = path.join(destinationDirectories.fullPath, path.basename(destinationName.fullPath));
+    
     // Check if the source file/directory exists
     if (!fs.existsSync(fullSourcePath)) {
       return res.status(404).json({
@@ -616,6 +1772,22 @@ app.patch("/api/files", async (req, res) => {
       });
     }
     
+    const sourceStats = await fs.promises.lstat(fullSourcePath);
+    res.locals.audit = {
+      operation: path.dirname(fullSourcePath) === path.dirname(fullDestinationPath) ? "rename" : "move",
+      sourcePath: toVolumePath(fullSourcePath),
+      destinationPath: toVolumePath(fullDestinationPath),
+      bytes: sourceStats.isDirectory() ? null : sourceStats.size
+    };
+    
+    // Moving and renaming need modify permission on everything moved, where it is and where it goes
+    const denied = reservedPathError(fullSourcePath) || reservedPathError(fullDestinationPath) ||
+      await treePermissionError(req.user, "modify", fullSourcePath) ||
+      await treePermissionError(req.user, "modify", fullSourcePath, { targetPath: fullDestinationPath });
+    if (denied) {
+      return res.status(403).json({ error: denied });
+    }
+    
     // Create the destination directory if it doesn't exist
     const destinationDir = path.dirname(fullDestinationPath);
     if (!fs.existsSync(destinationDir)) {
@@ -624,8 +1796,18 @@ app.patch("/api/files", async (req, res) => {
     
     // Move the file or directory
     await fs.promises.rename(fullSourcePath, fullDestinationPath);
+    directorySizes.invalidate(fullSourcePath);
+    directorySizes.invalidate(fullDestinationPath);
     
-    return res.json({ success: true });
+    return res.json({
+      success: true,
+      operation: {
+        type: "move",
+        sourcePath: toVolumePath(fullSourcePath),
+        destinationPath: toVolumePath(fullDestinationPath),
+        fingerprint: await getFingerprint(fullDestinationPath)
+      }
+    });
   } catch (error) {
     console.error("Error moving file/directory:", error);
     return res.status(500).json({
@@ -634,6 +1816,180 @@ app.patch("/api/files", async (req, res) => {
   }
 });
 
+/**
+ * Recursively copy a file, directory or symlink, preserving permissions and modification times.
+ * Symlinks are recreated as-is rather than followed, so a copy never reaches outside the volume.
+ * Entries below sourcePath that skip returns true for are left out, along with everything under them.
+ */
+async function copyTree(sourcePath, destinationPath, skip = () => false) {
+  const stats = await fs.promises.lstat(sourcePath);
+  
+  if (stats.isSymbolicLink()) {
+    const target = await fs.promises.readlink(sourcePath);
+    await fs.promises.symlink(target, destinationPath);
+    return;
+  }
+  
+  if (stats.isDirectory()) {
+    await fs.promises.mkdir(destinationPath);
+    const children = await fs.promises.readdir(sourcePath);
+    for (const child of children) {
+      const childPath = path.join(sourcePath, child);
+      if (skip(childPath)) continue;
+      await copyTree(childPath, path.join(destinationPath, child), skip);
+    }
+  } else {
+    // Use a copy-on-write clone when the filesystem supports it
+    await fs.promises.copyFile(sourcePath, destinationPath, fs.constants.COPYFILE_EXCL | fs.constants.COPYFILE_FICLONE);
+  }
+  
+  // Apply metadata last so copying children doesn't bump the directory mtime
+  await fs.promises.chmod(destinationPath, stats.mode & 0o7777);
+  await fs.promises.utimes(destinationPath, stats.atime, stats.mtime);
+}
+
+// Conflict policies accepted by the copy endpoint
+const COPY_CONFLICT_POLICIES = ["fail", "overwrite", "keep-both"];
+
+// API endpoint to copy a file or directory tree
+app.post("/api/files/copy", async (req, res) => {
+  try {
+    // Get the source and destination paths from the request body
+    const { sourcePath, destinationPath, conflict = "fail" } = req.body;
+    
+    if (!sourcePath || !destinationPath) {
+      return res.status(400).json({
+        error: "Source and destination paths are required"
+      });
+    }
+    
+    if (!COPY_CONFLICT_POLICIES.includes(conflict)) {
+      return res.status(400).json({
+        error: `Conflict policy must be one of: ${COPY_CONFLICT_POLICIES.join(", ")}`
+      });
+    }
+    
+    const source = resolveVolumePath(sourcePath);
+    if (source.error) {
+      return res.status(source.status).json({ error: source.error });
+    }
+    
+    const destination = resolveVolumePath(destinationPath);
+    if (destination.error) {
+      return res.status(destination.status).json({ error: destination.error });
+    }
+    
+    const fullSourcePath = source.fullPath;
+    const destinationName = checkDestinationName(fullSourcePath, destination.fullPath);
+    if (destinationName.violation) {
+      return res.status(400).json(filenameErrorBody(destinationName.violation));
+    }
+    const destinationDirectories = checkNewDirectories(path.dirname(destinationName.fullPath));
+    if (destinationDirectories.violation) {
+      return res.status(400).json(filenameErrorBody(destinationDirectories.violation));
+    }
+    let fullDestinationPath = path.join(destinationDirectories.fullPath, path.basename(destinationName.fullPath));
+    
+    // Check if the source file/directory exists
+    if (!fs.existsSync(fullSourcePath)) {
+      return res.status(404).json({
+        error: "Source file or directory not found"
+      });
+    }
+    
+    const sourceStats = await fs.promises.lstat(fullSourcePath);
+    res.locals.audit = {
+      operation: "copy",
+      sourcePath: toVolumePath(fullSourcePath),
+      destinationPath: toVolumePath(fullDestinationPath),
+      bytes: sourceStats.isDirectory() ? null : sourceStats.size
+    };
+    
+    // Like archives, a copy leaves out whatever below the source the user cannot read
+    const skipUnreadable = fullPath => !access.can(req.user, "read", toVolumePath(fullPath));
+    const denied = reservedPathError(fullSourcePath) || reservedPathError(fullDestinationPath) ||
+      permissionError(req.user, "read", fullSourcePath) ||
+      await treePermissionError(req.user, "modify", fullSourcePath, { targetPath: fullDestinationPath, skip: skipUnreadable });
+    if (denied) {
+      return res.status(403).json({ error: denied });
+    }
+    
+    // Prevent copying a directory into itself
+    if (sourceStats.isDirectory() && fullDestinationPath.startsWith(fullSourcePath + path.sep)) {
+      return res.status(400).json({
+        error: "Cannot copy a directory into itself"
+      });
+    }
+    
+    // Create the destination directory if it doesn't exist
+    const destinationDir = path.dirname(fullDestinationPath);
+    if (!fs.existsSync(destinationDir)) {
+      await fs.promises.mkdir(destinationDir, { recursive: true });
+    }
+    
+    // Apply the conflict policy
+    let replacePath = null;
+    if (fs.existsSync(fullDestinationPath)) {
+      if (conflict === "fail") {
+        return res.status(409).json({
+          error: "An item with this name already exists in the destination directory"
+        });
+      }
+      
+      if (conflict === "keep-both") {
+        const numberedName = getNumberedFilename(destinationDir, path.basename(fullDestinationPath), sourceStats.isDirectory());
+        fullDestinationPath = path.join(destinationDir, numberedName);
+      } else if (fullDestinationPath === fullSourcePath) {
+        // Overwriting an item with itself is a no-op
+        return res.json({ success: true, path: path.relative(uploadsDir, fullDestinationPath).replace(/\\/g, "/") });
+      } else {
+        const replaceDenied = await treePermissionError(req.user, "delete", fullDestinationPath);
+        if (replaceDenied) {
+          return res.status(403).json({ error: replaceDenied });
+        }
+        replacePath = fullDestinationPath;
+      }
+    }
+    
+    // Copy into a temporary sibling first so a failed copy never leaves a half-written item in place
+    const tempPath = path.join(destinationDir, `.${path.basename(fullDestinationPath)}.copy-${crypto.randomBytes(4).toString("hex")}`);
+    let replaced = null;
+    
+    try {
+      console.log(`Copying "${fullSourcePath}" to "${fullDestinationPath}"`);
+      await copyTree(fullSourcePath, tempPath, skipUnreadable);
+      
+      // The item being replaced goes to the trash, so undoing the copy can bring it back
+      if (replacePath) {
+        const replacedFingerprint = await getFingerprint(replacePath);
+        replaced = { trashId: (await trash.moveToTrash(replacePath)).id, replacedFingerprint };
+      }
+      await fs.promises.rename(tempPath, fullDestinationPath);
+      directorySizes.invalidate(fullDestinationPath);
+      res.locals.audit.destinationPath = toVolumePath(fullDestinationPath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { recursive: true, force: true }).catch(() => {});
+      throw error;
+    }
+    
+    return res.json({
+      success: true,
+      path: path.relative(uploadsDir, fullDestinationPath).replace(/\\/g, "/"),
+      operation: {
+        type: "copy",
+        path: toVolumePath(fullDestinationPath),
+        fingerprint: await getFingerprint(fullDestinationPath),
+        ...replaced
+      }
+    });
+  } catch (error) {
+    console.error("Error copying file/directory:", error);
+    return res.status(500).json({
+      error: `Failed to copy: ${error.message}`
+    });
+  }
+});
+
 // API endpoint to create a new folder
 app.post("/api/folders", async (req, res) => {
   try {
@@ -646,15 +2002,13 @@ app.post("/api/folders", async (req, res) => {
       });
     }
     
-    // Validate folder name (no special characters that could cause issues)
-    if (!/^[a-zA-Z0-9._\-\s]+$/.test(folderName)) {
-      return res.status(400).json({
-        error: "Folder name contains invalid characters"
-      });
+    const { name: normalizedName, violation } = filenamePolicy.check(folderName);
+    if (violation) {
+      return res.status(400).json(filenameErrorBody(violation));
     }
     
     // Validate that the path doesn't contain ".."
-    if (folderPath.includes("..") || folderName.includes("..")) {
+    if (folderPath.includes("..")) {
       return res.status(403).json({
         error: "Access denied: Path cannot contain '..'"
       });
@@ -662,7 +2016,7 @@ app.post("/api/folders", async (req, res) => {
     
     // Resolve the full path
     const parentDir = path.resolve(uploadsDir, folderPath === "/" ? "" : folderPath);
-    const fullFolderPath = path.join(parentDir, folderName);
+    const fullFolderPath = path.join(parentDir, normalizedName);
     
     // Validate that the path is within the uploads directory
     if (!fullFolderPath.startsWith(path.resolve(uploadsDir))) {
@@ -678,6 +2032,13 @@ app.post("/api/folders", async (req, res) => {
       });
     }
     
+    res.locals.audit = { operation: "mkdir", destinationPath: toVolumePath(fullFolderPath) };
+    
+    const denied = reservedPathError(fullFolderPath) || permissionError(req.user, "modify", fullFolderPath);
+    if (denied) {
+      return res.status(403).json({ error: denied });
+    }
+    
     // Check if folder already exists
     if (fs.existsSync(fullFolderPath)) {
       return res.status(409).json({
@@ -687,10 +2048,16 @@ app.post("/api/folders", async (req, res) => {
     
     // Create the folder
     await fs.promises.mkdir(fullFolderPath);
+    directorySizes.invalidate(fullFolderPath);
     
     return res.json({
       success: true,
-      path: path.join(folderPath === "/" ? "" : folderPath, folderName).replace(/\\/g, "/")
+      path: path.join(folderPath === "/" ? "" : folderPath, normalizedName).replace(/\\/g, "/"),
+      operation: {
+        type: "mkdir",
+        path: toVolumePath(fullFolderPath),
+        fingerprint: await getFingerprint(fullFolderPath)
+      }
     });
   } catch (error) {
     console.error("Error creating folder:", error);
@@ -700,6 +2067,1895 @@ app.post("/api/folders", async (req, res) => {
   }
 });
 
+/**
+ * Build a weak ETag from file size and modification time (same scheme as express.static)
+ */
+function buildEtag(stats) {
+  return `W/"${stats.size.toString(16)}-${stats.mtime.getTime().toString(16)}"`;
+}
+
+/**
+ * Check whether an If-Range precondition still matches the current file. If-Range needs a strong validator
+ * (RFC 9110 13.1.5), so a range is only served for the exact Last-Modified date of a file last modified at least
+ * a second ago; a change within the same second would keep the date. Our ETags are weak, so they never match.
+ */
+function isRangeFresh(req, stats) {
+  const ifRange = req.headers["if-range"];
+  if (!ifRange) {
+    return true;
+  }
+  
+  // If-Range holds either an entity tag or an HTTP date
+  if (ifRange.includes('"')) {
+    return false;
+  }
+  
+  const isStrong = Date.now() - stats.mtime.getTime() >= 1000;
+  return isStrong && ifRange === stats.mtime.toUTCString();
+}
+
+/**
+ * Stream a byte range of a file into the response without ending it
+ */
+function pipeFileRange(filePath, start, end, res) {
+  return new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(filePath, { start, end });
+    const onClose = () => {
+      // Client went away mid-transfer, stop reading from the volume
+      stream.destroy();
+      resolve();
+    };
+    res.once("close", onClose);
+    stream.on("error", reject);
+    stream.on("end", () => {
+      res.off("close", onClose);
+      resolve();
+    });
+    stream.pipe(res, { end: false });
+  });
+}
+
+// API endpoint to download a file, with support for HTTP Range requests
+app.get("/api/download", async (req, res) => {
+  try {
+    // Get the file path from the query parameters
+    const filePath = req.query.path;
+    
+    if (!filePath) {
+      return res.status(400).json({
+        error: "Path parameter is required"
+      });
+    }
+    
+    const { fullPath, status, error } = resolveVolumePath(filePath);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    // Check if the file exists
+    if (!fs.existsSync(fullPath) || reservedPaths.contains(fullPath)) {
+      return res.status(404).json({
+        error: "File not found"
+      });
+    }
+    
+    const denied = permissionError(req.user, "read", fullPath);
+    if (denied) {
+      return res.status(403).json({ error: denied });
+    }
+    
+    // Like archives, follow a symlink only to a file inside the volume, so a link can't serve files from the host.
+    // The target is checked as a path of its own, so a link can't reach a reserved or unreadable file either.
+    const volumeRoot = path.resolve(uploadsDir);
+    const realPath = await fs.promises.realpath(fullPath);
+    const targetPath = path.join(volumeRoot, path.relative(await fs.promises.realpath(volumeRoot), realPath));
+    if (!targetPath.startsWith(volumeRoot + path.sep) || reservedPaths.contains(targetPath) ||
+        !access.can(req.user, "read", toVolumePath(targetPath))) {
+      return res.status(404).json({
+        error: "File not found"
+      });
+    }
+    
+    const stats = await fs.promises.stat(realPath);
+    if (!stats.isFile()) {
+      return res.status(400).json({
+        error: "Path is not a file"
+      });
+    }
+    
+    const fileName = path.basename(fullPath);
+    const etag = buildEtag(stats);
+    const lastModified = stats.mtime.toUTCString();
+    const contentType = mime.contentType(fileName) || "application/octet-stream";
+    const disposition = req.query.disposition === "inline" ? "inline" : "attachment";
+    
+    res.set({
+      "Accept-Ranges": "bytes",
+      "ETag": etag,
+      "Last-Modified": lastModified,
+      "Content-Disposition": contentDisposition(fileName, { type: disposition })
+    });
+    
+    // Answer conditional requests from the browser cache
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+    
+    // Parse the Range header, ignoring it if the If-Range validator is stale
+    const ranges = req.headers.range && isRangeFresh(req, stats)
+      ? req.range(stats.size, { combine: true })
+      : undefined;
+    
+    if (ranges === -1) {
+      res.set("Content-Range", `bytes */${stats.size}`);
+      return res.status(416).json({
+        error: "Requested range not satisfiable"
+      });
+    }
+    
+    // No (or malformed) range: send the whole file
+    if (!ranges || ranges === -2 || ranges.type !== "bytes") {
+      res.set({
+        "Content-Type": contentType,
+        "Content-Length": stats.size
+      });
+      if (req.method === "HEAD") {
+        return res.end();
+      }
+      await pipeFileRange(realPath, 0, Math.max(stats.size - 1, 0), res);
+      return res.end();
+    }
+    
+    // Single range: plain 206 response
+    if (ranges.length === 1) {
+      const { start, end } = ranges[0];
+      res.status(206).set({
+        "Content-Type": contentType,
+        "Content-Range": `bytes ${start}-${end}/${stats.size}`,
+        "Content-Length": end - start + 1
+      });
+      if (req.method === "HEAD") {
+        return res.end();
+      }
+      await pipeFileRange(realPath, start, end, res);
+      return res.end();
+    }
+    
+    // Multiple ranges: multipart/byteranges response
+    const boundary = crypto.randomBytes(16).toString("hex");
+    const partHeaders = ranges.map(({ start, end }, index) =>
+      `${index > 0 ? "\r\n" : ""}--${boundary}\r\n` +
+      `Content-Type: ${contentType}\r\n` +
+      `Content-Range: bytes ${start}-${end}/${stats.size}\r\n\r\n`
+    );
+    const closingBoundary = `\r\n--${boundary}--\r\n`;
+    const contentLength = ranges.reduce((total, { start, end }, index) =>
+      total + Buffer.byteLength(partHeaders[index]) + (end - start + 1),
+      Buffer.byteLength(closingBoundary)
+    );
+    
+    res.status(206).set({
+      "Content-Type": `multipart/byteranges; boundary=${boundary}`,
+      "Content-Length": contentLength
+    });
+    if (req.method === "HEAD") {
+      return res.end();
+    }
+    
+    for (let i = 0; i < ranges.length; i++) {
+      res.write(partHeaders[i]);
+      await pipeFileRange(realPath, ranges[i].start, ranges[i].end, res);
+    }
+    return res.end(closingBoundary);
+  } catch (error) {
+    console.error("Error downloading file:", error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    return res.status(500).json({
+      error: `Failed to download: ${error.message}`
+    });
+  }
+});
+
+// API endpoint to download folders or multiple items as a single streamed archive
+app.get("/api/archive", async (req, res) => {
+  try {
+    // Accept one or more "paths" query parameters
+    const requestedPaths = [].concat(req.query.paths || req.query.path || []);
+    const format = req.query.format || "zip";
+    
+    if (requestedPaths.length === 0) {
+      return res.status(400).json({
+        error: "At least one path is required"
+      });
+    }
+    
+    if (!ARCHIVE_FORMATS[format]) {
+      return res.status(400).json({
+        error: `Unsupported archive format: ${format}`
+      });
+    }
+    
+    const fullPaths = [];
+    for (const requestedPath of requestedPaths) {
+      const { fullPath, status, error } = resolveVolumePath(requestedPath);
+      if (error) {
+        return res.status(status).json({ error });
+      }
+      
+      // Archiving the volume root itself has no common parent to be relative to
+      if (fullPath === path.resolve(uploadsDir)) {
+        return res.status(400).json({
+          error: "Cannot archive the entire volume"
+        });
+      }
+      
+      if (!fs.existsSync(fullPath) || reservedPaths.contains(fullPath)) {
+        return res.status(404).json({
+          error: `File or directory not found: ${requestedPath}`
+        });
+      }
+      
+      const denied = permissionError(req.user, "read", fullPath);
+      if (denied) {
+        return res.status(403).json({ error: denied });
+      }
+      
+      fullPaths.push(fullPath);
+    }
+    
+    const { baseDir, entries } = await collectArchiveEntries(uploadsDir, fullPaths, fullPath =>
+      !reservedPaths.contains(fullPath) && access.can(req.user, "read", toVolumePath(fullPath))
+    );
+    const archive = createArchive(entries, format);
+    
+    // Name the archive after the single selected item, or the common parent for a multi-selection
+    const baseName = fullPaths.length === 1
+      ? path.basename(fullPaths[0])
+      : (baseDir === path.resolve(uploadsDir) ? "Volume" : path.basename(baseDir));
+    const archiveName = `${baseName}${ARCHIVE_FORMATS[format].extension}`;
+    
+    console.log(`Streaming ${format} archive "${archiveName}" with ${entries.length} entries`);
+    
+    res.set({
+      "Content-Type": ARCHIVE_FORMATS[format].contentType,
+      "Content-Disposition": contentDisposition(archiveName)
+    });
+    
+    // Uncompressed formats have a known size, which lets the browser show progress
+    if (archive.size !== null) {
+      res.set("Content-Length", archive.size);
+    }
+    
+    if (req.method === "HEAD") {
+      return res.end();
+    }
+    
+    const streams = [Readable.from(archive.chunks)];
+    if (archive.compress) {
+      streams.push(zlib.createGzip());
+    }
+    await pipeline(...streams, res);
+  } catch (error) {
+    console.error("Error creating archive:", error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    return res.status(500).json({
+      error: `Failed to create archive: ${error.message}`
+    });
+  }
+});
+
+// Running searches that can be cancelled by token
+const activeSearches = new Map(); // Map of token -> { controller, owner }
+
+// Maximum number of results a single search returns
+const SEARCH_RESULT_LIMIT = 1000;
+
+/**
+ * Write one JSON Lines record, waiting for the socket to drain when the client reads slowly
+ */
+async function writeJsonLine(res, record) {
+  if (!res.write(`${JSON.stringify(record)}\n`)) {
+    await new Promise(resolve => {
+      res.once("drain", resolve);
+      res.once("close", resolve);
+    });
+  }
+}
+
+/**
+ * Parse an optional numeric query parameter, returning NaN for invalid input
+ */
+function parseOptionalNumber(value) {
+  return value === undefined || value === "" ? undefined : Number(value);
+}
+
+/**
+ * Parse an optional date query parameter, returning an invalid Date for bad input
+ */
+function parseOptionalDate(value) {
+  return value === undefined || value === "" ? undefined : new Date(value);
+}
+
+/**
+ * Register a cancellable operation under a new token, which only the user who started it can cancel with
+ */
+function registerCancellable(registry, user) {
+  const token = crypto.randomUUID();
+  const controller = new AbortController();
+  registry.set(token, { controller, owner: user ? user.username : null });
+  return { token, controller };
+}
+
+// API endpoint to search for files and folders by name, streaming results as JSON Lines
+app.get("/api/search", async (req, res) => {
+  try {
+    const { q: query, mode = "substring", type = "any" } = req.query;
+    const searchRoot = req.query.path || "/";
+    
+    if (!query) {
+      return res.status(400).json({
+        error: "Search query is required"
+      });
+    }
+    
+    if (!SEARCH_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: `Search mode must be one of: ${SEARCH_MODES.join(", ")}`
+      });
+    }
+    
+    if (!SEARCH_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: `Search type must be one of: ${SEARCH_TYPES.join(", ")}`
+      });
+    }
+    
+    const minSize = parseOptionalNumber(req.query.minSize);
+    const maxSize = parseOptionalNumber(req.query.maxSize);
+    const modifiedAfter = parseOptionalDate(req.query.modifiedAfter);
+    const modifiedBefore = parseOptionalDate(req.query.modifiedBefore);
+    
+    if (Number.isNaN(minSize) || Number.isNaN(maxSize)) {
+      return res.status(400).json({
+        error: "Size filters must be numbers of bytes"
+      });
+    }
+    
+    if ((modifiedAfter && isNaN(modifiedAfter)) || (modifiedBefore && isNaN(modifiedBefore))) {
+      return res.status(400).json({
+        error: "Date filters must be valid dates"
+      });
+    }
+    
+    let matcher;
+    try {
+      matcher = createNameMatcher(query, mode, req.query.caseSensitive === "true");
+    } catch (error) {
+      return res.status(400).json({
+        error: `Invalid search pattern: ${error.message}`
+      });
+    }
+    
+    const { fullPath, status, error } = resolveVolumePath(searchRoot);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    if (!fs.existsSync(fullPath) || reservedPaths.contains(fullPath)) {
+      return res.status(404).json({
+        error: "Directory not found"
+      });
+    }
+    
+    if (!access.isVisible(req.user, toVolumePath(fullPath))) {
+      return res.status(403).json({
+        error: "Access denied: read permission required"
+      });
+    }
+    
+    // Register the search so it can be cancelled by token or by the client disconnecting
+    const { token, controller } = registerCancellable(activeSearches, req.user);
+    res.on("close", () => controller.abort());
+    
+    res.status(200).set({
+      "Content-Type": "application/x-ndjson; charset=utf-8",
+      "Cache-Control": "no-cache",
+      "X-Search-Token": token
+    });
+    await writeJsonLine(res, { type: "start", token });
+    
+    let count = 0;
+    let truncated = false;
+    
+    try {
+      for await (const result of searchNames(fullPath, {
+        matcher,
+        type,
+        minSize,
+        maxSize,
+        modifiedAfter,
+        modifiedBefore,
+        signal: controller.signal,
+        skip: createAccessSkip(req.user)
+      })) {
+        if (count >= SEARCH_RESULT_LIMIT) {
+          truncated = true;
+          break;
+        }
+        
+        count++;
+        await writeJsonLine(res, {
+          type: "result",
+          name: result.name,
+          path: path.relative(uploadsDir, result.fullPath).replace(/\\/g, "/"),
+          isDirectory: result.isDirectory,
+          size: result.size,
+          modified: result.modified
+        });
+      }
+      
+      await writeJsonLine(res, { type: "done", count, truncated, cancelled: controller.signal.aborted });
+    } catch (error) {
+      console.error("Error during search:", error);
+      await writeJsonLine(res, { type: "error", error: `Search failed: ${error.message}` });
+    } finally {
+      activeSearches.delete(token);
+    }
+    
+    return res.end();
+  } catch (error) {
+    console.error("Error searching files:", error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    return res.status(500).json({
+      error: `Failed to search: ${error.message}`
+    });
+  }
+});
+
+// Content search limits
+const GREP_MAX_FILE_SIZE = parseInt(process.env.GREP_MAX_FILE_SIZE) || 10 * 1024 * 1024; // Skip files over 10MB by default, and never search larger ones
+const GREP_MATCH_LIMIT = 500;
+const GREP_MATCHES_PER_FILE = 20;
+const GREP_MAX_CONTEXT = 5;
+
+/**
+ * Read a list query parameter given either repeated or comma-separated
+ */
+function parseListParam(value) {
+  return [].concat(value || []).flatMap(item => String(item).split(",")).map(item => item.trim()).filter(Boolean);
+}
+
+// API endpoint to search file contents, streaming matches per file as JSON Lines
+app.get("/api/grep", async (req, res) => {
+  try {
+    const { q: query, mode = "substring" } = req.query;
+    const searchRoot = req.query.path || "/";
+    
+    if (!query) {
+      return res.status(400).json({
+        error: "Search query is required"
+      });
+    }
+    
+    if (mode !== "substring" && mode !== "regex") {
+      return res.status(400).json({
+        error: "Search mode must be one of: substring, regex"
+      });
+    }
+    
+    // Clients may lower the file size limit but not raise it
+    const maxFileSize = Math.min(parseOptionalNumber(req.query.maxFileSize) ?? GREP_MAX_FILE_SIZE, GREP_MAX_FILE_SIZE);
+    const contextLines = parseOptionalNumber(req.query.context) ?? 2;
+    
+    if (Number.isNaN(maxFileSize) || Number.isNaN(contextLines) || contextLines < 0 || contextLines > GREP_MAX_CONTEXT) {
+      return res.status(400).json({
+        error: `maxFileSize must be a number of bytes and context between 0 and ${GREP_MAX_CONTEXT}`
+      });
+    }
+    
+    let matcher;
+    let pathFilter;
+    try {
+      matcher = createLineMatcher(query, mode, req.query.caseSensitive === "true");
+      pathFilter = createGlobFilter(parseListParam(req.query.include), parseListParam(req.query.exclude));
+    } catch (error) {
+      return res.status(400).json({
+        error: `Invalid search pattern: ${error.message}`
+      });
+    }
+    
+    const { fullPath, status, error } = resolveVolumePath(searchRoot);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    
+    if (!fs.existsSync(fullPath) || reservedPaths.contains(fullPath)) {
+      return res.status(404).json({
+        error: "Directory not found"
+      });
+    }
+    
+    if (!access.isVisible(req.user, toVolumePath(fullPath))) {
+      return res.status(403).json({
+        error: "Access denied: read permission required"
+      });
+    }
+    
+    // Content searches share the name search registry so either can be cancelled the same way
+    const { token, controller } = registerCancellable(activeSearches, req.user);
+    res.on("close", () => controller.abort());
+    
+    res.status(200).set({
+      "Content-Type": "application/x-ndjson; charset=utf-8",
+      "Cache-Control": "no-cache",
+      "X-Search-Token": token
+    });
+    await writeJsonLine(res, { type: "start", token });
+    
+    let fileCount = 0;
+    let matchCount = 0;
+    let truncated = false;
+    
+    try {
+      for await (const result of searchContents(fullPath, {
+        matcher,
+        pathFilter,
+        maxFileSize,
+        contextLines,
+        maxMatchesPerFile: GREP_MATCHES_PER_FILE,
+        signal: controller.signal,
+        skip: createAccessSkip(req.user)
+      })) {
+        const matches = result.matches.slice(0, GREP_MATCH_LIMIT - matchCount);
+        fileCount++;
+        matchCount += matches.length;
+        
+        await writeJsonLine(res, {
+          type: "file",
+          path: path.relative(uploadsDir, result.fullPath).replace(/\\/g, "/"),
+          matches
+        });
+        
+        if (matchCount >= GREP_MATCH_LIMIT) {
+          truncated = true;
+          break;
+        }
+      }
+      
+      await writeJsonLine(res, { type: "done", files: fileCount, matches: matchCount, truncated, cancelled: controller.signal.aborted });
+    } catch (error) {
+      console.error("Error during content search:", error);
+      await writeJsonLine(res, { type: "error", error: `Search failed: ${error.message}` });
+    } finally {
+      activeSearches.delete(token);
+    }
+    
+    return res.end();
+  } catch (error) {
+    console.error("Error searching file contents:", error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    return res.status(500).json({
+      error: `Failed to search: ${error.message}`
+    });
+  }
+});
+
+// API endpoint to cancel a running search; other users' searches are as good as missing
+app.delete("/api/search/:token", (req, res) => {
+  const search = activeSearches.get(req.params.token);
+  if (!search || search.owner !== (req.user ? req.user.username : null)) {
+    return res.status(404).json({
+      error: "Search not found or already finished"
+    });
+  }
+  
+  search.controller.abort();
+  activeSearches.delete(req.params.token);
+  return res.json({ success: true });
+});
+
+/**
+ * How a user sees a directory's size: the whole tree, shared with everyone, unless some of their rules lie inside it.
+ * Then it only counts what they could list, like a search does, and is cached for them alone.
+ */
+function getDirectorySizeView(user, fullPath) {
+  if (!access.hasRulesBelow(user, toVolumePath(fullPath))) return {};
+  return { view: user.username, skip: createAccessSkip(user) };
+}
+
+// API endpoint to get recursive directory sizes. Unknown sizes are computed in the background,
+// so callers poll until every requested directory reports status "done". Paths are given as repeated
+// paths parameters, not comma-separated, since folder names may contain commas.
+app.get("/api/dirsize", async (req, res) => {
+  try {
+    const requestedPaths = [].concat(req.query.paths || req.query.path || []).map(String).filter(Boolean);
+    
+    if (requestedPaths.length === 0) {
+      return res.status(400).json({
+        error: "At least one path is required"
+      });
+    }
+    
+    const sizes = {};
+    for (const requestedPath of requestedPaths) {
+      const { fullPath, status, error } = resolveVolumePath(requestedPath);
+      if (error) {
+        return res.status(status).json({ error });
+      }
+      
+      if (!fs.existsSync(fullPath) || reservedPaths.contains(fullPath) || !(await fs.promises.stat(fullPath)).isDirectory()) {
+        sizes[requestedPath] = { status: "failed", error: "Directory not found" };
+        continue;
+      }
+      
+      const denied = permissionError(req.user, "read", fullPath);
+      if (denied) {
+        sizes[requestedPath] = { status: "failed", error: denied };
+        continue;
+      }
+      
+      sizes[requestedPath] = directorySizes.request(fullPath, getDirectorySizeView(req.user, fullPath));
+    }
+    
+    return res.json({ sizes });
+  } catch (error) {
+    console.error("Error getting directory size:", error);
+    return res.status(500).json({
+      error: `Failed to get directory size: ${error.message}`
+    });
+  }
+});
+
+// API endpoint to cancel a running directory size calculation
+app.delete("/api/dirsize", (req, res) => {
+  const dirPath = req.query.path;
+  
+  if (!dirPath) {
+    return res.status(400).json({
+      error: "Path parameter is required"
+    });
+  }
+  
+  const { fullPath, status, error } = resolveVolumePath(dirPath);
+  if (error) {
+    return res.status(status).json({ error });
+  }
+  
+  const denied = permissionError(req.user, "read", fullPath);
+  if (denied) {
+    return res.status(403).json({ error: denied });
+  }
+  
+  if (!directorySizes.cancel(fullPath, getDirectorySizeView(req.user, fullPath))) {
+    return res.status(404).json({
+      error: "No size calculation is running for this directory"
+    });
+  }
+  
+  return res.json({ success: true });
+});
+
+// API endpoint to list the trash
+app.get("/api/trash", async (req, res) => {
+  try {
+    // Users only see what they deleted from places they can still delete in
+    const entries = (await trash.list()).filter(entry => access.can(req.user, "delete", entry.originalPath));
+    const totalSize = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+    
+    return res.json({
+      entries,
+      totalSize,
+      retention: {
+        maxAgeDays: trash.maxAge / (24 * 60 * 60 * 1000),
+        maxSize: Number.isFinite(trash.maxSize) ? trash.maxSize : null
+      }
+    });
+  } catch (error) {
+    console.error("Error listing trash:", error);
+    return res.status(500).json({
+      error: `Failed to list trash: ${error.message}`
+    });
+  }
+});
+
+// API endpoint to restore a trash entry to its original location.
+// With conflict "keep-both" a numbered name is used when the original path has been taken again.
+app.post("/api/trash/:id/restore", async (req, res) => {
+  try {
+    const { conflict = "fail" } = req.body || {};
+    
+    if (!["fail", "keep-both"].includes(conflict)) {
+      return res.status(400).json({
+        error: 'Conflict policy must be one of: fail, keep-both'
+      });
+    }
+    
+    const entry = await trash.get(req.params.id);
+    let targetPath = path.join(path.resolve(uploadsDir), entry.originalPath);
+    res.locals.audit = {
+      operation: "restore",
+      sourcePath: entry.originalPath,
+      destinationPath: entry.originalPath,
+      bytes: entry.size
+    };
+    
+    const denied = permissionError(req.user, "delete", targetPath);
+    if (denied) {
+      return res.status(403).json({ error: denied });
+    }
+    
+    if (fs.existsSync(targetPath) && conflict === "keep-both") {
+      const targetDir = path.dirname(targetPath);
+      targetPath = path.join(targetDir, getNumberedFilename(targetDir, entry.name, entry.isDirectory));
+    }
+    
+    const { fullPath } = await trash.restore(entry.id, targetPath);
+    directorySizes.invalidate(fullPath);
+    res.locals.audit.destinationPath = toVolumePath(fullPath);
+    
+    return res.json({
+      success: true,
+      path: toVolumePath(fullPath)
+    });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.code === "EEXIST") {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error("Error restoring from trash:", error);
+    return res.status(500).json({
+      error: `Failed to restore item: ${error.message}`
+    });
+  }
+});
+
+// API endpoint to permanently delete a trash entry
+app.delete("/api/trash/:id", async (req, res) => {
+  try {
+    const entry = await trash.get(req.params.id);
+    res.locals.audit = { operation: "purge", sourcePath: entry.originalPath, bytes: entry.size };
+    
+    if (!access.can(req.user, "delete", entry.originalPath)) {
+      return res.status(403).json({
+        error: `Access denied: delete permission required on "${entry.originalPath}"`
+      });
+    }
+    
+    await trash.purge(entry.id);
+    return res.json({ success: true });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error("Error purging trash entry:", error);
+    return res.status(500).json({
+      error: `Failed to delete item permanently: ${error.message}`
+    });
+  }
+});
+
+// API endpoint to empty the trash
+app.delete("/api/trash", async (req, res) => {
+  try {
+    // With access rules only the entries this user may delete are purged
+    const entries = (await trash.list()).filter(entry => access.can(req.user, "delete", entry.originalPath));
+    res.locals.audit = entries.map(entry => ({ operation: "purge", sourcePath: entry.originalPath, bytes: entry.size }));
+    
+    if (!access.enabled || !req.user) {
+      const count = await trash.empty();
+      return res.json({ success: true, count });
+    }
+    
+    for (const entry of entries) {
+      await trash.purge(entry.id);
+    }
+    return res.json({ success: true, count: entries.length });
+  } catch (error) {
+    console.error("Error emptying trash:", error);
+    return res.status(500).json({
+      error: `Failed to empty trash: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Convert a full path back to the volume-relative form used by the API
+ */
+function toVolumePath(fullPath) {
+  return path.relative(path.resolve(uploadsDir), fullPath).split(path.sep).join("/");
+}
+
+/**
+ * Identify a file or directory well enough to tell whether it has changed since an operation.
+ * rename() keeps the inode and modification time, so a moved or trashed item still matches.
+ */
+async function getFingerprint(fullPath) {
+  const stats = await fs.promises.lstat(fullPath);
+  return {
+    ino: stats.ino,
+    size: stats.isDirectory() ? null : stats.size,
+    mtimeMs: stats.mtimeMs
+  };
+}
+
+async function matchesFingerprint(fullPath, fingerprint) {
+  try {
+    const current = await getFingerprint(fullPath);
+    return !!fingerprint &&
+      current.ino === fingerprint.ino &&
+      current.size === fingerprint.size &&
+      current.mtimeMs === fingerprint.mtimeMs;
+  } catch (error) {
+    return false;
+  }
+}
+
+const HISTORY_DIRECTIONS = ["undo", "redo"];
+
+/**
+ * Undoing or redoing needs the same permission as the original operation
+ */
+async function operationPermissionError(user, operation, direction) {
+  const isUndo = direction === "undo";
+  
+  switch (operation.type) {
+    case "move": {
+      const sourcePath = resolveOperationPath(operation.sourcePath);
+      const destinationPath = resolveOperationPath(operation.destinationPath);
+      const [from, to] = isUndo ? [destinationPath, sourcePath] : [sourcePath, destinationPath];
+      return await treePermissionError(user, "modify", from) ||
+        await treePermissionError(user, "modify", from, { targetPath: to });
+    }
+    case "mkdir":
+      return permissionError(user, "modify", resolveOperationPath(operation.path));
+    case "delete": {
+      // Redoing a delete takes the whole item with it again; undoing it restores the item in place
+      const itemPath = resolveOperationPath(operation.path);
+      return isUndo ? permissionError(user, "delete", itemPath) : await treePermissionError(user, "delete", itemPath);
+    }
+    case "copy": {
+      // Either way one item at the path goes to the trash and another takes its place
+      const itemPath = resolveOperationPath(operation.path);
+      return await treePermissionError(user, "delete", itemPath) || permissionError(user, "modify", itemPath);
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Resolve a volume path from an operation record, rejecting anything outside the volume or overlapping a reserved path
+ */
+function resolveOperationPath(requestedPath) {
+  const { fullPath, error } = resolveVolumePath(requestedPath);
+  if (error || fullPath === path.resolve(uploadsDir) || reservedPathError(fullPath)) {
+    throw Object.assign(new Error(`Invalid path in operation: ${requestedPath}`), { status: 400 });
+  }
+  return fullPath;
+}
+
+/**
+ * Refuse an operation record whose undo or redo would create a name the filename policy rejects, or one not in its
+ * normalized form. Records come from the client, so these names were not necessarily checked when it ran.
+ * Takes the result of checkDestinationName or checkNewDirectories for fullPath.
+ */
+function assertOperationNames({ fullPath: checkedPath, violation }, fullPath) {
+  if (violation || checkedPath !== fullPath) {
+    throw Object.assign(new Error(`Invalid name in operation: ${violation ? violation.message : toVolumePath(fullPath)}`), { status: 400 });
+  }
+}
+
+/**
+ * Load the trash entry an undone delete (or copy) restores. Both the trash id and the path come from the client, so
+ * the entry must have been deleted from that very path, which operationPermissionError has checked delete permission
+ * on; otherwise any entry could be restored anywhere. Throws ENOENT when the entry is gone.
+ */
+async function getOperationTrashEntry(trashId, itemPath) {
+  const entry = await trash.get(trashId);
+  if (path.join(path.resolve(uploadsDir), entry.originalPath) !== itemPath) {
+    throw Object.assign(new Error(`Trash entry ${trashId} was not deleted from "${toVolumePath(itemPath)}"`), { status: 400 });
+  }
+  return entry;
+}
+
+/**
+ * Check that an item an operation moved to the trash from itemPath is still there, unchanged.
+ * Returns a message describing what changed (about the item called label), or null when it can be restored.
+ */
+async function checkTrashedItem(trashId, itemPath, fingerprint, label) {
+  try {
+    await getOperationTrashEntry(trashId, itemPath);
+  } catch (error) {
+    if (error.status) throw error;
+    return `${label} is no longer in the trash`;
+  }
+  if (!(await matchesFingerprint(trash.getItemPath(trashId), fingerprint))) {
+    return `${label} has been changed in the trash`;
+  }
+  return null;
+}
+
+/**
+ * Check that an operation can still be undone or redone.
+ * Returns a message describing what changed, or null when the filesystem is as the operation left it.
+ */
+async function checkOperation(operation, direction) {
+  const isUndo = direction === "undo";
+  
+  switch (operation.type) {
+    case "move": {
+      const sourcePath = resolveOperationPath(operation.sourcePath);
+      const destinationPath = resolveOperationPath(operation.destinationPath);
+      const [from, to] = isUndo ? [destinationPath, sourcePath] : [sourcePath, destinationPath];
+      assertOperationNames(checkDestinationName(from, to), to);
+      assertOperationNames(checkNewDirectories(path.dirname(to)), path.dirname(to));
+      
+      if (!(await matchesFingerprint(from, operation.fingerprint))) {
+        return `"${toVolumePath(from)}" has been changed or removed since it was moved`;
+      }
+      if (fs.existsSync(to)) {
+        return `"${toVolumePath(to)}" already exists`;
+      }
+      return null;
+    }
+    
+    case "mkdir": {
+      const folderPath = resolveOperationPath(operation.path);
+      
+      if (!isUndo) {
+        if (fs.existsSync(folderPath)) {
+          return `"${operation.path}" already exists`;
+        }
+        assertOperationNames(checkNewDirectories(folderPath), folderPath);
+        return null;
+      }
+      if (!(await matchesFingerprint(folderPath, operation.fingerprint))) {
+        return `"${operation.path}" has been changed or removed since it was created`;
+      }
+      if ((await fs.promises.readdir(folderPath)).length > 0) {
+        return `"${operation.path}" is no longer empty`;
+      }
+      return null;
+    }
+    
+    case "delete": {
+      const itemPath = resolveOperationPath(operation.path);
+      
+      if (!isUndo) {
+        return (await matchesFingerprint(itemPath, operation.fingerprint))
+          ? null
+          : `"${operation.path}" has been changed or removed since it was restored`;
+      }
+      const trashed = await checkTrashedItem(operation.trashId, itemPath, operation.fingerprint, `"${operation.path}"`);
+      if (trashed) {
+        return trashed;
+      }
+      if (fs.existsSync(itemPath)) {
+        return `"${operation.path}" already exists`;
+      }
+      return null;
+    }
+    
+    case "copy": {
+      // Undoing a copy trashes it and restores the item it replaced, if any; redoing it swaps them back
+      const itemPath = resolveOperationPath(operation.path);
+      const replacedLabel = `The item the copy replaced at "${operation.path}"`;
+      
+      if (isUndo) {
+        if (!(await matchesFingerprint(itemPath, operation.fingerprint))) {
+          return `"${operation.path}" has been changed or removed since it was copied`;
+        }
+        return operation.trashId
+          ? await checkTrashedItem(operation.trashId, itemPath, operation.replacedFingerprint, replacedLabel)
+          : null;
+      }
+      const trashed = await checkTrashedItem(operation.copyTrashId, itemPath, operation.fingerprint, `The copy at "${operation.path}"`);
+      if (trashed) {
+        return trashed;
+      }
+      if (operation.trashId) {
+        return (await matchesFingerprint(itemPath, operation.replacedFingerprint))
+          ? null
+          : `"${operation.path}" has been changed or removed since the copy was undone`;
+      }
+      if (fs.existsSync(itemPath)) {
+        return `"${operation.path}" already exists`;
+      }
+      return null;
+    }
+    
+    default:
+      throw Object.assign(new Error(`Unknown operation type: ${operation.type}`), { status: 400 });
+  }
+}
+
+/**
+ * Undo or redo a checked operation, returning the record to keep for the opposite direction
+ */
+async function applyOperation(operation, direction) {
+  const isUndo = direction === "undo";
+  
+  switch (operation.type) {
+    case "move": {
+      const sourcePath = resolveOperationPath(operation.sourcePath);
+      const destinationPath = resolveOperationPath(operation.destinationPath);
+      const [from, to] = isUndo ? [destinationPath, sourcePath] : [sourcePath, destinationPath];
+      
+      await fs.promises.mkdir(path.dirname(to), { recursive: true });
+      await fs.promises.rename(from, to);
+      directorySizes.invalidate(from);
+      directorySizes.invalidate(to);
+      return operation;
+    }
+    
+    case "mkdir": {
+      const folderPath = resolveOperationPath(operation.path);
+      
+      if (isUndo) {
+        await fs.promises.rmdir(folderPath);
+        directorySizes.invalidate(folderPath);
+        return operation;
+      }
+      await fs.promises.mkdir(folderPath, { recursive: true });
+      directorySizes.invalidate(folderPath);
+      return { ...operation, fingerprint: await getFingerprint(folderPath) };
+    }
+    
+    case "delete": {
+      const itemPath = resolveOperationPath(operation.path);
+      
+      if (isUndo) {
+        const entry = await getOperationTrashEntry(operation.trashId, itemPath);
+        await trash.restore(entry.id, itemPath);
+        directorySizes.invalidate(itemPath);
+        return operation;
+      }
+      const entry = await trash.moveToTrash(itemPath);
+      directorySizes.invalidate(itemPath);
+      return { ...operation, trashId: entry.id };
+    }
+    
+    case "copy": {
+      // trashId stays on the record while the replaced item is back in place, so redo knows to trash it again
+      const itemPath = resolveOperationPath(operation.path);
+      
+      if (isUndo) {
+        const replacedEntry = operation.trashId ? await getOperationTrashEntry(operation.trashId, itemPath) : null;
+        const entry = await trash.moveToTrash(itemPath);
+        if (replacedEntry) {
+          await trash.restore(replacedEntry.id, itemPath);
+        }
+        directorySizes.invalidate(itemPath);
+        return { ...operation, copyTrashId: entry.id };
+      }
+      const copyEntry = await getOperationTrashEntry(operation.copyTrashId, itemPath);
+      const replaced = operation.trashId ? await trash.moveToTrash(itemPath) : null;
+      await trash.restore(copyEntry.id, itemPath);
+      directorySizes.invalidate(itemPath);
+      const { copyTrashId, ...copy } = operation;
+      return replaced ? { ...copy, trashId: replaced.id } : copy;
+    }
+  }
+}
+
+/**
+ * Audit details for undoing or redoing an operation, e.g. "undo-move" with the paths the item went from and to
+ */
+function describeOperation(operation, direction) {
+  const isUndo = direction === "undo";
+  const fingerprint = operation.fingerprint || {};
+  const details = {
+    operation: `${direction}-${operation.type}`,
+    bytes: Number.isFinite(fingerprint.size) ? fingerprint.size : null
+  };
+  
+  switch (operation.type) {
+    case "move":
+      return {
+        ...details,
+        sourcePath: isUndo ? operation.destinationPath : operation.sourcePath,
+        destinationPath: isUndo ? operation.sourcePath : operation.destinationPath
+      };
+    case "mkdir":
+    case "copy":
+      return isUndo ? { ...details, sourcePath: operation.path } : { ...details, destinationPath: operation.path };
+    default:
+      // Undoing a delete restores the item in place, redoing it deletes the item again
+      return isUndo
+        ? { ...details, sourcePath: operation.path, destinationPath: operation.path }
+        : { ...details, sourcePath: operation.path };
+  }
+}
+
+// API endpoint to undo or redo a group of operations recorded by the client.
+// Every operation is checked before any is applied, so a group is never left half undone
+// because the filesystem changed since it ran.
+app.post("/api/history/:direction", async (req, res) => {
+  try {
+    const { direction } = req.params;
+    const { operations } = req.body || {};
+    
+    if (!HISTORY_DIRECTIONS.includes(direction)) {
+      return res.status(404).json({
+        error: "Unknown history action"
+      });
+    }
+    
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(400).json({
+        error: "At least one operation is required"
+      });
+    }
+    
+    res.locals.audit = operations.map(operation => describeOperation(operation, direction));
+    
+    for (const operation of operations) {
+      const denied = await operationPermissionError(req.user, operation, direction);
+      if (denied) {
+        return res.status(403).json({ error: denied });
+      }
+      
+      const conflict = await checkOperation(operation, direction);
+      if (conflict) {
+        return res.status(409).json({
+          error: `Cannot ${direction}: ${conflict}`
+        });
+      }
+    }
+    
+    // Undo runs the group backwards, redo runs it in its original order
+    const updated = [...operations];
+    const order = operations.map((operation, index) => index);
+    if (direction === "undo") order.reverse();
+    
+    for (const index of order) {
+      updated[index] = await applyOperation(operations[index], direction);
+    }
+    
+    return res.json({ success: true, operations: updated });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error("Error applying history operation:", error);
+    return res.status(500).json({
+      error: `Failed to ${req.params.direction}: ${error.message}`
+    });
+  }
+});
+
+/**
+ * Parse a time filter given as an ISO date or milliseconds since the epoch. Returns NaN when invalid.
+ */
+function parseTimeFilter(value) {
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+// API endpoint to query the audit log, newest first.
+// Filters: path (the item or anything inside it), actor, operation (comma-separated or repeated), since, until, limit.
+app.get("/api/audit", async (req, res) => {
+  try {
+    const { path: auditPath, actor, operation, since, until } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const operations = parseListParam(operation);
+    
+    const filters = {
+      path: auditPath !== undefined ? normalizeVolumePath(auditPath) : null,
+      actor: actor || null,
+      operations: operations.length > 0 ? operations : null,
+      since: since ? parseTimeFilter(since) : null,
+      until: until ? parseTimeFilter(until) : null,
+      limit
+    };
+    
+    if (Number.isNaN(filters.since) || Number.isNaN(filters.until)) {
+      return res.status(400).json({
+        error: "since and until must be ISO dates or milliseconds since the epoch"
+      });
+    }
+    
+    // With access rules, users only see records about paths they can read
+    if (access.enabled && req.user) {
+      filters.filter = record => [record.sourcePath, record.destinationPath]
+        .some(recordPath => recordPath !== null && access.can(req.user, "read", recordPath));
+    }
+    
+    const { records, hasMore } = await auditLog.query(filters);
+    return res.json({ records, hasMore });
+  } catch (error) {
+    console.error("Error querying audit log:", error);
+    return res.status(500).json({
+      error: `Failed to query audit log: ${error.message}`
+    });
+  }
+});
+
+// Maximum number of directories one event stream can watch
+const MAX_WATCHED_DIRECTORIES = 64;
+
+// Keep idle event streams alive through proxies that close silent connections
+const EVENT_STREAM_HEARTBEAT = 25 * 1000;
+
+/**
+ * Send a server-sent event
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Push a directory change to the streams watching it, leaving out entries each user can't see.
+ * changes is null when the directory itself was removed.
+ */
+function broadcastDirectoryChange(dirPath, changes) {
+  const volumePath = toVolumePath(dirPath);
+  
+  // Changes made outside the file manager also invalidate cached folder sizes
+  (changes || []).forEach(change => directorySizes.invalidate(path.join(dirPath, change.name)));
+  
+  eventStreams.forEach(stream => {
+    if (!stream.directories.has(dirPath)) return;
+    
+    if (!changes) {
+      sendEvent(stream.res, "change", { path: volumePath, removed: true });
+      return;
+    }
+    
+    const visible = changes.filter(change => [change.name, change.oldName].some(name =>
+      name !== undefined &&
+      !reservedPaths.contains(path.join(dirPath, name)) &&
+      access.isVisible(stream.user, toVolumePath(path.join(dirPath, name)))
+    ));
+    if (visible.length > 0) {
+      sendEvent(stream.res, "change", { path: volumePath, changes: visible });
+    }
+  });
+}
+
+/**
+ * Push an upload's finalization status to the streams following it
+ */
+function broadcastUploadStatus(uploadId, status) {
+  eventStreams.forEach(stream => {
+    const isOwner = !status.owner || !stream.user || status.owner === stream.user.username;
+    if (stream.uploads.has(uploadId) && isOwner) {
+      sendEvent(stream.res, "upload", describeUploadStatus(uploadId, status));
+    }
+  });
+}
+
+/**
+ * Finalization status of an upload as seen by a user. Uploads the tracker hasn't heard of yet but whose
+ * data is in the staging directory are pending; uploads finalized for someone else are not found.
+ */
+function getUploadStatus(uploadId, user) {
+  const status = uploadStatuses.get(uploadId);
+  if (status) {
+    return status.owner && user && status.owner !== user.username ? null : status;
+  }
+  return fs.existsSync(path.join(initUploadDir, `${uploadId}.json`))
+    ? { state: "pending", path: null, error: null, checksum: null, duplicate: null, parts: null, progress: null, updatedAt: null }
+    : null;
+}
+
+// tus upload ids are random hex strings
+const UPLOAD_ID_PATTERN = /^[0-9a-f]{8,64}$/;
+
+// API endpoint to get the finalization status of an upload: pending, assembling, done (with its path) or failed
+app.get("/api/uploads/:id", (req, res) => {
+  const status = UPLOAD_ID_PATTERN.test(req.params.id) && getUploadStatus(req.params.id, req.user);
+  if (!status) {
+    return res.status(404).json({
+      error: "Upload not found"
+    });
+  }
+  return res.json(describeUploadStatus(req.params.id, status));
+});
+
+// API endpoint to open a multi-part upload session for a file of `size` bytes split into `totalParts` parts,
+// going to the directory `path`. Returns the session with the byte range each part must cover; every part is
+// then uploaded through /files with the metadata isPartedUpload, uploadSession and partNumber, and written
+// at its offset in the session's file.
+app.post("/api/upload-sessions", async (req, res) => {
+  try {
+    const { filename, size, totalParts, path: targetPath = "", onDuplicateFiles = "number", sha256 = null } = req.body || {};
+    
+    const invalid = validateSessionRequest({ filename, size, totalParts });
+    if (invalid) {
+      return res.status(400).json({
+        error: invalid
+      });
+    }
+    
+    if (sha256 !== null && (typeof sha256 !== "string" || !SHA256_PATTERN.test(sha256.toLowerCase()))) {
+      return res.status(400).json({
+        error: "sha256 must be a hex SHA-256 digest"
+      });
+    }
+    
+    if (typeof targetPath !== "string") {
+      return res.status(400).json({
+        error: "path must be a string"
+      });
+    }
+    
+    if (!DUPLICATE_POLICIES.includes(onDuplicateFiles)) {
+      return res.status(400).json({
+        error: `onDuplicateFiles must be one of: ${DUPLICATE_POLICIES.join(", ")}`
+      });
+    }
+    
+    const resolved = resolveVolumePath(targetPath);
+    if (resolved.error) {
+      return res.status(resolved.status).json({ error: resolved.error });
+    }
+    
+    const targetDirectories = checkNewDirectories(resolved.fullPath);
+    if (targetDirectories.violation) {
+      return res.status(400).json(filenameErrorBody(targetDirectories.violation));
+    }
+    const targetDir = targetDirectories.fullPath;
+    
+    const denied = reservedTargetError(targetDir) || permissionError(req.user, "upload", targetDir);
+    if (denied) {
+      return res.status(403).json({ error: denied });
+    }
+    
+    const { name: normalizedFilename, violation } = filenamePolicy.check(filename);
+    if (violation) {
+      return res.status(400).json(filenameErrorBody(violation));
+    }
+    
+    // Settle a clash up front rather than after the data has been sent
+    const conflict = checkDuplicateUpload(req.user, targetDir, normalizedFilename, onDuplicateFiles);
+    if (conflict && conflict.skipped) {
+      return res.json({ skipped: true, duplicate: "skipped", path: toVolumePath(conflict.filePath) });
+    }
+    if (conflict) {
+      return res.status(conflict.status).json({ error: conflict.error });
+    }
+    
+    const session = {
+      id: createSessionId(),
+      filename: normalizedFilename,
+      size,
+      sha256,
+      totalParts,
+      targetDir,
+      onDuplicateFiles,
+      owner: req.user ? req.user.username : null,
+      parts: new Set(),
+      uploadIds: new Map(),
+      timestamp: Date.now(),
+      auditContext: getAuditContext(req),
+      kept: false
+    };
+    
+    // Parts are written straight into this file as they arrive, so it has to exist before the first one does
+    await preallocateFile(getAssemblyPath(session), size);
+    uploadSessions.set(session.id, session);
+    await saveUploadSessions();
+    
+    console.log(`Opened upload session ${session.id} for ${normalizedFilename} (${size} bytes in ${totalParts} parts) to ${targetDir}`);
+    return res.status(201).json(describeUploadSession(session));
+  } catch (error) {
+    console.error("Error opening upload session:", error);
+    return res.status(500).json({
+      error: `Failed to open upload session: ${error.message}`
+    });
+  }
+});
+
+// API endpoint to get an upload session and which of its parts have arrived
+app.get("/api/upload-sessions/:id", (req, res) => {
+  const session = findUploadSession(req.params.id, req.user);
+  if (!session) {
+    return res.status(404).json({
+      error: "Upload session not found"
+    });
+  }
+  return res.json(describeUploadSession(session));
+});
+
+// API endpoint to abandon an upload session, discarding the parts already staged
+app.delete("/api/upload-sessions/:id", (req, res) => {
+  const session = findUploadSession(req.params.id, req.user);
+  if (!session) {
+    return res.status(404).json({
+      error: "Upload session not found"
+    });
+  }
+  
+  uploadSessions.delete(session.id);
+  discardUploadSession(session);
+  uploadStatuses.set([...session.uploadIds.values()], { state: "failed", error: "Upload cancelled" });
+  saveUploadSessions();
+  
+  console.log(`Discarded upload session ${session.id} for ${session.filename}`);
+  return res.json({ success: true });
+});
+
+// Staged uploads (and leftover files) with no activity for this long are discarded by the staging sweep,
+// unless they have been kept. The sweep runs at startup and on a schedule.
+const STAGING_MAX_AGE = (parseFloat(process.env.STAGING_MAX_AGE_HOURS) || 24) * 60 * 60 * 1000;
+const STAGING_SWEEP_INTERVAL = (parseFloat(process.env.STAGING_SWEEP_INTERVAL_MINUTES) || 30) * 60 * 1000;
+
+/**
+ * Whether the server is moving, assembling or verifying an upload, in which case it must be left alone
+ */
+function isBeingProcessed(uploadId) {
+  const status = uploadStatuses.get(uploadId);
+  return !!status && (status.state === "verifying" || status.state === "assembling");
+}
+
+/**
+ * When an upload session last saw activity: being opened, a part being registered, or data written to its file
+ */
+function getSessionActivity(session) {
+  try {
+    return Math.max(session.timestamp, fs.statSync(getAssemblyPath(session)).mtimeMs);
+  } catch (error) {
+    return session.timestamp;
+  }
+}
+
+/**
+ * Everything in the staging directory, one entry per upload session, other tus upload or leftover file:
+ *   { id, type, filename, path, owner, received, size, createdAt, modifiedAt, kept, finished, inUse, expiresAt, resume }
+ * type is "session", "upload", "partial" (concatenation extension) or "file" (a *.tmp file, or the file of
+ * a session that no longer exists). path is the volume directory the upload is going to, or null when it
+ * has none. owner is the user who started the upload, null when unknown or authentication is disabled. resume is what a client needs to carry on: { uploadUrl } for a tus upload, { sessionId, parts }
+ * for a session. finished is set for uploads that have all their data and stay in staging by design: uploads
+ * with no target path, and partial uploads (or sessions sent as partial uploads) waiting for their final upload. expiresAt is when the sweep
+ * discards the entry, null once it has been kept or for finished uploads.
+ */
+async function listStagingEntries() {
+  const staged = await readStagedUploads(initUploadDir);
+  const stagedById = new Map(staged.map(upload => [upload.id, upload]));
+  const toDate = time => time !== null ? new Date(time).toISOString() : null;
+  const getExpiry = (modified, kept) => kept ? null : toDate(modified + STAGING_MAX_AGE);
+  const isFailed = uploadId => (uploadStatuses.get(uploadId) || {}).state === "failed";
+  const entries = [];
+  
+  uploadSessions.forEach(session => {
+    const parts = [...session.uploadIds.values()].map(uploadId => stagedById.get(uploadId)).filter(Boolean);
+    const modified = getSessionActivity(session);
+    const described = describeUploadSession(session);
+    const finished = session.concat && session.parts.size === session.totalParts;
+    entries.push({
+      id: session.id,
+      type: "session",
+      filename: session.filename,
+      path: described.path,
+      owner: session.owner ?? null,
+      received: parts.reduce((total, part) => total + (part.received || 0), 0),
+      size: session.size,
+      createdAt: toDate(Math.min(session.timestamp, ...parts.map(part => part.creationDate ?? Infinity))),
+      modifiedAt: toDate(modified),
+      kept: session.kept,
+      finished,
+      inUse: [...session.uploadIds.values()].some(isBeingProcessed),
+      expiresAt: getExpiry(modified, session.kept || finished),
+      resume: { sessionId: session.id, parts: described.parts }
+    });
+  });
+  
+  staged.forEach(upload => {
+    const meta = upload.metadata;
+    if (meta.isPartedUpload === "true" && uploadSessions.has(meta.uploadSession)) return;
+    
+    // Uploads that don't ask for their original name have nowhere to go but the staging directory. Those that
+    // do, and parts whose session is gone, are only still here when their finalization failed.
+    const isPartial = meta.uploadConcat === "partial";
+    const hasTarget = !isPartial && meta.useOriginalFilename === "true";
+    const finished = !hasTarget && meta.isPartedUpload !== "true" && upload.size !== null &&
+      upload.received === upload.size && !isFailed(upload.id);
+    entries.push({
+      id: upload.id,
+      type: isPartial ? "partial" : "upload",
+      filename: meta.filename || null,
+      path: hasTarget ? (meta.path || "").replace(/\.\./g, "").replace(/^\/+/, "") : null,
+      owner: meta.owner ?? null,
+      received: upload.received,
+      size: upload.size,
+      createdAt: toDate(upload.creationDate),
+      modifiedAt: toDate(upload.modified),
+      kept: upload.kept,
+      finished,
+      inUse: isBeingProcessed(upload.id) || concatenatingPartials.has(upload.id),
+      expiresAt: getExpiry(upload.modified, upload.kept || finished),
+      resume: { uploadUrl: `/files/${upload.id}` }
+    });
+  });
+  
+  const sessionFiles = new Set([...uploadSessions.values()].map(session => path.basename(getAssemblyPath(session))));
+  (await readStagingFiles(initUploadDir)).forEach(file => {
+    if (sessionFiles.has(file.name)) return;
+    
+    // <id>.tmp is the final upload <id> being concatenated
+    const uploadId = file.name.split(".")[0];
+    entries.push({
+      id: file.name,
+      type: "file",
+      filename: file.name,
+      path: null,
+      owner: null,
+      received: file.size,
+      size: null,
+      createdAt: null,
+      modifiedAt: toDate(file.modified),
+      kept: false,
+      finished: false,
+      inUse: isBeingProcessed(uploadId),
+      expiresAt: getExpiry(file.modified, false),
+      resume: null
+    });
+  });
+  
+  return entries.sort((a, b) => Date.parse(b.modifiedAt) - Date.parse(a.modifiedAt));
+}
+
+/**
+ * Remove a staging entry (see listStagingEntries) and everything staged for it. Uploads that were
+ * still being followed are reported as failed with `reason`.
+ */
+function discardStagingEntry(entry, reason) {
+  if (entry.type === "session") {
+    const session = uploadSessions.get(entry.id);
+    if (!session) return;
+    
+    uploadSessions.delete(session.id);
+    discardUploadSession(session);
+    uploadStatuses.set([...session.uploadIds.values()], { state: "failed", error: reason });
+    saveUploadSessions();
+  } else if (entry.type === "file") {
+    fs.rmSync(path.join(initUploadDir, entry.id), { force: true });
+  } else {
+    discardStagedUpload(entry.id);
+    uploadStatuses.set(entry.id, { state: "failed", error: reason });
+  }
+}
+
+/**
+ * Discard staging entries that have seen no activity within STAGING_MAX_AGE: incomplete uploads and ones whose
+ * finalization failed, except kept ones and ones the server is working on
+ */
+async function sweepStaging() {
+  try {
+    const now = Date.now();
+    const expired = (await listStagingEntries()).filter(entry =>
+      entry.expiresAt !== null && !entry.inUse && Date.parse(entry.expiresAt) <= now
+    );
+    
+    const hours = STAGING_MAX_AGE / (60 * 60 * 1000);
+    expired.forEach(entry => {
+      console.log(`Staging sweep: discarding ${entry.type} ${entry.id}${entry.filename ? ` (${entry.filename})` : ""}`);
+      discardStagingEntry(entry, `Discarded after ${hours} hours in staging without activity`);
+    });
+    
+    if (expired.length > 0) {
+      console.log(`Staging sweep discarded ${expired.length} item(s)`);
+    }
+  } catch (error) {
+    console.error(`Error sweeping the staging directory: ${error.message}`);
+  }
+}
+
+sweepStaging();
+setInterval(sweepStaging, STAGING_SWEEP_INTERVAL);
+
+/**
+ * Whether a user has full permissions on the volume root, which the server's own areas need
+ */
+function hasFullControl(user) {
+  return PERMISSIONS.every(permission => access.can(user, permission, ""));
+}
+
+/**
+ * Whether a user may see and manage a staging entry: one of their own uploads, going to a path they can upload
+ * to (the volume root for entries with no target path). Other users' entries, and those whose owner is
+ * unknown, need full permissions on the volume root.
+ */
+function canManageStagingEntry(user, entry) {
+  if (hasFullControl(user)) return true;
+  return !!user && entry.owner === user.username && access.can(user, "upload", entry.path ?? "");
+}
+
+/**
+ * Find a staging entry a user may see (see canManageStagingEntry)
+ */
+async function findStagingEntry(id, user) {
+  const entry = (await listStagingEntries()).find(candidate => candidate.id === id);
+  return entry && canManageStagingEntry(user, entry) ? entry : null;
+}
+
+// API endpoint to list the staging directory: upload sessions, tus uploads and leftover files, newest first
+app.get("/api/staging", async (req, res) => {
+  try {
+    const entries = (await listStagingEntries()).filter(entry => canManageStagingEntry(req.user, entry));
+    const totalSize = entries.reduce((sum, entry) => sum + (entry.received || 0), 0);
+    
+    return res.json({
+      entries,
+      totalSize,
+      expiry: {
+        maxAgeHours: STAGING_MAX_AGE / (60 * 60 * 1000),
+        sweepIntervalMinutes: STAGING_SWEEP_INTERVAL / (60 * 1000)
+      }
+    });
+  } catch (error) {
+    console.error("Error listing staging directory:", error);
+    return res.status(500).json({
+      error: `Failed to list staged uploads: ${error.message}`
+    });
+  }
+});
+
+// API endpoint to keep a staged upload or session resumable ({ kept: true }), exempting it from the
+// expiry sweep, or to let it expire again ({ kept: false })
+app.patch("/api/staging/:id", async (req, res) => {
+  try {
+    const { kept } = req.body || {};
+    if (typeof kept !== "boolean") {
+      return res.status(400).json({
+        error: "kept must be true or false"
+      });
+    }
+    
+    const entry = await findStagingEntry(req.params.id, req.user);
+    if (!entry) {
+      return res.status(404).json({
+        error: "Staged upload not found"
+      });
+    }
+    
+    if (entry.type === "file") {
+      return res.status(400).json({
+        error: "Leftover files can't be resumed, so they can't be kept"
+      });
+    }
+    
+    if (entry.type === "session") {
+      uploadSessions.get(entry.id).kept = kept;
+      await saveUploadSessions();
+    } else {
+      await setStagedUploadKept(initUploadDir, entry.id, kept);
+    }
+    
+    console.log(`${kept ? "Keeping" : "No longer keeping"} staged ${entry.type} ${entry.id}`);
+    return res.json({ success: true });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return res.status(404).json({ error: "Staged upload not found" });
+    }
+    console.error("Error updating staged upload:", error);
+    return res.status(500).json({
+      error: `Failed to update staged upload: ${error.message}`
+    });
+  }
+});
+
+// API endpoint to discard a staged upload, session or leftover file
+app.delete("/api/staging/:id", async (req, res) => {
+  try {
+    const entry = await findStagingEntry(req.params.id, req.user);
+    if (!entry) {
+      return res.status(404).json({
+        error: "Staged upload not found"
+      });
+    }
+    
+    res.locals.audit = {
+      operation: "discard",
+      sourcePath: toVolumePath(path.join(initUploadDir, entry.id)),
+      destinationPath: entry.path !== null ? [entry.path, entry.filename].filter(Boolean).join("/") : null,
+      bytes: entry.received
+    };
+    
+    const target = entry.path ?? "";
+    if (!access.can(req.user, "delete", target)) {
+      return res.status(403).json({
+        error: `Access denied: delete permission required on "${target || "/"}"`
+      });
+    }
+    
+    if (entry.inUse) {
+      return res.status(409).json({
+        error: "The server is still processing this upload"
+      });
+    }
+    
+    discardStagingEntry(entry, "Discarded from staging");
+    console.log(`Discarded staged ${entry.type} ${entry.id}`);
+    return res.json({ success: true });
+  } catch (error) {
+    console.error("Error discarding staged upload:", error);
+    return res.status(500).json({
+      error: `Failed to discard staged upload: ${error.message}`
+    });
+  }
+});
+
+// API endpoint to list quarantined uploads, whose data didn't match the SHA-256 their client sent
+app.get("/api/quarantine", async (req, res) => {
+  try {
+    if (!hasFullControl(req.user)) {
+      return res.status(403).json({
+        error: "Access denied: full permissions on the volume root required"
+      });
+    }
+    
+    const entries = await quarantine.list();
+    const totalSize = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+    
+    return res.json({
+      entries,
+      totalSize,
+      retention: {
+        maxAgeDays: quarantine.maxAge / (24 * 60 * 60 * 1000),
+        maxSize: Number.isFinite(quarantine.maxSize) ? quarantine.maxSize : null
+      }
+    });
+  } catch (error) {
+    console.error("Error listing quarantine:", error);
+    return res.status(500).json({
+      error: `Failed to list quarantine: ${error.message}`
+    });
+  }
+});
+
+// API endpoint to permanently delete a quarantined upload
+app.delete("/api/quarantine/:id", async (req, res) => {
+  try {
+    const entry = await quarantine.get(req.params.id);
+    res.locals.audit = {
+      operation: "discard",
+      sourcePath: toVolumePath(quarantine.getItemPath(entry.id)),
+      destinationPath: [entry.targetPath, entry.filename].filter(Boolean).join("/"),
+      bytes: entry.size
+    };
+    
+    if (!hasFullControl(req.user)) {
+      return res.status(403).json({
+        error: "Access denied: full permissions on the volume root required"
+      });
+    }
+    
+    await quarantine.remove(entry.id);
+    console.log(`Removed quarantined upload ${entry.id} (${entry.filename})`);
+    return res.json({ success: true });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return res.status(404).json({ error: error.message });
+    }
+    console.error("Error removing quarantined upload:", error);
+    return res.status(500).json({
+      error: `Failed to remove quarantined upload: ${error.message}`
+    });
+  }
+});
+
+// API endpoint for the live change stream (server-sent events).
+// The first event, "ready", carries the stream id used to choose which directories and uploads to follow;
+// "change" events then report { path, changes: [{ type, name, oldName, isDirectory }] } or { path, removed: true },
+// and "upload" events report upload statuses as returned by /api/uploads/:id.
+app.get("/api/events", (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no"
+  });
+  res.flushHeaders();
+  
+  const streamId = crypto.randomBytes(16).toString("hex");
+  const stream = { res, user: req.user, directories: new Set(), uploads: new Set() };
+  eventStreams.set(streamId, stream);
+  sendEvent(res, "ready", { streamId, mode: directoryWatcher.mode });
+  
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), EVENT_STREAM_HEARTBEAT);
+  
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    eventStreams.delete(streamId);
+    stream.directories.forEach(dirPath => directoryWatcher.unwatch(dirPath));
+  });
+});
+
+// API endpoint to set the directories and uploads an event stream follows, replacing the previous sets.
+// Paths that don't exist, aren't directories or aren't visible to the user are left out of the returned list.
+// The current status of each newly followed upload is sent right away.
+app.put("/api/events/:streamId", async (req, res) => {
+  try {
+    const stream = eventStreams.get(req.params.streamId);
+    
+    // Streams belong to the user who opened them
+    if (!stream || (stream.user && (!req.user || stream.user.username !== req.user.username))) {
+      return res.status(404).json({
+        error: "Event stream not found"
+      });
+    }
+    
+    const { paths, uploads = [] } = req.body || {};
+    if (!Array.isArray(paths) || paths.some(requested => typeof requested !== "string")) {
+      return res.status(400).json({
+        error: "paths must be an array of directory paths"
+      });
+    }
+    
+    if (!Array.isArray(uploads) || uploads.some(uploadId => !UPLOAD_ID_PATTERN.test(uploadId))) {
+      return res.status(400).json({
+        error: "uploads must be an array of upload ids"
+      });
+    }
+    
+    if (paths.length > MAX_WATCHED_DIRECTORIES || uploads.length > MAX_WATCHED_DIRECTORIES) {
+      return res.status(400).json({
+        error: `At most ${MAX_WATCHED_DIRECTORIES} directories and uploads can be followed per stream`
+      });
+    }
+    
+    const directories = new Set();
+    for (const requestedPath of paths) {
+      const { fullPath, error } = resolveVolumePath(requestedPath);
+      if (error || reservedPaths.contains(fullPath) || !access.isVisible(req.user, toVolumePath(fullPath))) continue;
+      
+      try {
+        if ((await fs.promises.stat(fullPath)).isDirectory()) {
+          directories.add(fullPath);
+        }
+      } catch (statError) {
+        // Not there (any more); nothing to watch
+      }
+    }
+    
+    // The stream may have closed while the paths were checked
+    if (!eventStreams.has(req.params.streamId)) {
+      return res.status(404).json({
+        error: "Event stream not found"
+      });
+    }
+    
+    const previous = stream.directories;
+    stream.directories = directories;
+    directories.forEach(dirPath => {
+      if (!previous.has(dirPath)) directoryWatcher.watch(dirPath);
+    });
+    previous.forEach(dirPath => {
+      if (!directories.has(dirPath)) directoryWatcher.unwatch(dirPath);
+    });
+    
+    const previousUploads = stream.uploads;
+    stream.uploads = new Set(uploads);
+    stream.uploads.forEach(uploadId => {
+      const status = !previousUploads.has(uploadId) && getUploadStatus(uploadId, req.user);
+      if (status) {
+        sendEvent(stream.res, "upload", describeUploadStatus(uploadId, status));
+      }
+    });
+    
+    return res.json({
+      paths: [...directories].map(toVolumePath),
+      uploads: [...stream.uploads]
+    });
+  } catch (error) {
+    console.error("Error updating watched directories:", error);
+    return res.status(500).json({
+      error: `Failed to watch directories: ${error.message}`
+    });
+  }
+});
+
 // Start the server
 app.listen(port, () => {
   console.log(`Server is running at http://localhost:${port}`);